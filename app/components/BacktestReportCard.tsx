@@ -0,0 +1,156 @@
+'use client';
+
+import { Card, Text, Flex, LineChart, Select, SelectItem } from '@tremor/react';
+import { useState } from 'react';
+import { clsx } from 'clsx';
+import { motion } from 'framer-motion';
+import { BacktestReport, PrimarySignalAction } from '../lib/types';
+
+interface BacktestReportCardProps {
+  title?: string;
+  report: BacktestReport;
+  className?: string;
+}
+
+const SIGNAL_ORDER: PrimarySignalAction[] = ['STRONG_BUY', 'BUY', 'HOLD', 'SELL', 'STRONG_SELL'];
+
+const SIGNAL_LABELS: Record<PrimarySignalAction, string> = {
+  STRONG_BUY: 'Strong Buy',
+  BUY: 'Buy',
+  HOLD: 'Hold',
+  SELL: 'Sell',
+  STRONG_SELL: 'Strong Sell'
+};
+
+const formatPct = (value: number | null, digits = 2) =>
+  value === null ? '—' : `${value >= 0 ? '+' : ''}${value.toFixed(digits)}%`;
+
+export default function BacktestReportCard({
+  title = "Signal Track Record",
+  report,
+  className
+}: BacktestReportCardProps) {
+  const [selectedHorizon, setSelectedHorizon] = useState(report.horizons.includes('20d') ? '20d' : report.horizons[0]);
+
+  const curve = report.equity_curve;
+  const chartData = (curve?.points || []).map(point => ({
+    date: new Date(`${point.date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+    'Follow signals': point.strategy,
+    [`Buy & hold ${report.benchmark}`]: point.benchmark
+  }));
+
+  const correlation = report.score_correlation[selectedHorizon];
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.6, ease: [0.4, 0, 0.2, 1] }}
+    >
+      <Card className={clsx('p-6 glass-subtle fintech-glow', className)}>
+        {/* Header */}
+        <Flex justifyContent="between" alignItems="start" className="mb-6">
+          <div>
+            <Text className="font-semibold text-tremor-content-strong dark:text-dark-tremor-content-strong fintech-text-gradient">
+              {title}
+            </Text>
+            <Text className="text-tremor-content-subtle dark:text-dark-tremor-content-subtle mt-1">
+              How past signals played out in {report.benchmark} • {report.sample.scored_readings} {report.pipeline} readings
+              {report.sample.first_date && ` since ${report.sample.first_date}`}
+            </Text>
+          </div>
+          <Select
+            value={selectedHorizon}
+            onValueChange={setSelectedHorizon}
+            placeholder="Horizon"
+            className="max-w-[140px]"
+          >
+            {report.horizons.map(horizon => (
+              <SelectItem key={horizon} value={horizon}>
+                {horizon.replace('d', '')}-day forward
+              </SelectItem>
+            ))}
+          </Select>
+        </Flex>
+
+        {/* Per-signal outcomes */}
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-tremor-content dark:text-dark-tremor-content">
+                <th className="py-2 pr-4 font-medium">Signal</th>
+                <th className="py-2 pr-4 font-medium text-right">Samples</th>
+                <th className="py-2 pr-4 font-medium text-right">Avg return</th>
+                <th className="py-2 pr-4 font-medium text-right">Hit rate</th>
+                <th className="py-2 font-medium text-right">Avg drawdown</th>
+              </tr>
+            </thead>
+            <tbody>
+              {SIGNAL_ORDER.map(signal => {
+                const stats = report.signals[signal]?.horizons[selectedHorizon];
+                return (
+                  <tr key={signal} className="border-t border-tremor-border dark:border-dark-tremor-border">
+                    <td className="py-2 pr-4 text-tremor-content-strong dark:text-dark-tremor-content-strong">
+                      {SIGNAL_LABELS[signal]}
+                    </td>
+                    <td className="py-2 pr-4 text-right tabular-nums">{stats?.samples ?? 0}</td>
+                    <td className={clsx(
+                      'py-2 pr-4 text-right tabular-nums',
+                      (stats?.avg_return_pct ?? 0) >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'
+                    )}>
+                      {formatPct(stats?.avg_return_pct ?? null)}
+                    </td>
+                    <td className="py-2 pr-4 text-right tabular-nums">
+                      {stats?.hit_rate === null || stats?.hit_rate === undefined ? '—' : `${(stats.hit_rate * 100).toFixed(0)}%`}
+                    </td>
+                    <td className="py-2 text-right tabular-nums text-red-600 dark:text-red-400">
+                      {formatPct(stats?.avg_max_drawdown_pct ?? null)}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {correlation !== null && correlation !== undefined && (
+          <Text className="text-xs text-tremor-content-subtle dark:text-dark-tremor-content-subtle mt-2">
+            Score vs {selectedHorizon} return correlation: {correlation.toFixed(2)}
+            {correlation < 0 ? ' (higher scores preceded weaker returns)' : ' (higher scores preceded stronger returns)'}
+          </Text>
+        )}
+
+        {/* Equity curve */}
+        {curve && chartData.length > 1 && (
+          <div className="mt-6 pt-4 border-t border-tremor-border dark:border-dark-tremor-border">
+            <Flex justifyContent="between" alignItems="center" className="mb-2 flex-wrap gap-2">
+              <Text className="font-medium text-tremor-content-strong dark:text-dark-tremor-content-strong">
+                Growth of $100
+              </Text>
+              <Text className="text-xs text-tremor-content dark:text-dark-tremor-content">
+                Signals {formatPct(curve.strategy.total_return_pct)} (max DD {formatPct(curve.strategy.max_drawdown_pct)}) •{' '}
+                {report.benchmark} {formatPct(curve.benchmark.total_return_pct)} (max DD {formatPct(curve.benchmark.max_drawdown_pct)})
+              </Text>
+            </Flex>
+            <LineChart
+              data={chartData}
+              index="date"
+              categories={['Follow signals', `Buy & hold ${report.benchmark}`]}
+              colors={['blue', 'gray']}
+              showLegend={true}
+              showGridLines={true}
+              yAxisWidth={48}
+              curveType="linear"
+              className="h-60"
+              valueFormatter={(value) => `$${value.toFixed(2)}`}
+            />
+          </div>
+        )}
+
+        <Text className="text-xs text-tremor-content-subtle dark:text-dark-tremor-content-subtle mt-4">
+          Past signal performance does not predict future results • Generated {new Date(report.generated_at).toLocaleString()}
+        </Text>
+      </Card>
+    </motion.div>
+  );
+}
@@ -0,0 +1,188 @@
+'use client';
+
+import { useState } from 'react';
+import { Card, Text, Flex, Badge, Select, SelectItem } from '@tremor/react';
+import { clsx } from 'clsx';
+import { CorrelationMatrix } from '../lib/types';
+
+interface CorrelationHeatmapProps {
+  matrix: CorrelationMatrix;
+  title?: string;
+  className?: string;
+}
+
+interface HoveredCell {
+  row: number;
+  col: number;
+}
+
+const BREAK_LABELS = {
+  sign_flip: 'Sign flip',
+  shift: 'Sharp shift'
+};
+
+export default function CorrelationHeatmap({
+  matrix,
+  title = "Cross-Asset Correlations",
+  className
+}: CorrelationHeatmapProps) {
+  const [selectedWindow, setSelectedWindow] = useState(matrix.windows[0]);
+  const [hovered, setHovered] = useState<HoveredCell | null>(null);
+
+  const values = matrix.matrices[selectedWindow] || [];
+  const otherWindows = matrix.windows.filter(window => window !== selectedWindow);
+
+  const getCorrelationColor = (value: number | null) => {
+    if (value === null) return 'rgba(107, 114, 128, 0.15)';
+    const opacity = Math.max(0.08, Math.abs(value));
+    // Blue moves together, orange moves opposite
+    return value >= 0 ? `rgba(37, 99, 235, ${opacity})` : `rgba(234, 88, 12, ${opacity})`;
+  };
+
+  const formatValue = (value: number | null | undefined) => (
+    value === null || value === undefined ? 'n/a' : value.toFixed(2)
+  );
+
+  const describeCell = ({ row, col }: HoveredCell) => {
+    const others = otherWindows
+      .map(window => `${window} ${formatValue(matrix.matrices[window]?.[row]?.[col])}`)
+      .join(', ');
+    return `${matrix.symbols[row]} × ${matrix.symbols[col]}: ${selectedWindow} ${formatValue(values[row]?.[col])}${others ? ` (${others})` : ''}`;
+  };
+
+  return (
+    <Card className={clsx('p-6', className)}>
+      <Flex justifyContent="between" alignItems="start" className="mb-4">
+        <div>
+          <Text className="font-semibold text-tremor-content-strong dark:text-dark-tremor-content-strong">
+            {title}
+          </Text>
+          <Text className="text-tremor-content-subtle dark:text-dark-tremor-content-subtle mt-1">
+            Daily return correlations over {matrix.sessions} sessions to {matrix.as_of}
+          </Text>
+        </div>
+        {matrix.windows.length > 1 && (
+          <Select
+            value={selectedWindow}
+            onValueChange={setSelectedWindow}
+            placeholder="Window"
+            className="max-w-[140px]"
+          >
+            {matrix.windows.map(window => (
+              <SelectItem key={window} value={window}>
+                {window} window
+              </SelectItem>
+            ))}
+          </Select>
+        )}
+      </Flex>
+
+      {/* Hover details */}
+      <div className="h-6 mb-2">
+        <Text className="text-sm font-mono text-tremor-content dark:text-dark-tremor-content">
+          {hovered ? describeCell(hovered) : 'Hover a cell for pair details'}
+        </Text>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="border-separate" style={{ borderSpacing: 1 }} onMouseLeave={() => setHovered(null)}>
+          <thead>
+            <tr>
+              <th />
+              {matrix.symbols.map((symbol, col) => (
+                <th
+                  key={symbol}
+                  className={clsx(
+                    'h-16 align-bottom text-[10px] font-mono font-normal text-tremor-content dark:text-dark-tremor-content',
+                    hovered?.col === col && 'font-bold text-tremor-content-strong dark:text-dark-tremor-content-strong'
+                  )}
+                >
+                  <div className="w-5 [writing-mode:vertical-rl] rotate-180 mx-auto">{symbol}</div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {matrix.symbols.map((symbol, row) => (
+              <tr key={symbol}>
+                <th
+                  className={clsx(
+                    'pr-2 text-right text-[10px] font-mono font-normal whitespace-nowrap text-tremor-content dark:text-dark-tremor-content',
+                    hovered?.row === row && 'font-bold text-tremor-content-strong dark:text-dark-tremor-content-strong'
+                  )}
+                >
+                  {symbol}
+                </th>
+                {matrix.symbols.map((other, col) => {
+                  const cell = { row, col };
+                  return (
+                    <td
+                      key={other}
+                      className={clsx(
+                        'w-5 h-5 rounded-sm cursor-crosshair',
+                        hovered?.row === row && hovered?.col === col && 'ring-2 ring-gray-900 dark:ring-white'
+                      )}
+                      style={{ backgroundColor: getCorrelationColor(values[row]?.[col] ?? null) }}
+                      title={describeCell(cell)}
+                      onMouseEnter={() => setHovered(cell)}
+                    />
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Regime pairs */}
+      {matrix.regime_pairs.length > 0 && (
+        <div className="mt-6 pt-4 border-t border-tremor-border dark:border-dark-tremor-border space-y-2">
+          <Text className="font-medium text-tremor-content-strong dark:text-dark-tremor-content-strong">
+            Correlation regimes
+          </Text>
+          {matrix.regime_pairs.map(pair => (
+            <Flex key={`${pair.a}-${pair.b}`} justifyContent="between" alignItems="center">
+              <Text className="text-sm">
+                {pair.label} <span className="font-mono text-xs opacity-75">({pair.a}/{pair.b})</span>
+              </Text>
+              <Flex justifyContent="end" alignItems="center" className="space-x-3">
+                <Text className="text-xs font-mono">
+                  {matrix.windows[0]} {formatValue(pair.short_correlation)} • {matrix.windows[matrix.windows.length - 1]} {formatValue(pair.long_correlation)}
+                </Text>
+                {pair.break ? (
+                  <Badge color="rose" size="xs">{BREAK_LABELS[pair.break]}</Badge>
+                ) : (
+                  <Badge color="gray" size="xs">Normal</Badge>
+                )}
+              </Flex>
+            </Flex>
+          ))}
+        </div>
+      )}
+
+      {/* Legend */}
+      <div className="mt-6 pt-4 border-t border-tremor-border dark:border-dark-tremor-border">
+        <Flex justifyContent="center" alignItems="center" className="space-x-6">
+          <Flex alignItems="center" className="space-x-2">
+            <div className="w-4 h-4 rounded bg-orange-600 opacity-70" />
+            <Text className="text-xs text-tremor-content dark:text-dark-tremor-content">
+              Move opposite
+            </Text>
+          </Flex>
+          <Flex alignItems="center" className="space-x-2">
+            <div className="w-4 h-4 rounded bg-gray-400 opacity-30" />
+            <Text className="text-xs text-tremor-content dark:text-dark-tremor-content">
+              Unrelated
+            </Text>
+          </Flex>
+          <Flex alignItems="center" className="space-x-2">
+            <div className="w-4 h-4 rounded bg-blue-600 opacity-70" />
+            <Text className="text-xs text-tremor-content dark:text-dark-tremor-content">
+              Move together
+            </Text>
+          </Flex>
+        </Flex>
+      </div>
+    </Card>
+  );
+}
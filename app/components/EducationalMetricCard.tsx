@@ -9,6 +9,7 @@ import { useState } from 'react';
 interface EducationalMetricCardProps {
   title: string;
   value: string | number;
+  sourceLabel?: string;
   change?: number;
   changeType?: 'percentage' | 'absolute' | 'basis-points';
   explanation: {
@@ -25,6 +26,7 @@ interface EducationalMetricCardProps {
 export default function EducationalMetricCard({
   title,
   value,
+  sourceLabel,
   change,
   changeType = 'percentage',
   explanation,
@@ -130,6 +132,11 @@ export default function EducationalMetricCard({
             )}>
               {title}
             </Text>
+            {sourceLabel && (
+              <Text className="text-xs text-gray-600 dark:text-gray-400 mt-0.5">
+                {sourceLabel}
+              </Text>
+            )}
           </div>
           <motion.button
             whileHover={{ scale: 1.1 }}
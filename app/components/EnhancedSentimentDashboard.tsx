@@ -4,8 +4,80 @@ import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { useInView } from 'react-intersection-observer';
 import AnimatedNumber from './AnimatedNumber';
+import VixTermStructureChart from './VixTermStructureChart';
+import WaterfallChart, { WaterfallStep } from './WaterfallChart';
+import APIService from '../lib/api';
+import { VixTermStructure } from '../lib/types';
+
+interface RelativePair {
+  leader: string;
+  laggard: string;
+  weight: number;
+  relative_performance: Record<'1d' | '7d' | '30d', number | null> | null;
+  score: number | null;
+}
+
+interface PriceLevel {
+  price: number;
+  source: string;
+  time?: string;
+  sessions_ago?: number;
+}
+
+interface SymbolPriceLevels {
+  as_of: string;
+  current_price: number;
+  support_level: number;
+  resistance_level: number;
+  stop_loss_suggestion: number;
+  support: PriceLevel;
+  resistance: PriceLevel;
+  atr: { period: number; value: number; pct_of_price: number };
+  stop: { method: string; multiple: number; distance_pct: number };
+  method: {
+    bars: number;
+    history_range: string;
+    swing_lookback: number;
+    swing_strength: number;
+    ma_windows: number[];
+    atr_period: number;
+  };
+}
+
+// Where each level came from, in words
+function describeLevelSource(level: PriceLevel): string {
+  if (level.source === 'swing_low') return `Swing low, ${level.sessions_ago} sessions ago`;
+  if (level.source === 'swing_high') return `Swing high, ${level.sessions_ago} sessions ago`;
+  if (level.source === 'atr_projection') return 'ATR projection';
+  if (level.source.startsWith('sma_')) return `${level.source.slice(4)}-day average`;
+  return level.source;
+}
+
+interface ComponentChange {
+  component: string;
+  label: string;
+  from: number | null;
+  to: number | null;
+  change: number;
+}
 
 interface SentimentData {
+  composite_attribution?: {
+    score: number;
+    contributions: Array<{
+      component: string;
+      label: string;
+      score: number;
+      weight: number;
+      share: number;
+      contribution: number;
+      pull: number;
+    }>;
+    previous: { date: string; score: number } | null;
+    delta: number | null;
+    changes: ComponentChange[];
+    what_changed: string[];
+  };
   sentiment_composite?: {
     composite_score: number;
     classification: string;
@@ -13,7 +85,12 @@ interface SentimentData {
       vix?: number;
       safe_haven?: number;
       risk_appetite?: number;
+      credit?: number;
+      breadth?: number;
+      style?: number;
+      global_risk?: number;
       fear_greed_index?: number;
+      term_structure?: number;
       crypto_correlation?: number;
     };
     data_completeness: number;
@@ -27,12 +104,7 @@ interface SentimentData {
     market_regime: string;
     risk_level: string;
     tactical_recommendations: string[];
-    spy_levels?: {
-      current_price: number;
-      support_level: number;
-      resistance_level: number;
-      stop_loss_suggestion: number;
-    };
+    price_levels?: Record<string, SymbolPriceLevels>;
   };
   safe_haven_analysis?: {
     safe_haven_score: number;
@@ -47,10 +119,45 @@ interface SentimentData {
     interpretation: string;
     risk_appetite_spread: number;
   };
+  credit_risk_appetite?: {
+    credit_score: number | null;
+    interpretation: string;
+    relative_performance: Record<'1d' | '7d' | '30d', number | null>;
+    high_yield_spread: {
+      date: string;
+      spread: number;
+      change_20d: number;
+      percentile: number;
+    } | null;
+  };
+  market_breadth?: {
+    breadth_score: number;
+    pct_above_sma_20: number | null;
+    pct_above_sma_50: number | null;
+    sectors_counted: number;
+    interpretation: string;
+    equal_weight_divergence: {
+      equal_weight_return: number;
+      cap_weight_return: number;
+      spread: number;
+    } | null;
+  };
+  style_rotation?: {
+    pairs: RelativePair[];
+    style_score: number;
+    leadership: 'growth' | 'value' | 'balanced';
+    interpretation: string;
+  };
+  global_risk_tolerance?: {
+    pairs: RelativePair[];
+    global_risk_score: number;
+    interpretation: string;
+  };
   market_structure?: {
     vix_level: number;
     vix_signal: string;
     volatility_interpretation: string;
+    term_structure?: VixTermStructure | null;
   };
   fear_greed_indicators?: {
     cnn_fear_greed_index: number;
@@ -71,6 +178,7 @@ export function EnhancedSentimentDashboard({ className = '' }: EnhancedSentiment
   const { ref: mainRef, inView: mainInView } = useInView({ threshold: 0.2, triggerOnce: true });
   const { ref: signalsRef, inView: signalsInView } = useInView({ threshold: 0.2, triggerOnce: true });
   const { ref: componentsRef, inView: componentsInView } = useInView({ threshold: 0.2, triggerOnce: true });
+  const { ref: attributionRef, inView: attributionInView } = useInView({ threshold: 0.2, triggerOnce: true });
   const { ref: indicatorsRef, inView: indicatorsInView } = useInView({ threshold: 0.2, triggerOnce: true });
 
   useEffect(() => {
@@ -81,12 +189,12 @@ export function EnhancedSentimentDashboard({ className = '' }: EnhancedSentiment
 
   const fetchSentimentData = async () => {
     try {
-      const response = await fetch('/data/enhanced-sentiment-data.json');
-      if (!response.ok) {
+      // Falls back to the summary in market-data.json when only the simple pipeline's file is missing
+      const data = await APIService.getInstance().getEnhancedSentimentData();
+      if (!data) {
         throw new Error('Failed to fetch sentiment data');
       }
-      const data = await response.json();
-      setSentimentData(data);
+      setSentimentData(data as SentimentData);
       setError(null);
     } catch (err) {
       console.error('Error fetching sentiment data:', err);
@@ -170,6 +278,27 @@ export function EnhancedSentimentDashboard({ className = '' }: EnhancedSentiment
   const classification = sentimentData.sentiment_composite?.classification ?? 'Unknown';
   const primarySignal = sentimentData.actionable_signals?.primary_signal;
   const confidence = sentimentData.actionable_signals?.confidence_level ?? 'UNKNOWN';
+  const attribution = sentimentData.composite_attribution;
+
+  // Since the previous run: biggest component moves, the rest folded into one bar.
+  // Without a previous run: each component's contribution building up to the score.
+  const waterfallSteps: WaterfallStep[] = [];
+  if (attribution?.previous) {
+    const shown = attribution.changes.slice(0, 6);
+    const rest = attribution.changes.slice(6).reduce((total, change) => total + change.change, 0);
+    shown.forEach(change => waterfallSteps.push({
+      label: change.label,
+      value: change.change,
+      detail: `${change.from === null ? 'n/a' : change.from.toFixed(0)} → ${change.to === null ? 'n/a' : change.to.toFixed(0)}`
+    }));
+    if (Math.abs(rest) >= 0.01) waterfallSteps.push({ label: 'Other', value: rest });
+  } else if (attribution) {
+    attribution.contributions.forEach(entry => waterfallSteps.push({
+      label: entry.label,
+      value: entry.contribution,
+      detail: `score ${entry.score.toFixed(0)} × ${(entry.share * 100).toFixed(0)}% weight`
+    }));
+  }
 
   return (
     <div className={`space-y-6 ${className}`}>
@@ -364,6 +493,42 @@ export function EnhancedSentimentDashboard({ className = '' }: EnhancedSentiment
         </motion.div>
       )}
 
+      {/* Composite Attribution */}
+      {attribution && attribution.contributions && waterfallSteps.length > 0 && (
+        <motion.div 
+          ref={attributionRef}
+          initial={{ opacity: 0, y: 50 }}
+          animate={attributionInView ? { opacity: 1, y: 0 } : { opacity: 0, y: 50 }}
+          transition={{ duration: 0.8, delay: 0.3 }}
+          className="glass-card fintech-card-hover rounded-xl p-6"
+        >
+          <div className="flex items-baseline justify-between mb-4">
+            <h3 className="text-lg font-semibold fintech-text-gradient">
+              {attribution.previous ? 'What Moved the Composite' : 'What Makes Up the Composite'}
+            </h3>
+            {attribution.previous && attribution.delta !== null && (
+              <span className={`text-sm font-medium ${attribution.delta >= 0 ? 'text-[#93A386]' : 'text-[#BC6C6C]'}`}>
+                {attribution.delta >= 0 ? '+' : ''}{attribution.delta.toFixed(1)} since {attribution.previous.date}
+              </span>
+            )}
+          </div>
+
+          <WaterfallChart
+            steps={waterfallSteps}
+            start={attribution.previous ? { label: 'Previous', value: attribution.previous.score } : undefined}
+            endLabel="Today"
+          />
+
+          {attribution.what_changed.length > 0 && (
+            <ul className="mt-6 space-y-1 text-sm text-gray-600 dark:text-gray-400 list-disc list-inside">
+              {attribution.what_changed.slice(0, 5).map(line => (
+                <li key={line}>{line}</li>
+              ))}
+            </ul>
+          )}
+        </motion.div>
+      )}
+
       {/* Market Indicators Summary */}
       <motion.div 
         ref={indicatorsRef}
@@ -405,6 +570,12 @@ export function EnhancedSentimentDashboard({ className = '' }: EnhancedSentiment
               <div className="text-xs text-gray-600 dark:text-gray-400">
                 {sentimentData.market_structure.volatility_interpretation}
               </div>
+              {sentimentData.market_structure.term_structure && (
+                <VixTermStructureChart
+                  termStructure={sentimentData.market_structure.term_structure}
+                  className="pt-3 border-t border-gray-200 dark:border-gray-700"
+                />
+              )}
             </div>
           </motion.div>
         )}
@@ -439,40 +610,256 @@ export function EnhancedSentimentDashboard({ className = '' }: EnhancedSentiment
             </div>
           </motion.div>
         )}
-      </motion.div>
 
-      {/* Price Levels (if available) */}
-      {sentimentData.actionable_signals?.spy_levels && (
-        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6">
-          <h3 className="text-lg font-semibold mb-4 text-gray-900 dark:text-white">
-            SPY Price Levels
-          </h3>
-          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-            <div className="text-center">
-              <div className="text-sm text-gray-500 dark:text-gray-400">Current</div>
-              <div className="text-lg font-bold text-gray-900 dark:text-white">
-                ${sentimentData.actionable_signals.spy_levels.current_price.toFixed(2)}
+        {/* Credit Risk Appetite */}
+        {typeof sentimentData.credit_risk_appetite?.credit_score === 'number' && (
+          <motion.div 
+            className="glass-card fintech-card-hover rounded-xl p-6"
+            initial={{ opacity: 0, x: -30 }}
+            animate={indicatorsInView ? { opacity: 1, x: 0 } : { opacity: 0, x: -30 }}
+            transition={{ duration: 0.6, delay: 0.8 }}
+            whileHover={{ y: -4 }}
+          >
+            <motion.h3 
+              className="text-lg font-semibold mb-4 fintech-text-gradient"
+              initial={{ opacity: 0 }}
+              animate={indicatorsInView ? { opacity: 1 } : { opacity: 0 }}
+              transition={{ duration: 0.6, delay: 1.0 }}
+            >
+              Credit Appetite (HYG vs LQD)
+            </motion.h3>
+            <div className="space-y-3">
+              <div>
+                <div className="text-sm text-gray-500 dark:text-gray-400">Credit Score</div>
+                <div className={`text-2xl font-bold ${getScoreColor(sentimentData.credit_risk_appetite.credit_score)}`}>
+                  <AnimatedNumber value={sentimentData.credit_risk_appetite.credit_score} />
+                </div>
+              </div>
+              <div className="grid grid-cols-3 gap-2 text-center">
+                {(['1d', '7d', '30d'] as const).map(horizon => {
+                  const relative = sentimentData.credit_risk_appetite?.relative_performance[horizon];
+                  return (
+                    <div key={horizon}>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">{horizon}</div>
+                      <div className={`text-sm font-medium ${(relative ?? 0) >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                        {relative === null || relative === undefined ? '—' : `${relative >= 0 ? '+' : ''}${relative.toFixed(2)}%`}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+              {sentimentData.credit_risk_appetite.high_yield_spread && (
+                <div className="text-xs text-gray-600 dark:text-gray-400">
+                  HY spread {sentimentData.credit_risk_appetite.high_yield_spread.spread.toFixed(2)}% ({sentimentData.credit_risk_appetite.high_yield_spread.percentile.toFixed(0)}th percentile, as of {sentimentData.credit_risk_appetite.high_yield_spread.date})
+                </div>
+              )}
+              <div className="text-xs text-gray-600 dark:text-gray-400">
+                {sentimentData.credit_risk_appetite.interpretation}
               </div>
             </div>
-            <div className="text-center">
-              <div className="text-sm text-green-500">Support</div>
-              <div className="text-lg font-bold text-green-600">
-                ${sentimentData.actionable_signals.spy_levels.support_level.toFixed(2)}
+          </motion.div>
+        )}
+
+        {/* Market Breadth */}
+        {typeof sentimentData.market_breadth?.breadth_score === 'number' && (
+          <motion.div 
+            className="glass-card fintech-card-hover rounded-xl p-6"
+            initial={{ opacity: 0, x: 30 }}
+            animate={indicatorsInView ? { opacity: 1, x: 0 } : { opacity: 0, x: 30 }}
+            transition={{ duration: 0.6, delay: 0.9 }}
+            whileHover={{ y: -4 }}
+          >
+            <motion.h3 
+              className="text-lg font-semibold mb-4 fintech-text-gradient"
+              initial={{ opacity: 0 }}
+              animate={indicatorsInView ? { opacity: 1 } : { opacity: 0 }}
+              transition={{ duration: 0.6, delay: 1.1 }}
+            >
+              Market Breadth
+            </motion.h3>
+            <div className="space-y-3">
+              <div>
+                <div className="text-sm text-gray-500 dark:text-gray-400">Breadth Score</div>
+                <div className={`text-2xl font-bold ${getScoreColor(sentimentData.market_breadth.breadth_score)}`}>
+                  <AnimatedNumber value={sentimentData.market_breadth.breadth_score} />
+                </div>
+              </div>
+              <div className="grid grid-cols-3 gap-2 text-center">
+                <div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">Above 20d</div>
+                  <div className="text-sm font-medium text-gray-900 dark:text-white">
+                    {sentimentData.market_breadth.pct_above_sma_20 === null ? '—' : `${sentimentData.market_breadth.pct_above_sma_20.toFixed(0)}%`}
+                  </div>
+                </div>
+                <div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">Above 50d</div>
+                  <div className="text-sm font-medium text-gray-900 dark:text-white">
+                    {sentimentData.market_breadth.pct_above_sma_50 === null ? '—' : `${sentimentData.market_breadth.pct_above_sma_50.toFixed(0)}%`}
+                  </div>
+                </div>
+                <div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">RSP vs SPY</div>
+                  <div className={`text-sm font-medium ${(sentimentData.market_breadth.equal_weight_divergence?.spread ?? 0) >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                    {sentimentData.market_breadth.equal_weight_divergence
+                      ? `${sentimentData.market_breadth.equal_weight_divergence.spread >= 0 ? '+' : ''}${sentimentData.market_breadth.equal_weight_divergence.spread.toFixed(2)}%`
+                      : '—'}
+                  </div>
+                </div>
+              </div>
+              <div className="text-xs text-gray-600 dark:text-gray-400">
+                {sentimentData.market_breadth.interpretation}
               </div>
             </div>
-            <div className="text-center">
-              <div className="text-sm text-red-500">Resistance</div>
-              <div className="text-lg font-bold text-red-600">
-                ${sentimentData.actionable_signals.spy_levels.resistance_level.toFixed(2)}
+          </motion.div>
+        )}
+
+        {/* Growth vs Value */}
+        {typeof sentimentData.style_rotation?.style_score === 'number' && (
+          <motion.div 
+            className="glass-card fintech-card-hover rounded-xl p-6"
+            initial={{ opacity: 0, x: -30 }}
+            animate={indicatorsInView ? { opacity: 1, x: 0 } : { opacity: 0, x: -30 }}
+            transition={{ duration: 0.6, delay: 1.0 }}
+            whileHover={{ y: -4 }}
+          >
+            <motion.h3 
+              className="text-lg font-semibold mb-4 fintech-text-gradient"
+              initial={{ opacity: 0 }}
+              animate={indicatorsInView ? { opacity: 1 } : { opacity: 0 }}
+              transition={{ duration: 0.6, delay: 1.2 }}
+            >
+              Growth vs Value
+            </motion.h3>
+            <div className="space-y-3">
+              <div>
+                <div className="text-sm text-gray-500 dark:text-gray-400">Style Score</div>
+                <div className={`text-2xl font-bold ${getScoreColor(sentimentData.style_rotation.style_score)}`}>
+                  <AnimatedNumber value={sentimentData.style_rotation.style_score} />
+                </div>
+              </div>
+              <div className="space-y-1">
+                {sentimentData.style_rotation.pairs.map(pair => {
+                  const relative = pair.relative_performance?.['7d'];
+                  return (
+                    <div key={`${pair.leader}-${pair.laggard}`} className="flex justify-between text-xs">
+                      <span className="text-gray-500 dark:text-gray-400">{pair.leader} vs {pair.laggard} (7d)</span>
+                      <span className={`font-medium ${(relative ?? 0) >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                        {relative === null || relative === undefined ? '—' : `${relative >= 0 ? '+' : ''}${relative.toFixed(2)}%`}
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+              <div className="text-xs text-gray-600 dark:text-gray-400">
+                {sentimentData.style_rotation.interpretation}
               </div>
             </div>
-            <div className="text-center">
-              <div className="text-sm text-orange-500">Stop Loss</div>
-              <div className="text-lg font-bold text-orange-600">
-                ${sentimentData.actionable_signals.spy_levels.stop_loss_suggestion.toFixed(2)}
+          </motion.div>
+        )}
+
+        {/* Global Risk Tolerance */}
+        {typeof sentimentData.global_risk_tolerance?.global_risk_score === 'number' && (
+          <motion.div 
+            className="glass-card fintech-card-hover rounded-xl p-6"
+            initial={{ opacity: 0, x: 30 }}
+            animate={indicatorsInView ? { opacity: 1, x: 0 } : { opacity: 0, x: 30 }}
+            transition={{ duration: 0.6, delay: 1.1 }}
+            whileHover={{ y: -4 }}
+          >
+            <motion.h3 
+              className="text-lg font-semibold mb-4 fintech-text-gradient"
+              initial={{ opacity: 0 }}
+              animate={indicatorsInView ? { opacity: 1 } : { opacity: 0 }}
+              transition={{ duration: 0.6, delay: 1.3 }}
+            >
+              Global Risk Tolerance
+            </motion.h3>
+            <div className="space-y-3">
+              <div>
+                <div className="text-sm text-gray-500 dark:text-gray-400">Global Risk Score</div>
+                <div className={`text-2xl font-bold ${getScoreColor(sentimentData.global_risk_tolerance.global_risk_score)}`}>
+                  <AnimatedNumber value={sentimentData.global_risk_tolerance.global_risk_score} />
+                </div>
+              </div>
+              <div className="space-y-1">
+                {sentimentData.global_risk_tolerance.pairs.map(pair => {
+                  const relative = pair.relative_performance?.['7d'];
+                  return (
+                    <div key={`${pair.leader}-${pair.laggard}`} className="flex justify-between text-xs">
+                      <span className="text-gray-500 dark:text-gray-400">{pair.leader} vs {pair.laggard} (7d)</span>
+                      <span className={`font-medium ${(relative ?? 0) >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                        {relative === null || relative === undefined ? '—' : `${relative >= 0 ? '+' : ''}${relative.toFixed(2)}%`}
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+              <div className="text-xs text-gray-600 dark:text-gray-400">
+                {sentimentData.global_risk_tolerance.interpretation}
               </div>
             </div>
+          </motion.div>
+        )}
+      </motion.div>
+
+      {/* Price Levels (if available) */}
+      {sentimentData.actionable_signals?.price_levels && Object.keys(sentimentData.actionable_signals.price_levels).length > 0 && (
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6">
+          <h3 className="text-lg font-semibold mb-4 text-gray-900 dark:text-white">
+            Price Levels
+          </h3>
+          <div className="space-y-6">
+            {Object.entries(sentimentData.actionable_signals.price_levels).map(([symbol, levels]) => (
+              <div key={symbol}>
+                <div className="flex items-baseline justify-between mb-2">
+                  <span className="font-semibold text-gray-900 dark:text-white">{symbol}</span>
+                  <span className="text-xs text-gray-500 dark:text-gray-400">
+                    ATR({levels.atr.period}) ${levels.atr.value.toFixed(2)} ({levels.atr.pct_of_price.toFixed(1)}%)
+                  </span>
+                </div>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                  <div className="text-center">
+                    <div className="text-sm text-gray-500 dark:text-gray-400">Current</div>
+                    <div className="text-lg font-bold text-gray-900 dark:text-white">
+                      ${levels.current_price.toFixed(2)}
+                    </div>
+                  </div>
+                  <div className="text-center">
+                    <div className="text-sm text-green-500">Support</div>
+                    <div className="text-lg font-bold text-green-600">
+                      ${levels.support_level.toFixed(2)}
+                    </div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">{describeLevelSource(levels.support)}</div>
+                  </div>
+                  <div className="text-center">
+                    <div className="text-sm text-red-500">Resistance</div>
+                    <div className="text-lg font-bold text-red-600">
+                      ${levels.resistance_level.toFixed(2)}
+                    </div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">{describeLevelSource(levels.resistance)}</div>
+                  </div>
+                  <div className="text-center">
+                    <div className="text-sm text-orange-500">Stop Loss</div>
+                    <div className="text-lg font-bold text-orange-600">
+                      ${levels.stop_loss_suggestion.toFixed(2)}
+                    </div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">
+                      {levels.stop.multiple}× ATR, {levels.stop.distance_pct.toFixed(1)}% below
+                    </div>
+                  </div>
+                </div>
+              </div>
+            ))}
           </div>
+          {(() => {
+            const method = Object.values(sentimentData.actionable_signals.price_levels)[0].method;
+            return (
+              <div className="mt-4 text-xs text-gray-500 dark:text-gray-400">
+                Swing points over the last {method.swing_lookback} sessions ({method.swing_strength} bars each side),{' '}
+                {method.ma_windows.join('/')}-day averages and {method.atr_period}-day ATR from {method.history_range} of daily bars
+              </div>
+            );
+          })()}
         </div>
       )}
     </div>
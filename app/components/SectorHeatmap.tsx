@@ -1,30 +1,31 @@
 'use client';
 
-import { Card, Text, Metric, Flex } from '@tremor/react';
+import { Card, Text, Metric, Flex, Select, SelectItem } from '@tremor/react';
 import { clsx } from 'clsx';
-
-interface SectorData {
-  name: string;
-  change: number;
-  volume?: number;
-  marketCap?: number;
-  symbol?: string;
-}
+import { SectorData } from '../lib/types';
 
 interface SectorHeatmapProps {
   title?: string;
+  subtitle?: string;
   data: SectorData[];
   className?: string;
   size?: 'sm' | 'md' | 'lg';
   layout?: 'grid' | 'compact';
+  periods?: Array<{ value: string; label: string }>;
+  selectedPeriod?: string;
+  onPeriodChange?: (period: string) => void;
 }
 
 export default function SectorHeatmap({
   title = "Sector Performance",
+  subtitle = "Market sector performance heatmap",
   data,
   className,
   size = 'md',
-  layout = 'grid'
+  layout = 'grid',
+  periods,
+  selectedPeriod,
+  onPeriodChange
 }: SectorHeatmapProps) {
   const getPerformanceColor = (change: number) => {
     const intensity = Math.min(Math.abs(change) / 5, 1); // Max intensity at ±5%
@@ -86,14 +87,30 @@ export default function SectorHeatmap({
 
   return (
     <Card className={clsx('p-6', className)}>
-      <div className="mb-6">
-        <Text className="font-semibold text-tremor-content-strong dark:text-dark-tremor-content-strong">
-          {title}
-        </Text>
-        <Text className="text-tremor-content-subtle dark:text-dark-tremor-content-subtle mt-1">
-          Market sector performance heatmap
-        </Text>
-      </div>
+      <Flex justifyContent="between" alignItems="start" className="mb-6">
+        <div>
+          <Text className="font-semibold text-tremor-content-strong dark:text-dark-tremor-content-strong">
+            {title}
+          </Text>
+          <Text className="text-tremor-content-subtle dark:text-dark-tremor-content-subtle mt-1">
+            {subtitle}
+          </Text>
+        </div>
+        {periods && periods.length > 1 && onPeriodChange && (
+          <Select
+            value={selectedPeriod}
+            onValueChange={onPeriodChange}
+            placeholder="Period"
+            className="max-w-[140px]"
+          >
+            {periods.map(period => (
+              <SelectItem key={period.value} value={period.value}>
+                {period.label}
+              </SelectItem>
+            ))}
+          </Select>
+        )}
+      </Flex>
 
       <div className={clsx(
         layoutClasses[layout],
@@ -148,6 +165,13 @@ export default function SectorHeatmap({
                         {sector.change > 0 ? '+' : ''}{sector.change.toFixed(2)}%
                       </Metric>
                     </div>
+                    {sector.relativeStrength !== undefined && (
+                      <div className="text-right">
+                        <Text className="text-xs opacity-75">
+                          vs SPY {sector.relativeStrength > 0 ? '+' : ''}{sector.relativeStrength.toFixed(2)}%
+                        </Text>
+                      </div>
+                    )}
                     {sector.volume && (
                       <div className="text-right">
                         <Text className="text-xs opacity-75">
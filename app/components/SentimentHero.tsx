@@ -4,13 +4,20 @@ import { Card, Text, Metric } from '@tremor/react';
 import { clsx } from 'clsx';
 import { motion } from 'framer-motion';
 import { TrendingUp, TrendingDown, AlertCircle, CheckCircle, Eye, DollarSign } from 'lucide-react';
+import { CompositeSentiment } from '../lib/types';
+import { describeDataFreshness } from '../lib/market-calendar';
 
 interface SentimentHeroProps {
   value: number;
   lastUpdated: string;
+  // The enhanced composite, shown with its own uncertainty band beside the Fear & Greed gauge
+  composite?: CompositeSentiment | null;
+  // The Fear & Greed reading's own timestamp, and whether it was carried forward after a failed fetch
+  valueAsOf?: string;
+  carriedForward?: boolean;
 }
 
-export default function SentimentHero({ value, lastUpdated }: SentimentHeroProps) {
+export default function SentimentHero({ value, lastUpdated, composite, valueAsOf, carriedForward }: SentimentHeroProps) {
   const getSentimentData = (value: number) => {
     const clampedValue = Math.max(0, Math.min(100, value));
     
@@ -95,6 +102,9 @@ export default function SentimentHero({ value, lastUpdated }: SentimentHeroProps
   };
 
   const sentimentData = getSentimentData(value);
+  const band = composite?.confidence_interval ?? null;
+  // Weekends and holidays are not staleness: Friday's close is current until Monday's
+  const freshness = describeDataFreshness(lastUpdated);
   
   // Calculate position for the needle
   const needleAngle = (value / 100) * 180 - 90; // -90 to 90 degrees
@@ -293,6 +303,21 @@ export default function SentimentHero({ value, lastUpdated }: SentimentHeroProps
             </div>
           </motion.div>
 
+          {/* Composite score with its uncertainty band (the band belongs to the composite, not to Fear & Greed) */}
+          {composite && (
+            <div className="text-center -mt-2 mb-6 lg:mb-8">
+              <Text className={clsx(sentimentData.textColor, 'text-sm sm:text-base opacity-90 drop-shadow-sm')}>
+                Composite sentiment {composite.composite_score} ({composite.classification})
+                {band && ` · likely range ${band.low.toFixed(0)}–${band.high.toFixed(0)} (${Math.round(band.level * 100)}% confidence)`}
+              </Text>
+              {band?.borderline && (
+                <Text className={clsx(sentimentData.textColor, 'text-sm sm:text-base font-semibold drop-shadow-sm')}>
+                  Borderline composite: anywhere from {band.classification_low} to {band.classification_high}
+                </Text>
+              )}
+            </div>
+          )}
+
           {/* Explanation Cards */}
           <motion.div
             initial={{ opacity: 0, y: 20 }}
@@ -347,9 +372,18 @@ export default function SentimentHero({ value, lastUpdated }: SentimentHeroProps
             transition={{ duration: 0.4, delay: 1.6 }}
             className="text-center mt-4 lg:mt-6"
           >
-            <Text className={clsx(sentimentData.textColor, 'text-sm opacity-70')}>
-              Last updated: {new Date(lastUpdated).toLocaleString()}
+            <Text className={clsx(sentimentData.textColor, 'text-sm', freshness.stale ? 'font-semibold opacity-95' : 'opacity-70')}>
+              {freshness.stale && <AlertCircle className="inline h-4 w-4 mr-1 -mt-0.5" />}
+              {freshness.label}
             </Text>
+            {valueAsOf && (
+              <Text className={clsx(sentimentData.textColor, 'text-sm mt-1', carriedForward ? 'font-semibold opacity-95' : 'opacity-70')}>
+                {carriedForward && <AlertCircle className="inline h-4 w-4 mr-1 -mt-0.5" />}
+                {carriedForward
+                  ? `Fear & Greed unavailable — showing the last reading, from ${new Date(valueAsOf).toLocaleString()}`
+                  : `Fear & Greed reading from ${new Date(valueAsOf).toLocaleString()}`}
+              </Text>
+            )}
           </motion.div>
         </div>
       </Card>
@@ -4,6 +4,7 @@ import { Card, Text, Flex, AreaChart, LineChart, Select, SelectItem } from '@tre
 import { useState } from 'react';
 import { clsx } from 'clsx';
 import { motion, AnimatePresence } from 'framer-motion';
+import { MarketRegime, MarketRegimeState } from '../lib/types';
 
 interface TimelineDataPoint {
   date: string;
@@ -22,8 +23,18 @@ interface TimelineChartProps {
   showControls?: boolean;
   defaultPeriod?: '1D' | '1W' | '1M' | '3M' | '6M' | '1Y';
   chartType?: 'area' | 'line';
+  regime?: MarketRegimeState | null;
 }
 
+const REGIME_STYLES: Record<MarketRegime, { label: string; color: string }> = {
+  CRISIS_MODE: { label: 'Crisis', color: 'bg-red-600' },
+  FEAR_DRIVEN: { label: 'Fear-driven', color: 'bg-orange-500' },
+  OVERSOLD_OPPORTUNITY: { label: 'Oversold', color: 'bg-amber-400' },
+  NORMAL_MARKETS: { label: 'Normal', color: 'bg-gray-300 dark:bg-gray-600' },
+  OVERBOUGHT_CAUTION: { label: 'Overbought', color: 'bg-lime-500' },
+  COMPLACENCY_RISK: { label: 'Complacency', color: 'bg-emerald-600' }
+};
+
 export default function TimelineChart({
   title = "Sentiment Timeline",
   data,
@@ -31,7 +42,8 @@ export default function TimelineChart({
   className,
   showControls = true,
   defaultPeriod = '1M',
-  chartType = 'area'
+  chartType = 'area',
+  regime
 }: TimelineChartProps) {
   const [selectedPeriod, setSelectedPeriod] = useState(defaultPeriod);
   const [selectedMetric, setSelectedMetric] = useState<'sentiment' | 'fearGreed' | 'vix' | 'spyPrice'>('sentiment');
@@ -141,6 +153,16 @@ export default function TimelineChart({
     return ((latest - previous) / previous) * 100;
   };
 
+  // Regime of each visible point, from the engine's replayed regime periods
+  const regimeRibbon = regime
+    ? filteredData.map(point => ({
+        date: point.date,
+        regime: regime.history.find(period => period.start <= point.date && point.date <= period.end)?.regime ?? null
+      }))
+    : [];
+  const ribbonRegimes = Array.from(new Set(regimeRibbon.map(point => point.regime)))
+    .filter((value): value is MarketRegime => value !== null);
+
   const latestValue = getLatestValue();
   const change = getChange();
 
@@ -307,6 +329,41 @@ export default function TimelineChart({
           </AnimatePresence>
         </motion.div>
 
+      {/* Market Regime Ribbon */}
+      {regime && regimeRibbon.length > 0 && (
+        <div className="mt-4">
+          <Flex justifyContent="between" alignItems="center" className="mb-2">
+            <Text className="text-xs text-tremor-content dark:text-dark-tremor-content">
+              In <span className="font-mono font-semibold">{regime.regime}</span> for {regime.sessions} session{regime.sessions === 1 ? '' : 's'} (since {new Date(regime.since).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })})
+            </Text>
+            {regime.pending && (
+              <Text className="text-xs text-tremor-content-subtle dark:text-dark-tremor-content-subtle">
+                Leaning <span className="font-mono">{regime.pending}</span>
+              </Text>
+            )}
+          </Flex>
+          <div className="flex h-2.5 w-full overflow-hidden rounded-full" role="img" aria-label="Market regime by session">
+            {regimeRibbon.map(point => (
+              <div
+                key={point.date}
+                className={clsx('flex-1', point.regime ? REGIME_STYLES[point.regime].color : 'bg-transparent')}
+                title={`${point.date}: ${point.regime ?? 'no regime recorded'}`}
+              />
+            ))}
+          </div>
+          <Flex justifyContent="start" className="flex-wrap gap-3 mt-2">
+            {ribbonRegimes.map(value => (
+              <Flex key={value} alignItems="center" className="space-x-1 w-auto">
+                <div className={clsx('w-3 h-3 rounded', REGIME_STYLES[value].color)} />
+                <Text className="text-xs text-tremor-content dark:text-dark-tremor-content">
+                  {REGIME_STYLES[value].label}
+                </Text>
+              </Flex>
+            ))}
+          </Flex>
+        </div>
+      )}
+
       {/* Sentiment Zones Legend (only for sentiment metrics) */}
       {(selectedMetric === 'sentiment' || selectedMetric === 'fearGreed') && (
         <div className="mt-4 pt-4 border-t border-tremor-border dark:border-dark-tremor-border">
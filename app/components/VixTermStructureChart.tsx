@@ -0,0 +1,83 @@
+'use client';
+
+import { Text, Flex, LineChart, Badge } from '@tremor/react';
+import { clsx } from 'clsx';
+import { VixTermStructure } from '../lib/types';
+
+interface VixTermStructureChartProps {
+  termStructure: VixTermStructure;
+  className?: string;
+}
+
+const SNAPSHOTS = [
+  { key: 'today', label: 'Today' },
+  { key: 'week_ago', label: '1 week ago' },
+  { key: 'month_ago', label: '1 month ago' }
+] as const;
+
+const SHAPE_LABELS: Record<string, string> = {
+  contango: 'Contango',
+  backwardation: 'Backwardation',
+  mixed: 'Partly inverted'
+};
+
+export default function VixTermStructureChart({ termStructure, className }: VixTermStructureChartProps) {
+  const history = termStructure.curve_history || {};
+  const snapshots = SNAPSHOTS.filter(({ key }) => history[key]);
+
+  // One row per tenor, one column per snapshot
+  const tenors = termStructure.curve || history.today?.points || [];
+  const chartData = tenors.map(({ tenor }) => {
+    const row: Record<string, string | number> = { tenor };
+    for (const { key, label } of snapshots) {
+      const point = history[key]?.points.find(p => p.tenor === tenor);
+      if (point) row[label] = point.level;
+    }
+    return row;
+  });
+
+  if (chartData.length < 2) return null;
+
+  const inversions = termStructure.inversions || [];
+
+  return (
+    <div className={clsx('space-y-3', className)}>
+      <Flex justifyContent="between" alignItems="center" className="flex-wrap gap-2">
+        <Text className="text-sm text-gray-500 dark:text-gray-400">Term Structure</Text>
+        <Flex justifyContent="end" className="gap-2 w-auto">
+          {termStructure.shape && (
+            <Badge color={termStructure.shape === 'contango' ? 'emerald' : termStructure.shape === 'backwardation' ? 'red' : 'amber'}>
+              {SHAPE_LABELS[termStructure.shape]}
+            </Badge>
+          )}
+          {typeof termStructure.slope_pct === 'number' && (
+            <Badge color="gray">
+              Slope {termStructure.slope_pct >= 0 ? '+' : ''}{termStructure.slope_pct.toFixed(1)}%
+            </Badge>
+          )}
+        </Flex>
+      </Flex>
+
+      <LineChart
+        data={chartData}
+        index="tenor"
+        categories={snapshots.map(({ label }) => label)}
+        colors={['blue', 'gray', 'slate']}
+        showLegend={true}
+        showGridLines={true}
+        yAxisWidth={40}
+        curveType="linear"
+        autoMinValue={true}
+        className="h-48"
+        valueFormatter={(value) => value.toFixed(2)}
+      />
+
+      <div className="text-xs text-gray-600 dark:text-gray-400">
+        {inversions.length > 0
+          ? `Inverted: ${inversions.join(', ')} — near-dated fear is priced above longer tenors`
+          : 'Upward sloping curve — no inversions'}
+        {typeof termStructure.stress_score === 'number' && ` • Stress ${termStructure.stress_score.toFixed(0)}/100`}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+'use client';
+
+import { motion } from 'framer-motion';
+import { clsx } from 'clsx';
+
+export interface WaterfallStep {
+  label: string;
+  value: number;
+  detail?: string;
+}
+
+interface WaterfallChartProps {
+  steps: WaterfallStep[];
+  start?: { label: string; value: number };
+  endLabel?: string;
+  height?: number;
+  format?: (value: number) => string;
+  className?: string;
+}
+
+interface Bar {
+  label: string;
+  from: number;
+  to: number;
+  kind: 'total' | 'up' | 'down';
+  detail?: string;
+}
+
+const BAR_COLORS = {
+  total: 'bg-gray-400 dark:bg-gray-500',
+  up: 'bg-[#93A386]',
+  down: 'bg-[#BC6C6C]'
+};
+
+/**
+ * Running total from `start` (0 when omitted) through each step, ending in a total bar
+ */
+export default function WaterfallChart({
+  steps,
+  start,
+  endLabel = 'Total',
+  height = 192,
+  format = (value: number) => value.toFixed(1),
+  className
+}: WaterfallChartProps) {
+  const bars: Bar[] = [];
+  let running = start?.value ?? 0;
+
+  if (start) {
+    bars.push({ label: start.label, from: 0, to: start.value, kind: 'total' });
+  }
+  for (const step of steps) {
+    bars.push({ label: step.label, from: running, to: running + step.value, kind: step.value >= 0 ? 'up' : 'down', detail: step.detail });
+    running += step.value;
+  }
+  bars.push({ label: endLabel, from: 0, to: running, kind: 'total' });
+
+  // Day-over-day moves are small next to the totals, so zoom the axis onto the moving part
+  const movingPoints = bars.filter(bar => bar.kind !== 'total').flatMap(bar => [bar.from, bar.to]);
+  const totals = bars.filter(bar => bar.kind === 'total').map(bar => bar.to);
+  const points = start ? [...movingPoints, ...totals] : [0, ...movingPoints, ...totals];
+  const padding = Math.max(1, (Math.max(...points) - Math.min(...points)) * 0.1);
+  const low = start ? Math.max(0, Math.min(...points) - padding) : Math.min(0, ...points);
+  const high = Math.max(...points) + padding;
+  const toPct = (value: number) => ((Math.max(value, low) - low) / (high - low)) * 100;
+
+  return (
+    <div className={clsx('w-full', className)}>
+      <div className="flex items-end gap-1 sm:gap-2" style={{ height }}>
+        {bars.map((bar, index) => {
+          const bottom = toPct(Math.min(bar.from, bar.to));
+          const barHeight = Math.max(0.75, toPct(Math.max(bar.from, bar.to)) - bottom);
+          const change = bar.to - bar.from;
+          const valueLabel = bar.kind === 'total' ? format(bar.to) : `${change >= 0 ? '+' : ''}${format(change)}`;
+          return (
+            <div
+              key={`${bar.label}-${index}`}
+              className="relative flex-1 h-full"
+              title={`${bar.label}: ${valueLabel}${bar.detail ? ` (${bar.detail})` : ''}`}
+            >
+              <motion.div
+                className={clsx('absolute left-0 right-0 rounded-sm', BAR_COLORS[bar.kind])}
+                style={{ bottom: `${bottom}%`, height: `${barHeight}%`, transformOrigin: 'bottom' }}
+                initial={{ scaleY: 0 }}
+                animate={{ scaleY: 1 }}
+                transition={{ duration: 0.5, delay: index * 0.05 }}
+              />
+              <div
+                className="absolute left-0 right-0 text-center text-[10px] sm:text-xs font-medium text-gray-700 dark:text-gray-300"
+                style={{ bottom: `calc(${bottom + barHeight}% + 2px)` }}
+              >
+                {valueLabel}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex gap-1 sm:gap-2 mt-2">
+        {bars.map((bar, index) => (
+          <div
+            key={`${bar.label}-label-${index}`}
+            className="flex-1 text-center text-[10px] sm:text-xs leading-tight text-gray-500 dark:text-gray-400 break-words"
+          >
+            {bar.label}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
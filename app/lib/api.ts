@@ -1,4 +1,4 @@
-import { SentimentData, SentimentLevel, APIResponse } from './types';
+import { SentimentData, SentimentLevel, PutCallSource, APIResponse, SentimentHistoryIndex, SentimentHistoryPoint, BacktestReport, SectorRotation, CorrelationMatrix, MarketRegimeState, CompositeSentiment, EnhancedSentimentSummary, MarketDataSnapshot } from './types';
 import {
   InputValidator,
   RateLimiter,
@@ -8,8 +8,13 @@ import {
   SecurityError,
   APIError,
 } from './security';
+import { MarketDataProvider, createMarketDataProvider } from './market-data-provider';
+import { classifyCompositeScore, compositeScore, scoreVixLevel } from './sentiment-config';
 // Security-enhanced API service for financial data
 
+// Newest market-data.json contract this client understands (schemas/market-data.schema.json)
+const MARKET_DATA_CONTRACT_VERSION = 2;
+
 class APIService {
   private static instance: APIService;
   private cache: Map<string, { data: any; timestamp: number; integrity: string }> = new Map();
@@ -17,10 +22,12 @@ class APIService {
   private errorCounts: Map<string, number> = new Map();
   private secureClient: SecureAPIClient;
   private anomalyDetector: AnomalyDetector;
+  private marketDataProvider: MarketDataProvider;
 
   constructor() {
     this.secureClient = SecureAPIClient.getInstance();
     this.anomalyDetector = new AnomalyDetector();
+    this.marketDataProvider = createMarketDataProvider();
   }
 
   static getInstance(): APIService {
@@ -207,24 +214,11 @@ class APIService {
 
     return this.fetchWithCache(`stock-${validatedSymbol}`, async () => {
       try {
-        const url = `https://query1.finance.yahoo.com/v8/finance/chart/${validatedSymbol}?interval=1d&range=5d`;
-        const data = await this.secureClient.secureRequest<any>(url);
-        
-        // Validate response structure with comprehensive checks
-        if (!data.chart || !data.chart.result || !Array.isArray(data.chart.result) || !data.chart.result[0]) {
-          throw new APIError(`Invalid response format from Yahoo Finance API for ${validatedSymbol}`, 422, url);
-        }
-        
-        const result = data.chart.result[0];
-        if (!result.indicators || !result.indicators.quote || !Array.isArray(result.indicators.quote) || 
-            !result.indicators.quote[0] || !Array.isArray(result.indicators.quote[0].close)) {
-          throw new APIError(`No price data available for ${validatedSymbol}`, 422, url);
-        }
+        const url = this.marketDataProvider.describe(validatedSymbol);
+        const bars = await this.marketDataProvider.getHistory(validatedSymbol, { range: '5d', interval: '1d' });
         
-        // Filter and validate price data
-        const prices = result.indicators.quote[0].close
-          .filter((price: any) => price !== null && typeof price === 'number' && Number.isFinite(price))
-          .map((price: number) => InputValidator.validateNumber(price, `${validatedSymbol} price`));
+        // Validate price data
+        const prices = bars.map(bar => InputValidator.validateNumber(bar.close, `${validatedSymbol} price`));
         
         if (prices.length < 2) {
           throw new APIError(`Insufficient price data for ${validatedSymbol}`, 422, url);
@@ -246,7 +240,7 @@ class APIService {
         this.anomalyDetector.checkStockAnomaly(validatedSymbol, current, validatedChange);
         
         SecurityAuditor.logSecurityEvent('DATA_ACCESS', {
-          source: 'yahoo_finance_api',
+          source: `${this.marketDataProvider.name}_market_data`,
           symbol: validatedSymbol,
           price: current,
           change: validatedChange,
@@ -262,9 +256,9 @@ class APIService {
           throw error;
         }
         throw new APIError(
-          `Yahoo Finance API request failed for ${validatedSymbol}: ${error}`,
+          `${this.marketDataProvider.name} market data request failed for ${validatedSymbol}: ${error}`,
           500,
-          `https://query1.finance.yahoo.com/v8/finance/chart/${validatedSymbol}`
+          this.marketDataProvider.describe(validatedSymbol)
         );
       }
     });
@@ -277,19 +271,7 @@ class APIService {
 
     return this.fetchWithCache('vix', async () => {
       try {
-        const url = 'https://query1.finance.yahoo.com/v8/finance/chart/^VIX?interval=1d&range=1d';
-        const data = await this.secureClient.secureRequest<any>(url);
-        
-        // Validate response structure
-        if (!data.chart || !data.chart.result || !Array.isArray(data.chart.result) || !data.chart.result[0] || 
-            !data.chart.result[0].indicators || !data.chart.result[0].indicators.quote ||
-            !Array.isArray(data.chart.result[0].indicators.quote) || !data.chart.result[0].indicators.quote[0] || 
-            !Array.isArray(data.chart.result[0].indicators.quote[0].close)) {
-          throw new APIError('Invalid response format from Yahoo Finance VIX API', 422, url);
-        }
-        
-        const closeValues = data.chart.result[0].indicators.quote[0].close;
-        const vixValue = closeValues[closeValues.length - 1]; // Get most recent value
+        const vixValue = await this.marketDataProvider.getIndexLevel('^VIX');
         
         // Validate VIX value
         const validatedVix = InputValidator.validateNumber(vixValue, 'VIX');
@@ -303,7 +285,7 @@ class APIService {
         this.anomalyDetector.checkVIXAnomaly(validatedVix);
         
         SecurityAuditor.logSecurityEvent('DATA_ACCESS', {
-          source: 'yahoo_vix_api',
+          source: `${this.marketDataProvider.name}_vix`,
           value: validatedVix,
           dataIntegrity: 'validated',
         });
@@ -314,9 +296,9 @@ class APIService {
           throw error;
         }
         throw new APIError(
-          `Yahoo Finance VIX API request failed: ${error}`,
+          `${this.marketDataProvider.name} VIX request failed: ${error}`,
           500,
-          'https://query1.finance.yahoo.com/v8/finance/chart/^VIX'
+          this.marketDataProvider.describe('^VIX')
         );
       }
     });
@@ -325,8 +307,8 @@ class APIService {
   async getPutCallRatio(): Promise<number> {
     return this.fetchWithCache('put-call', async () => {
       try {
-        // Since Yahoo Finance free API doesn't provide options volume data,
-        // we'll calculate a proxy put/call ratio using market volatility indicators
+        // Options chains can't be fetched from the browser, so live mode falls back to
+        // a proxy from market volatility indicators (the pipeline measures the real ratio)
         const [vixData, spyData] = await Promise.all([
           this.getVIXData(),
           this.getStockData('SPY')
@@ -359,6 +341,20 @@ class APIService {
     });
   }
 
+  /**
+   * Put/Call ratio from a pipeline data file, labelled with where it came from.
+   * Files without `putCall` predate options-chain measurement and hold the proxy.
+   */
+  private putCallFromMarketData(marketData: Partial<Pick<MarketDataSnapshot, 'putCallRatio' | 'putCall'>>, vixLevel: number, spyChange: number): { putCallRatio: number; putCallSource: PutCallSource } {
+    if (typeof marketData.putCallRatio === 'number' && marketData.putCallRatio > 0) {
+      return {
+        putCallRatio: marketData.putCallRatio,
+        putCallSource: marketData.putCall?.source === 'measured' ? 'measured' : 'proxy'
+      };
+    }
+    return { putCallRatio: this.calculatePutCallProxy(vixLevel, spyChange), putCallSource: 'proxy' };
+  }
+
   /**
    * Calculate Put/Call ratio proxy using VIX and market movement
    * This provides a more realistic estimate than random generation
@@ -395,21 +391,16 @@ class APIService {
     return ratio;
   }
 
-  private calculateSentiment(fearGreed: number, stockChanges: number[], vix: number): SentimentLevel {
-    const avgStockChange = stockChanges.reduce((a, b) => a + b, 0) / stockChanges.length;
-    
-    let score = 0;
-    score += fearGreed;
-    score += Math.max(-20, Math.min(20, avgStockChange * 10)) + 20;
-    score += Math.max(0, Math.min(40, (40 - vix) * 2));
-    
-    const normalizedScore = score / 140 * 100;
-    
-    if (normalizedScore < 20) return 'extreme-fear';
-    if (normalizedScore < 40) return 'fear';
-    if (normalizedScore < 60) return 'neutral';
-    if (normalizedScore < 80) return 'greed';
-    return 'extreme-greed';
+  /**
+   * Same weighted composite and cutoffs as the pipeline (config/sentiment-config.json),
+   * restricted to the components available client-side
+   */
+  private calculateSentiment(fearGreed: number, vix: number): SentimentLevel {
+    const score = compositeScore({
+      fear_greed_index: fearGreed,
+      vix_score: scoreVixLevel(vix)
+    });
+    return classifyCompositeScore(score);
   }
 
   async getSentimentData(): Promise<APIResponse<SentimentData>> {
@@ -485,6 +476,210 @@ class APIService {
     }
   }
 
+  /**
+   * Load the daily sentiment history index written by the data pipeline
+   * Returns an empty series when no history has been recorded yet
+   */
+  async getSentimentHistory(): Promise<SentimentHistoryPoint[]> {
+    const basePath = process.env.NODE_ENV === 'production' ? '/Investor-Sentiment-Tracker-v2' : '';
+
+    try {
+      return await this.fetchWithCache('sentiment-history', async () => {
+        const response = await fetch(`${basePath}/data/history/index.json?v=${Math.floor(Date.now() / (5 * 60 * 1000))}`, {
+          method: 'GET',
+          headers: { 'Accept': 'application/json' },
+          cache: 'no-store'
+        });
+
+        if (!response.ok) {
+          throw new APIError(`History index unavailable (${response.status})`, response.status, `${basePath}/data/history/index.json`);
+        }
+
+        const index: SentimentHistoryIndex = await response.json();
+        if (!index || !Array.isArray(index.series)) {
+          throw new APIError('Invalid history index format', 422, `${basePath}/data/history/index.json`);
+        }
+
+        return index.series.filter(point => typeof point.date === 'string');
+      });
+    } catch (error) {
+      console.log('❌ Sentiment history unavailable:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Load the signal backtest report written by scripts/backtest-signals.js
+   * Returns null when no report has been generated yet
+   */
+  async getBacktestReport(): Promise<BacktestReport | null> {
+    const basePath = process.env.NODE_ENV === 'production' ? '/Investor-Sentiment-Tracker-v2' : '';
+
+    try {
+      return await this.fetchWithCache('backtest-report', async () => {
+        const response = await fetch(`${basePath}/data/backtest-report.json?v=${Math.floor(Date.now() / (5 * 60 * 1000))}`, {
+          method: 'GET',
+          headers: { 'Accept': 'application/json' },
+          cache: 'no-store'
+        });
+
+        if (!response.ok) {
+          throw new APIError(`Backtest report unavailable (${response.status})`, response.status, `${basePath}/data/backtest-report.json`);
+        }
+
+        const report: BacktestReport = await response.json();
+        if (!report || !report.signals || !report.sample) {
+          throw new APIError('Invalid backtest report format', 422, `${basePath}/data/backtest-report.json`);
+        }
+        // Reports without a pipeline label scored simple and enhanced readings together
+        if (!report.pipeline) {
+          throw new APIError('Backtest report does not say which pipeline it covers', 422, `${basePath}/data/backtest-report.json`);
+        }
+
+        return report;
+      });
+    } catch (error) {
+      console.log('❌ Backtest report unavailable:', error);
+      return null;
+    }
+  }
+
+  // Output of the enhanced pipeline (only the sections the dashboard reads); callers cache their section
+  private async fetchEnhancedSentimentData(): Promise<{
+    sentiment_composite?: CompositeSentiment;
+    sector_rotation?: SectorRotation;
+    actionable_signals?: Partial<EnhancedSentimentSummary['actionable_signals']> & { regime?: MarketRegimeState };
+  }> {
+    const basePath = process.env.NODE_ENV === 'production' ? '/Investor-Sentiment-Tracker-v2' : '';
+    const response = await fetch(`${basePath}/data/enhanced-sentiment-data.json?v=${Math.floor(Date.now() / (5 * 60 * 1000))}`, {
+      method: 'GET',
+      headers: { 'Accept': 'application/json' },
+      cache: 'no-store'
+    });
+
+    if (!response.ok) {
+      throw new APIError(`Enhanced sentiment data unavailable (${response.status})`, response.status, `${basePath}/data/enhanced-sentiment-data.json`);
+    }
+
+    return response.json();
+  }
+
+  private async fetchMarketDataSnapshot(): Promise<MarketDataSnapshot> {
+    const basePath = process.env.NODE_ENV === 'production' ? '/Investor-Sentiment-Tracker-v2' : '';
+    const response = await fetch(`${basePath}/data/market-data.json?v=${Math.floor(Date.now() / (5 * 60 * 1000))}`, {
+      method: 'GET',
+      headers: { 'Accept': 'application/json' },
+      cache: 'no-store'
+    });
+
+    if (!response.ok) {
+      throw new APIError(`Market data unavailable (${response.status})`, response.status, `${basePath}/data/market-data.json`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Enhanced pipeline output, or the summary market-data.json carries when the
+   * full file is unavailable (headline and signals only). Only the summary
+   * sections are typed here; the dashboard types the rest.
+   */
+  async getEnhancedSentimentData(): Promise<EnhancedSentimentSummary | null> {
+    try {
+      return await this.fetchWithCache('enhanced-sentiment', async () => {
+        try {
+          return (await this.fetchEnhancedSentimentData()) as EnhancedSentimentSummary;
+        } catch (error) {
+          const snapshot = await this.fetchMarketDataSnapshot();
+          if (!snapshot.enhanced) throw error;
+          return snapshot.enhanced;
+        }
+      });
+    } catch (error) {
+      console.log('❌ Enhanced sentiment data unavailable:', error);
+      return null;
+    }
+  }
+
+  async getCompositeSentiment(): Promise<CompositeSentiment | null> {
+    try {
+      return await this.fetchWithCache('composite-sentiment', async () => {
+        const data = await this.fetchEnhancedSentimentData();
+        const composite = data?.sentiment_composite;
+        if (!composite || typeof composite.composite_score !== 'number') {
+          throw new APIError('No composite score in enhanced sentiment output', 422, '/data/enhanced-sentiment-data.json');
+        }
+
+        return composite;
+      });
+    } catch (error) {
+      console.log('❌ Composite sentiment unavailable:', error);
+      return null;
+    }
+  }
+
+  async getSectorRotation(): Promise<SectorRotation | null> {
+    try {
+      return await this.fetchWithCache('sector-rotation', async () => {
+        const data = await this.fetchEnhancedSentimentData();
+        const rotation: SectorRotation | undefined = data?.sector_rotation;
+        if (!rotation || !Array.isArray(rotation.sectors) || rotation.sectors.length === 0) {
+          throw new APIError('No sector rotation data in enhanced sentiment output', 422, '/data/enhanced-sentiment-data.json');
+        }
+
+        return rotation;
+      });
+    } catch (error) {
+      console.log('❌ Sector rotation unavailable:', error);
+      return null;
+    }
+  }
+
+  async getMarketRegime(): Promise<MarketRegimeState | null> {
+    try {
+      return await this.fetchWithCache('market-regime', async () => {
+        const data = await this.fetchEnhancedSentimentData();
+        const regime: MarketRegimeState | undefined = data?.actionable_signals?.regime;
+        if (!regime || !regime.regime || !Array.isArray(regime.history)) {
+          throw new APIError('No market regime in enhanced sentiment output', 422, '/data/enhanced-sentiment-data.json');
+        }
+
+        return regime;
+      });
+    } catch (error) {
+      console.log('❌ Market regime unavailable:', error);
+      return null;
+    }
+  }
+
+  async getCorrelationMatrix(): Promise<CorrelationMatrix | null> {
+    const basePath = process.env.NODE_ENV === 'production' ? '/Investor-Sentiment-Tracker-v2' : '';
+
+    try {
+      return await this.fetchWithCache('correlation-matrix', async () => {
+        const response = await fetch(`${basePath}/data/correlation-matrix.json?v=${Math.floor(Date.now() / (5 * 60 * 1000))}`, {
+          method: 'GET',
+          headers: { 'Accept': 'application/json' },
+          cache: 'no-store'
+        });
+
+        if (!response.ok) {
+          throw new APIError(`Correlation matrix unavailable (${response.status})`, response.status, `${basePath}/data/correlation-matrix.json`);
+        }
+
+        const matrix: CorrelationMatrix = await response.json();
+        if (!Array.isArray(matrix?.symbols) || matrix.symbols.length < 2 || !matrix.matrices) {
+          throw new APIError('Correlation matrix is empty', 422, `${basePath}/data/correlation-matrix.json`);
+        }
+
+        return matrix;
+      });
+    } catch (error) {
+      console.log('❌ Correlation matrix unavailable:', error);
+      return null;
+    }
+  }
+
   private async loadAlternativePaths(): Promise<SentimentData | null> {
     const basePath = process.env.NODE_ENV === 'production' ? '/Investor-Sentiment-Tracker-v2' : '';
     const alternativePaths = [
@@ -540,8 +735,7 @@ class APIService {
       const vixValue = vix.status === 'fulfilled' ? vix.value : 20;
       const putCallValue = putCall.status === 'fulfilled' ? putCall.value : 0.92;
 
-      const stockChanges = [spyData.change, qqqData.change, iwmData.change];
-      const overallSentiment = this.calculateSentiment(fearGreedValue, stockChanges, vixValue);
+      const overallSentiment = this.calculateSentiment(fearGreedValue, vixValue);
 
       return {
         fearGreedIndex: fearGreedValue,
@@ -553,6 +747,7 @@ class APIService {
         iwmPrice: iwmData.price || 200,
         vixLevel: vixValue,
         putCallRatio: putCallValue,
+        putCallSource: 'proxy',
         overallSentiment,
         lastUpdated: new Date().toISOString()
       };
@@ -585,10 +780,9 @@ class APIService {
       const iwmPrice = stocks.IWM?.price || 200;
       const vixLevel = vixData.price || 20;
       const fearGreedIndex = fearGreedData.value || 50;
-      const putCallRatio = marketData.putCallRatio || this.calculatePutCallProxy(vixLevel, spyChange);
+      const { putCallRatio, putCallSource } = this.putCallFromMarketData(marketData, vixLevel, spyChange);
 
-      const stockChanges = [spyChange, qqqChange, iwmChange];
-      const overallSentiment = this.calculateSentiment(fearGreedIndex, stockChanges, vixLevel);
+      const overallSentiment = this.calculateSentiment(fearGreedIndex, vixLevel);
 
       return {
         fearGreedIndex,
@@ -600,6 +794,9 @@ class APIService {
         iwmPrice,
         vixLevel,
         putCallRatio,
+        putCallSource,
+        fearGreedAsOf: fearGreedData.timestamp,
+        fearGreedCarriedForward: fearGreedData.carried_forward === true,
         overallSentiment,
         lastUpdated: marketData.timestamp || new Date().toISOString()
       };
@@ -672,6 +869,10 @@ class APIService {
       
       console.log('📊 Raw market data loaded:', marketData);
       
+      if ((marketData.contract_version ?? 1) > MARKET_DATA_CONTRACT_VERSION) {
+        console.warn(`⚠️ market-data.json uses contract version ${marketData.contract_version}; this client reads up to ${MARKET_DATA_CONTRACT_VERSION}`);
+      }
+      
       // Validate essential data structure
       if (!marketData || typeof marketData !== 'object') {
         console.log('❌ Invalid market data structure');
@@ -734,7 +935,7 @@ class APIService {
       const vixLevel = vixData.price || 20; // VIX price not value
       const fearGreedIndex = fearGreedData.value || 50;
       // Use pre-calculated put/call ratio from data, fallback to calculation if not available
-      const putCallRatio = marketData.putCallRatio || this.calculatePutCallProxy(vixLevel, spyChange);
+      const { putCallRatio, putCallSource } = this.putCallFromMarketData(marketData, vixLevel, spyChange);
       
       console.log('📋 Extracted values before processing:', {
         spyChange, spyPrice, qqqChange, qqqPrice, iwmChange, iwmPrice,
@@ -742,8 +943,7 @@ class APIService {
       });
 
 
-      const stockChanges = [spyChange, qqqChange, iwmChange];
-      const overallSentiment = this.calculateSentiment(fearGreedIndex, stockChanges, vixLevel);
+      const overallSentiment = this.calculateSentiment(fearGreedIndex, vixLevel);
 
       const result = {
         fearGreedIndex,
@@ -755,6 +955,9 @@ class APIService {
         iwmPrice,
         vixLevel,
         putCallRatio,
+        putCallSource,
+        fearGreedAsOf: fearGreedData.timestamp,
+        fearGreedCarriedForward: fearGreedData.carried_forward === true,
         overallSentiment,
         lastUpdated: marketData.timestamp || new Date().toISOString()
       };
@@ -795,7 +998,8 @@ class APIService {
       // Extract relevant data from the embedded structure (same logic as JSON loading)
       const stocks = marketData.stocks;
       const vixData = stocks['^VIX'] || {};
-      const fearGreedData = marketData.fearGreed;
+      // Typed as the contract: the embedded file's literal type only has the fields of the last injected reading
+      const fearGreedData: MarketDataSnapshot['fearGreed'] = marketData.fearGreed;
       
       // Validate essential stock data
       if (!stocks.SPY || typeof stocks.SPY.price !== 'number' || typeof stocks.SPY.change !== 'number') {
@@ -827,10 +1031,9 @@ class APIService {
       const iwmPrice = stocks.IWM?.price || 200;
       const vixLevel = vixData.price || 20;
       const fearGreedIndex = fearGreedData.value || 50;
-      const putCallRatio = marketData.putCallRatio || this.calculatePutCallProxy(vixLevel, spyChange);
+      const { putCallRatio, putCallSource } = this.putCallFromMarketData(marketData, vixLevel, spyChange);
 
-      const stockChanges = [spyChange, qqqChange, iwmChange];
-      const overallSentiment = this.calculateSentiment(fearGreedIndex, stockChanges, vixLevel);
+      const overallSentiment = this.calculateSentiment(fearGreedIndex, vixLevel);
 
       const result = {
         fearGreedIndex,
@@ -842,6 +1045,9 @@ class APIService {
         iwmPrice,
         vixLevel,
         putCallRatio,
+        putCallSource,
+        fearGreedAsOf: fearGreedData.timestamp,
+        fearGreedCarriedForward: fearGreedData.carried_forward === true,
         overallSentiment,
         lastUpdated: marketData.timestamp || new Date().toISOString()
       };
@@ -866,7 +1072,8 @@ class APIService {
       iwmPrice: 200,
       vixLevel: 22,
       putCallRatio: 0.92,
-      overallSentiment: this.calculateSentiment(45, mockChanges, 22),
+      putCallSource: 'proxy',
+      overallSentiment: this.calculateSentiment(45, 22),
       lastUpdated: new Date().toISOString()
     };
   }
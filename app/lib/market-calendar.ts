@@ -0,0 +1,121 @@
+import marketCalendar from '../../config/market-calendar.json';
+import { SENTIMENT_CONFIG } from './sentiment-config';
+
+// NYSE trading calendar (config/market-calendar.json), shared with the pipeline.
+// `npm run validate-config` checks the file before every build. Times compare
+// as exchange wall-clock "HH:MM" strings, so no UTC offsets are needed here.
+
+interface MarketCalendar {
+  timezone: string;
+  regular_hours: { open: string; close: string };
+  early_close: string;
+  holidays: Record<string, string>;
+  early_closes: Record<string, string>;
+}
+
+export type MarketState = 'open' | 'pre_market' | 'after_hours' | 'closed';
+
+export interface MarketStatus {
+  state: MarketState;
+  date: string;
+  holiday: string | null;
+  lastSession: string;
+}
+
+export interface DataFreshness {
+  label: string;
+  stale: boolean;
+}
+
+const CALENDAR: MarketCalendar = marketCalendar;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const shiftDate = (date: string, days: number) => {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+};
+
+// Exchange date (YYYY-MM-DD) and wall-clock time (HH:MM) of an instant
+const exchangeTime = (ms: number) => {
+  const date = new Date(ms);
+  const [hour, minute] = date
+    .toLocaleTimeString('en-GB', { timeZone: CALENDAR.timezone, hour: '2-digit', minute: '2-digit', hour12: false })
+    .split(':')
+    .map(Number);
+  return {
+    date: date.toLocaleDateString('en-CA', { timeZone: CALENDAR.timezone }),
+    time: `${String(hour % 24).padStart(2, '0')}:${String(minute).padStart(2, '0')}`
+  };
+};
+
+export function isTradingDay(date: string): boolean {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return weekday !== 0 && weekday !== 6 && !CALENDAR.holidays[date];
+}
+
+const closeTime = (date: string) => (CALENDAR.early_closes[date] ? CALENDAR.early_close : CALENDAR.regular_hours.close);
+
+const previousSession = (date: string) => {
+  let current = shiftDate(date, -1);
+  while (!isTradingDay(current)) current = shiftDate(current, -1);
+  return current;
+};
+
+/**
+ * The latest session that had closed by `ms` (same rules as the pipeline's calendar)
+ */
+export function lastClosedSession(ms: number): string {
+  const { date, time } = exchangeTime(ms);
+  return isTradingDay(date) && time >= closeTime(date) ? date : previousSession(date);
+}
+
+// Sessions that closed after `from`, up to and including `to`
+const sessionsBetween = (from: string, to: string) => {
+  let count = 0;
+  for (let current = shiftDate(from, 1); current <= to; current = shiftDate(current, 1)) {
+    if (isTradingDay(current)) count++;
+  }
+  return count;
+};
+
+export function getMarketStatus(ms: number = Date.now()): MarketStatus {
+  const { date, time } = exchangeTime(ms);
+  let state: MarketState = 'closed';
+  if (isTradingDay(date)) {
+    if (time < CALENDAR.regular_hours.open) state = 'pre_market';
+    else if (time < closeTime(date)) state = 'open';
+    else state = 'after_hours';
+  }
+  return { state, date, holiday: CALENDAR.holidays[date] || null, lastSession: lastClosedSession(ms) };
+}
+
+/**
+ * "Last updated" wording for data fetched at `lastUpdated`: while the market is
+ * closed and the data already has the last close it is current, not stale; it
+ * is stale once more sessions have closed since than the quality gate allows
+ */
+export function describeDataFreshness(lastUpdated: string, now: number = Date.now()): DataFreshness {
+  const updated = Date.parse(lastUpdated);
+  if (Number.isNaN(updated)) return { label: 'Last updated: unknown', stale: true };
+
+  const status = getMarketStatus(now);
+  const dataSession = lastClosedSession(updated);
+  const missed = sessionsBetween(dataSession, status.lastSession);
+  const updatedAt = new Date(updated).toLocaleString();
+
+  if (missed > SENTIMENT_CONFIG.quality_gate.max_missed_sessions) {
+    return { label: `Data may be stale — ${missed} sessions have closed since the last update (${updatedAt})`, stale: true };
+  }
+  if (status.state !== 'open' && missed === 0) {
+    // Within the last week the weekday is unambiguous ("Friday close")
+    const closeDay = shiftDate(dataSession, 7) > status.date
+      ? WEEKDAYS[new Date(`${dataSession}T00:00:00Z`).getUTCDay()]
+      : new Date(`${dataSession}T12:00:00Z`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    return {
+      label: `Market closed${status.holiday ? ` for ${status.holiday}` : ''} — data as of ${closeDay} close`,
+      stale: false
+    };
+  }
+  return { label: `${status.state === 'open' ? 'Market open · last' : 'Last'} updated: ${updatedAt}`, stale: false };
+}
@@ -0,0 +1,110 @@
+import { SecureAPIClient, APIError } from './security';
+
+// Market data provider abstraction for client-side fallback fetching.
+// Mirrors the pipeline providers in scripts/lib/providers so a vendor change
+// only touches one implementation per runtime.
+
+export interface PriceBar {
+  time: string;
+  open: number | null;
+  high: number | null;
+  low: number | null;
+  close: number;
+  volume: number | null;
+}
+
+export interface MarketDataProvider {
+  readonly name: string;
+  getHistory(symbol: string, options?: { range?: string; interval?: string }): Promise<PriceBar[]>;
+  getIndexLevel(symbol: string): Promise<number>;
+  describe(symbol: string): string;
+}
+
+// The parts of a Yahoo chart API response the provider reads; the checks in getHistory
+// still guard against malformed bodies
+interface YahooChartResponse {
+  chart: {
+    result: Array<{
+      timestamp?: number[];
+      indicators: {
+        quote: Array<{
+          open?: Array<number | null>;
+          high?: Array<number | null>;
+          low?: Array<number | null>;
+          close: Array<number | null>;
+          volume?: Array<number | null>;
+        }>;
+      };
+    }> | null;
+  };
+}
+
+/**
+ * Yahoo Finance chart API provider
+ */
+export class YahooChartProvider implements MarketDataProvider {
+  readonly name = 'yahoo';
+  private static readonly CHART_URL = 'https://query1.finance.yahoo.com/v8/finance/chart';
+
+  constructor(private secureClient: SecureAPIClient = SecureAPIClient.getInstance()) {}
+
+  describe(symbol: string): string {
+    return `${YahooChartProvider.CHART_URL}/${symbol}`;
+  }
+
+  async getHistory(symbol: string, { range = '5d', interval = '1d' } = {}): Promise<PriceBar[]> {
+    const url = `${this.describe(symbol)}?interval=${interval}&range=${range}`;
+    const data = await this.secureClient.secureRequest<YahooChartResponse>(url);
+
+    // Validate response structure with comprehensive checks
+    if (!data.chart || !data.chart.result || !Array.isArray(data.chart.result) || !data.chart.result[0]) {
+      throw new APIError(`Invalid response format from Yahoo Finance API for ${symbol}`, 422, url);
+    }
+
+    const result = data.chart.result[0];
+    if (!result.indicators || !result.indicators.quote || !Array.isArray(result.indicators.quote) ||
+        !result.indicators.quote[0] || !Array.isArray(result.indicators.quote[0].close)) {
+      throw new APIError(`No price data available for ${symbol}`, 422, url);
+    }
+
+    const quote = result.indicators.quote[0];
+    const timestamps: number[] = Array.isArray(result.timestamp) ? result.timestamp : [];
+
+    return quote.close
+      .map((close: unknown, i: number) => ({
+        time: timestamps[i] ? new Date(timestamps[i] * 1000).toISOString() : '',
+        open: quote.open?.[i] ?? null,
+        high: quote.high?.[i] ?? null,
+        low: quote.low?.[i] ?? null,
+        close,
+        volume: quote.volume?.[i] ?? null,
+      }))
+      .filter((bar: { close: unknown }) => bar.close !== null && typeof bar.close === 'number' && Number.isFinite(bar.close)) as PriceBar[];
+  }
+
+  async getIndexLevel(symbol: string): Promise<number> {
+    const bars = await this.getHistory(symbol, { range: '1d' });
+    if (bars.length === 0) {
+      throw new APIError(`No index level available for ${symbol}`, 422, this.describe(symbol));
+    }
+    return bars[bars.length - 1].close;
+  }
+}
+
+const CLIENT_PROVIDERS: Record<string, () => MarketDataProvider> = {
+  yahoo: () => new YahooChartProvider(),
+};
+
+/**
+ * Create the provider selected by NEXT_PUBLIC_MARKET_DATA_PROVIDER (default: yahoo).
+ * Only JSON sources reachable through SecureAPIClient are available in the browser;
+ * CSV and fixture providers are pipeline-only.
+ */
+export function createMarketDataProvider(name = process.env.NEXT_PUBLIC_MARKET_DATA_PROVIDER || 'yahoo'): MarketDataProvider {
+  const factory = CLIENT_PROVIDERS[name.toLowerCase()];
+  if (!factory) {
+    console.warn(`Market data provider "${name}" is not available in the browser, falling back to yahoo`);
+    return CLIENT_PROVIDERS.yahoo();
+  }
+  return factory();
+}
@@ -0,0 +1,62 @@
+import sentimentConfig from '../../config/sentiment-config.json';
+import { SentimentLevel } from './types';
+
+// Shared sentiment configuration (config/sentiment-config.json).
+// The pipeline validates the file against config/sentiment-config.schema.json at
+// startup and `npm run validate-config` runs before every build, so the client
+// can trust its shape here.
+
+export type SentimentConfig = typeof sentimentConfig;
+export type VixBand = keyof SentimentConfig['vix']['scores'];
+
+export const SENTIMENT_CONFIG: SentimentConfig = sentimentConfig;
+export const CONFIG_VERSION = sentimentConfig.config_version;
+
+/**
+ * Map a VIX level to its configured band (same rules as the enhanced pipeline)
+ */
+export function classifyVixLevel(vix: number): VixBand {
+  const bands = SENTIMENT_CONFIG.vix.bands;
+  if (vix > bands.panic) return 'panic';
+  if (vix > bands.fear) return 'fear';
+  if (vix > bands.elevated) return 'elevated';
+  if (vix < bands.complacency) return 'complacency';
+  if (vix < bands.normal_low) return 'low';
+  return 'normal';
+}
+
+export function scoreVixLevel(vix: number): number {
+  return SENTIMENT_CONFIG.vix.scores[classifyVixLevel(vix)];
+}
+
+/**
+ * Classify a 0-100 composite score with the configured cutoffs
+ */
+export function classifyCompositeScore(score: number): SentimentLevel {
+  const cutoffs = SENTIMENT_CONFIG.composite.classification_cutoffs;
+  if (score < cutoffs.extreme_fear) return 'extreme-fear';
+  if (score < cutoffs.fear) return 'fear';
+  if (score < cutoffs.neutral) return 'neutral';
+  if (score < cutoffs.greed) return 'greed';
+  return 'extreme-greed';
+}
+
+/**
+ * Weighted composite over whichever components are available, renormalized by
+ * the weight actually used (mirrors generateCompositeSentiment in the pipeline)
+ */
+export function compositeScore(components: Partial<Record<keyof SentimentConfig['composite']['weights'], number>>): number {
+  const weights = SENTIMENT_CONFIG.composite.weights;
+  let total = 0;
+  let totalWeight = 0;
+
+  for (const [key, value] of Object.entries(components)) {
+    const weight = weights[key as keyof typeof weights];
+    if (typeof value === 'number' && Number.isFinite(value) && weight) {
+      total += value * weight;
+      totalWeight += weight;
+    }
+  }
+
+  return totalWeight > 0 ? total / totalWeight : 50;
+}
@@ -8,10 +8,16 @@ export interface SentimentData {
   iwmPrice?: number;
   vixLevel: number;
   putCallRatio: number;
+  putCallSource: PutCallSource;
+  // When the Fear & Greed reading was taken; carried forward means the last fetch failed and an earlier reading is shown
+  fearGreedAsOf?: string;
+  fearGreedCarriedForward?: boolean;
   overallSentiment: SentimentLevel;
   lastUpdated: string;
 }
 
+export type PutCallSource = 'measured' | 'proxy';
+
 export type SentimentLevel = 'extreme-fear' | 'fear' | 'neutral' | 'greed' | 'extreme-greed';
 
 export interface APIResponse<T> {
@@ -30,4 +36,280 @@ export interface MetricCardProps {
     color: string;
   };
   sentiment?: SentimentLevel;
-}
\ No newline at end of file
+}
+
+export interface SentimentHistoryPoint {
+  date: string;
+  pipeline: 'simple' | 'enhanced' | 'git-backfill';
+  config_version: string | null;
+  composite_score: number | null;
+  classification: string | null;
+  fear_greed: number | null;
+  vix: number | null;
+  put_call_ratio: number | null;
+  put_call_source: PutCallSource | null;
+  spy_price: number | null;
+  spy_change: number | null;
+  primary_signal: string | null;
+}
+
+export interface SentimentHistoryIndex {
+  schema_version: number;
+  updated_at: string;
+  count: number;
+  first_date: string | null;
+  last_date: string | null;
+  series: SentimentHistoryPoint[];
+}
+
+export type PrimarySignalAction = 'STRONG_BUY' | 'BUY' | 'HOLD' | 'SELL' | 'STRONG_SELL';
+
+export interface BacktestHorizonStats {
+  samples: number;
+  avg_return_pct: number | null;
+  median_return_pct: number | null;
+  hit_rate: number | null;
+  avg_max_drawdown_pct: number | null;
+  worst_max_drawdown_pct: number | null;
+}
+
+export interface BacktestSignalSummary {
+  count: number;
+  direction: -1 | 0 | 1;
+  horizons: Record<string, BacktestHorizonStats>;
+}
+
+export interface BacktestEquityPoint {
+  date: string;
+  strategy: number;
+  benchmark: number;
+  exposure: number;
+}
+
+export interface BacktestReport {
+  schema_version: number;
+  generated_at: string;
+  config_version: string;
+  pipeline: string;
+  benchmark: string;
+  market_data_provider: string;
+  horizons: string[];
+  sample: {
+    readings: number;
+    scored_readings: number;
+    first_date: string | null;
+    last_date: string | null;
+    price_sessions: number;
+    pipelines: Record<string, number>;
+  };
+  signals: Record<PrimarySignalAction, BacktestSignalSummary>;
+  score_correlation: Record<string, number | null>;
+  equity_curve: {
+    start_date: string;
+    end_date: string;
+    sessions: number;
+    trades: number;
+    time_invested_pct: number | null;
+    strategy: { total_return_pct: number | null; max_drawdown_pct: number | null };
+    benchmark: { total_return_pct: number | null; max_drawdown_pct: number | null };
+    points: BacktestEquityPoint[];
+  } | null;
+}
+
+export interface VixCurvePoint {
+  symbol: string;
+  tenor: string;
+  days: number;
+  level: number;
+}
+
+export interface VixCurveSnapshot {
+  date?: string;
+  sessions_ago: number;
+  points: VixCurvePoint[];
+  slope_pct: number;
+  shape: 'contango' | 'backwardation' | 'mixed';
+}
+
+export interface VixTermStructure {
+  vix_30d?: number;
+  vix_9d?: number;
+  structure?: 'contango' | 'backwardation';
+  spread?: number;
+  signal?: string;
+  curve?: VixCurvePoint[];
+  shape?: 'contango' | 'backwardation' | 'mixed';
+  slope_pct?: number;
+  front_ratio?: number | null;
+  inversions?: string[];
+  inverted?: boolean;
+  front_inverted?: boolean;
+  stress_score?: number | null;
+  term_structure_score?: number | null;
+  curve_history?: {
+    today?: VixCurveSnapshot;
+    week_ago?: VixCurveSnapshot;
+    month_ago?: VixCurveSnapshot;
+  };
+}
+
+export type SectorPeriod = '1d' | '7d' | '30d';
+
+export interface SectorData {
+  name: string;
+  change: number;
+  volume?: number;
+  marketCap?: number;
+  symbol?: string;
+  relativeStrength?: number;
+}
+
+export interface SectorRotationSector {
+  symbol: string;
+  name: string;
+  group: 'defensive' | 'cyclical' | null;
+  price: number;
+  returns: Record<SectorPeriod, number>;
+  relative_strength: Record<SectorPeriod, number>;
+}
+
+export interface SectorRotation {
+  benchmark: string;
+  benchmark_returns: Record<SectorPeriod, number>;
+  periods: SectorPeriod[];
+  sectors: SectorRotationSector[];
+  leadership: {
+    cyclical_return: Record<SectorPeriod, number | null>;
+    defensive_return: Record<SectorPeriod, number | null>;
+    spread: Record<SectorPeriod, number | null>;
+    leadership_score: number | null;
+    leader: 'cyclical' | 'defensive' | 'balanced';
+  };
+  interpretation: string;
+  timestamp: string;
+}
+
+export type CorrelationBreak = 'sign_flip' | 'shift';
+
+export interface CorrelationRegimePair {
+  a: string;
+  b: string;
+  label: string;
+  expected: 'positive' | 'negative' | 'none';
+  short_correlation: number | null;
+  long_correlation: number | null;
+  break: CorrelationBreak | null;
+}
+
+export interface CorrelationMatrix {
+  generated_at: string;
+  config_version: string;
+  as_of: string;
+  sessions: number;
+  symbols: string[];
+  windows: string[];
+  // Rows and columns follow `symbols`; null where a pair lacks history
+  matrices: Record<string, Array<Array<number | null>>>;
+  regime_pairs: CorrelationRegimePair[];
+  breaks: CorrelationRegimePair[];
+}
+
+export type MarketRegime =
+  | 'CRISIS_MODE'
+  | 'FEAR_DRIVEN'
+  | 'COMPLACENCY_RISK'
+  | 'OVERSOLD_OPPORTUNITY'
+  | 'OVERBOUGHT_CAUTION'
+  | 'NORMAL_MARKETS';
+
+export interface RegimePeriod {
+  regime: MarketRegime;
+  start: string;
+  end: string;
+  sessions: number;
+}
+
+export interface MarketRegimeState {
+  regime: MarketRegime;
+  since: string;
+  sessions: number;
+  // Today's memoryless classification, and where it points while the engine holds the current regime
+  raw_regime: MarketRegime;
+  pending: MarketRegime | null;
+  min_dwell_sessions: number;
+  as_of: string;
+  observations: number;
+  history: RegimePeriod[];
+}
+
+// Two-sided interval around a 0-100 score (level 0.8 = 80% of resampled scores fall inside)
+export interface ScoreBand {
+  low: number;
+  high: number;
+  level: number;
+}
+
+export interface CompositeConfidenceInterval extends ScoreBand {
+  method: 'bootstrap';
+  standard_error: number;
+  resamples: number;
+  seed: number;
+  history_sessions: number;
+  classification_low: string;
+  classification_high: string;
+  borderline: boolean;
+}
+
+export interface CompositeSentiment {
+  composite_score: number;
+  classification: string;
+  confidence_interval: CompositeConfidenceInterval | null;
+  components: Record<string, number>;
+  data_completeness: number;
+  config_version: string;
+  timestamp: string;
+}
+
+export interface MarketQuote {
+  symbol: string;
+  price: number;
+  change: number;
+  as_of: string;
+  timestamp: string;
+}
+
+export interface FailedMarketQuote {
+  symbol: string;
+  error: string;
+  timestamp: string;
+}
+
+// Headline and signal sections of enhanced-sentiment-data.json, also carried in market-data.json
+export interface EnhancedSentimentSummary {
+  sentiment_composite: Pick<CompositeSentiment, 'composite_score' | 'classification' | 'components' | 'data_completeness'> & {
+    confidence_interval?: CompositeConfidenceInterval | null;
+  };
+  actionable_signals: {
+    primary_signal: { action: PrimarySignalAction; description: string };
+    confidence_level: string;
+    market_regime: string;
+    risk_level: string;
+    tactical_recommendations: string[];
+  };
+}
+
+// public/data/market-data.json as written by either pipeline (schemas/market-data.schema.json).
+// Files from before contract version 2 lack contract_version, producer and enhanced.
+export interface MarketDataSnapshot {
+  contract_version?: number;
+  producer?: 'simple-fetch' | 'enhanced-sentiment';
+  timestamp: string;
+  config_version?: string;
+  stocks: Record<string, MarketQuote | FailedMarketQuote>;
+  sentiment: { score: number; label: 'Bullish' | 'Neutral' | 'Bearish'; timestamp: string } | null;
+  // carried_forward: the last published reading, republished after a failed fetch
+  fearGreed: { value: number; classification: string; timestamp: string; carried_forward?: true };
+  putCallRatio: number | null;
+  putCall: { value: number; source: PutCallSource } | null;
+  enhanced?: (EnhancedSentimentSummary & { file: string }) | null;
+}
@@ -10,13 +10,31 @@ import PageTransition, { ViewportAnimation, HoverScale, FloatingAnimation } from
 import ThemeToggle from './components/ThemeToggle';
 import SentimentHero from './components/SentimentHero';
 import EducationalMetricCard from './components/EducationalMetricCard';
+import TimelineChart from './components/TimelineChart';
+import BacktestReportCard from './components/BacktestReportCard';
+import SectorHeatmap from './components/SectorHeatmap';
+import CorrelationHeatmap from './components/CorrelationHeatmap';
 
 // Import utilities
 import APIService from './lib/api';
-import { SentimentData } from './lib/types';
+import { lastClosedSession } from './lib/market-calendar';
+import { SentimentData, SentimentHistoryPoint, BacktestReport, SectorRotation, SectorPeriod, CorrelationMatrix, MarketRegimeState, CompositeSentiment } from './lib/types';
+
+const SECTOR_PERIODS: Array<{ value: SectorPeriod; label: string }> = [
+  { value: '1d', label: '1 day' },
+  { value: '7d', label: '1 week' },
+  { value: '30d', label: '1 month' }
+];
 
 export default function Home() {
   const [sentimentData, setSentimentData] = useState<SentimentData | null>(null);
+  const [history, setHistory] = useState<SentimentHistoryPoint[]>([]);
+  const [backtest, setBacktest] = useState<BacktestReport | null>(null);
+  const [sectorRotation, setSectorRotation] = useState<SectorRotation | null>(null);
+  const [composite, setComposite] = useState<CompositeSentiment | null>(null);
+  const [regime, setRegime] = useState<MarketRegimeState | null>(null);
+  const [correlations, setCorrelations] = useState<CorrelationMatrix | null>(null);
+  const [sectorPeriod, setSectorPeriod] = useState<SectorPeriod>('1d');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
 
@@ -26,7 +44,21 @@ export default function Home() {
     
     try {
       const api = APIService.getInstance();
-      const response = await api.getSentimentData();
+      const [response, historySeries, backtestReport, rotation, correlationMatrix, marketRegime, compositeSentiment] = await Promise.all([
+        api.getSentimentData(),
+        api.getSentimentHistory(),
+        api.getBacktestReport(),
+        api.getSectorRotation(),
+        api.getCorrelationMatrix(),
+        api.getMarketRegime(),
+        api.getCompositeSentiment()
+      ]);
+      setHistory(historySeries);
+      setBacktest(backtestReport);
+      setSectorRotation(rotation);
+      setCorrelations(correlationMatrix);
+      setRegime(marketRegime);
+      setComposite(compositeSentiment);
       
       if (response.success) {
         setSentimentData(response.data);
@@ -48,6 +80,7 @@ export default function Home() {
         iwmPrice: 200,
         vixLevel: 20,
         putCallRatio: 0.92,
+        putCallSource: 'proxy',
         overallSentiment: 'neutral',
         lastUpdated: new Date().toISOString()
       });
@@ -165,15 +198,24 @@ export default function Home() {
     );
   }
 
+  const compositeMatchesData = composite !== null
+    && !Number.isNaN(Date.parse(composite.timestamp))
+    && !Number.isNaN(Date.parse(sentimentData.lastUpdated))
+    && lastClosedSession(Date.parse(composite.timestamp)) === lastClosedSession(Date.parse(sentimentData.lastUpdated));
+
   return (
     <PageTransition>
       <main className="min-h-screen bg-white dark:bg-gray-900 transition-colors duration-300">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 xl:px-10 py-4 sm:py-6 lg:py-8 xl:py-10 relative overflow-hidden stacking-context">
         {/* Hero Section with Giant Sentiment Gauge */}
         <ViewportAnimation animation="bounce" threshold={0.2}>
+          {/* Fear & Greed on the gauge; the composite and its band beside it, only when computed for the same session as the displayed data */}
           <SentimentHero 
             value={sentimentData.fearGreedIndex} 
             lastUpdated={sentimentData.lastUpdated} 
+            valueAsOf={sentimentData.fearGreedAsOf}
+            carriedForward={sentimentData.fearGreedCarriedForward}
+            composite={compositeMatchesData ? composite : null}
           />
         </ViewportAnimation>
 
@@ -309,6 +351,9 @@ export default function Home() {
                   <EducationalMetricCard
                     title="Options Sentiment (Put/Call)"
                   value={sentimentData.putCallRatio.toFixed(2)}
+                  sourceLabel={sentimentData.putCallSource === 'measured'
+                    ? 'Measured from SPY, QQQ & IWM options volume'
+                    : 'Estimated from VIX & SPY (proxy)'}
                   explanation={{
                     whatItIs: "This ratio compares put options (bets that stocks will fall) to call options (bets that stocks will rise). It shows what options traders are expecting.",
                     whyItMatters: "When the ratio is high, more traders are betting on falling prices (pessimistic). When low, more are betting on rising prices (optimistic). It reveals professional trader sentiment.",
@@ -329,6 +374,59 @@ export default function Home() {
           </Grid>
         </ViewportAnimation>
 
+        {/* Sentiment History Timeline */}
+        {history.length > 0 && (
+          <ViewportAnimation animation="fadeUp" delay={0.2} className="mt-6 sm:mt-8 lg:mt-12">
+            <TimelineChart
+              title="Sentiment History"
+              data={history.map(point => ({
+                date: point.date,
+                sentiment: point.composite_score ?? 0,
+                fearGreed: point.fear_greed ?? undefined,
+                vix: point.vix ?? undefined,
+                spyPrice: point.spy_price ?? undefined
+              }))}
+              defaultPeriod="3M"
+              regime={regime}
+            />
+          </ViewportAnimation>
+        )}
+
+        {/* Sector Rotation */}
+        {sectorRotation && (
+          <ViewportAnimation animation="fadeUp" delay={0.2} className="mt-6 sm:mt-8 lg:mt-12">
+            <SectorHeatmap
+              title="Sector Rotation"
+              subtitle={`${sectorRotation.interpretation}${sectorRotation.leadership.leadership_score !== null
+                ? ` • Leadership score ${sectorRotation.leadership.leadership_score.toFixed(0)}/100 (0 = defensive, 100 = cyclical)`
+                : ''}`}
+              data={sectorRotation.sectors.map(sector => ({
+                name: sector.name,
+                symbol: sector.symbol,
+                change: sector.returns[sectorPeriod],
+                relativeStrength: sector.relative_strength[sectorPeriod]
+              }))}
+              periods={SECTOR_PERIODS}
+              selectedPeriod={sectorPeriod}
+              onPeriodChange={(period) => setSectorPeriod(period as SectorPeriod)}
+            />
+          </ViewportAnimation>
+        )}
+
+        {/* Cross-Asset Correlations */}
+        {correlations && (
+          <ViewportAnimation animation="fadeUp" delay={0.2} className="mt-6 sm:mt-8 lg:mt-12">
+            <CorrelationHeatmap matrix={correlations} />
+          </ViewportAnimation>
+        )}
+
+        {/* Signal Backtest */}
+        {backtest && backtest.sample.scored_readings > 0 && (
+          <ViewportAnimation animation="fadeUp" delay={0.2} className="mt-6 sm:mt-8 lg:mt-12">
+            <BacktestReportCard report={backtest} />
+          </ViewportAnimation>
+        )}
+
         {/* Educational Guide Section */}
         <ViewportAnimation 
           animation="scale" 
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+/**
+ * Sentiment History Backfill from Git
+ * Walks the committed versions of the pipeline output files and seeds the
+ * daily history store without re-fetching anything. Each snapshot is filed
+ * under the last session that had closed when it was fetched (weekend and
+ * pre-market runs hold the previous close); snapshots fetched while the market
+ * was open hold no session's close and are skipped.
+ *
+ * Requires full git history: in GitHub Actions use `fetch-depth: 0`.
+ *
+ * Usage: node scripts/backfill-history.js [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--dry-run]
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import SentimentHistoryStore, { recordFromSimpleResults } from './lib/history-store.js';
+import { validateMarketDataSnapshot } from './lib/market-data-validator.js';
+import { loadMarketCalendar } from './lib/market-calendar.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const execFileAsync = promisify(execFile);
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+const SNAPSHOT_PATHS = ['public/data/market-data.json', 'data/latest.json'];
+
+class GitHistoryBackfill {
+  constructor({ from = null, to = null, dryRun = false, store = new SentimentHistoryStore(), calendar = loadMarketCalendar() } = {}) {
+    this.from = from;
+    this.to = to;
+    this.dryRun = dryRun;
+    this.store = store;
+    this.calendar = calendar;
+    this.summary = {
+      commits_scanned: 0,
+      snapshots_valid: 0,
+      snapshots_rejected: 0,
+      snapshots_intraday: 0,
+      dates_found: 0,
+      records_written: 0,
+      records_skipped: 0,
+      rejections: []
+    };
+  }
+
+  async git(args) {
+    const { stdout } = await execFileAsync('git', args, {
+      cwd: REPO_ROOT,
+      maxBuffer: 32 * 1024 * 1024
+    });
+    return stdout;
+  }
+
+  async listCommits(filePath) {
+    const output = await this.git(['log', '--format=%H %cI', '--', filePath]);
+    return output
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        const [hash, committedAt] = line.split(' ');
+        return { hash, committedAt, filePath };
+      });
+  }
+
+  async readSnapshot(commit) {
+    try {
+      const content = await this.git(['show', `${commit.hash}:${commit.filePath}`]);
+      return JSON.parse(content);
+    } catch (error) {
+      return { parseError: error.message };
+    }
+  }
+
+  inRange(date) {
+    if (this.from && date < this.from) return false;
+    if (this.to && date > this.to) return false;
+    return true;
+  }
+
+  /**
+   * Collect one snapshot per trading session, keeping the most recent one fetched after its close
+   */
+  async collectSnapshots() {
+    const byDate = new Map();
+
+    for (const filePath of SNAPSHOT_PATHS) {
+      const commits = await this.listCommits(filePath);
+      console.log(`📜 ${filePath}: ${commits.length} committed versions`);
+
+      for (const commit of commits) {
+        this.summary.commits_scanned++;
+        const snapshot = await this.readSnapshot(commit);
+
+        const errors = snapshot.parseError
+          ? [`JSON parse error: ${snapshot.parseError}`]
+          : validateMarketDataSnapshot(snapshot);
+
+        if (errors.length > 0) {
+          this.summary.snapshots_rejected++;
+          this.summary.rejections.push({ commit: commit.hash.slice(0, 7), file: filePath, errors });
+          continue;
+        }
+
+        this.summary.snapshots_valid++;
+
+        const timestamp = snapshot.timestamp || commit.committedAt;
+        const fetchedAt = Date.parse(timestamp);
+        if (this.calendar.status(fetchedAt).state === 'open') {
+          this.summary.snapshots_intraday++;
+          continue;
+        }
+        const date = this.calendar.lastClosedSession(fetchedAt);
+        if (!this.inRange(date)) continue;
+
+        const existing = byDate.get(date);
+        if (!existing || new Date(timestamp) > new Date(existing.timestamp)) {
+          byDate.set(date, { date, timestamp, commit, snapshot });
+        }
+      }
+    }
+
+    this.summary.dates_found = byDate.size;
+    return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  async run() {
+    console.log('🕰️  Reconstructing sentiment history from git log...');
+    const snapshots = await this.collectSnapshots();
+
+    const series = [];
+    for (const { date, timestamp, commit, snapshot } of snapshots) {
+      const record = {
+        ...recordFromSimpleResults({ ...snapshot, timestamp }),
+        date,
+        pipeline: 'git-backfill',
+        source: { commit: commit.hash, file: commit.filePath }
+      };
+      series.push(record);
+
+      if (this.dryRun) continue;
+
+      // Never overwrite readings the live pipeline already recorded
+      const { written } = await this.store.append(record, { fillOnly: true });
+      if (written) this.summary.records_written++;
+      else this.summary.records_skipped++;
+    }
+
+    if (!this.dryRun && this.summary.records_written > 0) {
+      await this.store.rebuildIndex();
+    }
+
+    return { series, summary: this.summary };
+  }
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--from') options.from = argv[++i];
+    else if (arg === '--to') options.to = argv[++i];
+    else if (arg === '--dry-run') options.dryRun = true;
+  }
+  return options;
+}
+
+// Main execution
+async function reconstructHistoryFromGit(options = {}) {
+  const backfill = new GitHistoryBackfill(options);
+  const { series, summary } = await backfill.run();
+
+  console.log(`✅ Scanned ${summary.commits_scanned} commits (${summary.snapshots_valid} valid, ${summary.snapshots_rejected} rejected, ${summary.snapshots_intraday} fetched mid-session)`);
+  console.log(`📅 ${summary.dates_found} trading days found${series.length ? `: ${series[0].date} → ${series[series.length - 1].date}` : ''}`);
+  if (options.dryRun) {
+    console.log('🔍 Dry run - history store not modified');
+  } else {
+    console.log(`🗂️  ${summary.records_written} records written, ${summary.records_skipped} already present`);
+  }
+
+  return { series, summary };
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  reconstructHistoryFromGit(parseArgs(process.argv.slice(2)))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('💥 History backfill failed:', error);
+      process.exit(1);
+    });
+}
+
+export { GitHistoryBackfill };
+export default reconstructHistoryFromGit;
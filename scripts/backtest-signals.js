@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Signal Backtest Report
+ * Replays one pipeline's stored composite readings through generatePrimarySignal()
+ * and scores the signals against forward SPY returns. The classification cutoffs
+ * belong to the enhanced composite, so enhanced records are the default; simple
+ * and backfilled records hold a different score.
+ *
+ * Usage: node scripts/backtest-signals.js [--history <dir>] [--output <file>] [--pipeline <name>]
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import SentimentHistoryStore, { HISTORY_DIR } from './lib/history-store.js';
+import SignalBacktester, { BACKTEST_SCHEMA_VERSION, DEFAULT_HORIZONS, INITIAL_EXPOSURE, SIGNAL_EXPOSURE } from './lib/backtest.js';
+import { EnhancedSentimentAnalyzer } from './enhanced-sentiment-fetch.js';
+import { rangeToDays } from './lib/providers/base.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_REPORT_PATH = path.resolve(__dirname, '../public/data/backtest-report.json');
+const BENCHMARK_SYMBOL = 'SPY';
+const DEFAULT_PIPELINE = 'enhanced';
+const PRICE_RANGES = ['3mo', '6mo', '1y', '2y', '5y', '10y'];
+
+/**
+ * Smallest standard range that covers every reading from `firstDate` to today
+ */
+function priceRangeFor(firstDate, now) {
+  const days = (now.getTime() - new Date(`${firstDate}T00:00:00Z`).getTime()) / (24 * 60 * 60 * 1000) + 7;
+  return PRICE_RANGES.find(range => rangeToDays(range) >= days) || PRICE_RANGES[PRICE_RANGES.length - 1];
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--history') options.historyDir = path.resolve(argv[++i]);
+    else if (arg === '--output') options.outputPath = path.resolve(argv[++i]);
+    else if (arg === '--pipeline') options.pipeline = argv[++i];
+  }
+  return options;
+}
+
+// Main execution
+async function runSignalBacktest({
+  historyDir = HISTORY_DIR,
+  outputPath = DEFAULT_REPORT_PATH,
+  pipeline = DEFAULT_PIPELINE,
+  analyzer = new EnhancedSentimentAnalyzer()
+} = {}) {
+  console.log(`🧪 Backtesting primary signals from ${pipeline} readings against forward SPY returns...`);
+
+  const store = new SentimentHistoryStore(historyDir, { clock: analyzer.clock });
+  const records = (await store.readAll()).filter(record => record.pipeline === pipeline);
+  if (records.length === 0) {
+    throw new Error(`No ${pipeline} history records found in ${historyDir}`);
+  }
+
+  const range = priceRangeFor(records[0].date, analyzer.clock.now());
+  const { bars } = await analyzer.provider.getHistory(BENCHMARK_SYMBOL, { interval: '1d', range });
+  console.log(`📈 ${BENCHMARK_SYMBOL}: ${bars.length} sessions (${range}) from ${analyzer.provider.name}`);
+
+  const backtester = new SignalBacktester({
+    signalFor: score => analyzer.generatePrimarySignal(score).action
+  });
+  const results = backtester.run(records, bars);
+
+  const report = {
+    schema_version: BACKTEST_SCHEMA_VERSION,
+    generated_at: analyzer.clock.iso(),
+    config_version: analyzer.config.config_version,
+    // The pipeline whose readings were scored
+    pipeline,
+    benchmark: BENCHMARK_SYMBOL,
+    market_data_provider: analyzer.provider.name,
+    horizons: DEFAULT_HORIZONS.map(horizon => `${horizon}d`),
+    strategy_rules: {
+      exposure_by_signal: SIGNAL_EXPOSURE,
+      initial_exposure: INITIAL_EXPOSURE,
+      hold: 'keep previous exposure',
+      execution: 'signal applies from the reading\'s close to the next session close'
+    },
+    ...results
+  };
+
+  await fs.ensureDir(path.dirname(outputPath));
+  await fs.writeJSON(outputPath, report, { spaces: 2 });
+
+  console.log(`✅ Backtest report saved to: ${outputPath}`);
+  console.log(`📊 ${results.sample.scored_readings} scored readings (${results.sample.first_date} → ${results.sample.last_date})`);
+  if (results.equity_curve) {
+    const { strategy, benchmark } = results.equity_curve;
+    console.log(`💼 Strategy ${strategy.total_return_pct}% (max DD ${strategy.max_drawdown_pct}%) vs ${BENCHMARK_SYMBOL} ${benchmark.total_return_pct}% (max DD ${benchmark.max_drawdown_pct}%)`);
+  }
+
+  return report;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runSignalBacktest(parseArgs(process.argv.slice(2)))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('💥 Signal backtest failed:', error);
+      process.exit(1);
+    });
+}
+
+export { runSignalBacktest };
+export default runSignalBacktest;
@@ -6,120 +6,298 @@
  * Designed for retail investors with clear buy/sell signals
  */
 
-import axios from 'axios';
 import fs from 'fs-extra';
 import path from 'path';
-import NodeCache from 'node-cache';
 import { fileURLToPath } from 'url';
+import SentimentHistoryStore, { appendDailyRecord, recordFromEnhancedResults } from './lib/history-store.js';
+import { createMarketDataProvider } from './lib/providers/index.js';
+import { createHttpClient, DEFAULT_CASSETTE_DIR } from './lib/http-client.js';
+import { createClock, systemClock } from './lib/clock.js';
+import { CONFIG_DIR, componentWeights, loadSentimentConfig } from './lib/config.js';
+import {
+  NORMALIZATION_MODES,
+  CRYPTO_CORRELATION_WINDOW,
+  RAW_INDICATORS,
+  RISK_OFF_TICKERS,
+  RISK_ON_TICKERS,
+  buildRawIndicatorHistory,
+  computeRawIndicators,
+  marketFromCoreData,
+  normalizationSymbols,
+  normalizeIndicator
+} from './lib/normalization.js';
+import { toMarketDate } from './lib/history-store.js';
+import { VIX_CURVE_SYMBOLS, analyzeVixCurve } from './lib/vix-term-structure.js';
+import { CREDIT_TICKERS, analyzeSpreadHistory, loadSpreadHistory } from './lib/credit.js';
+import { relativePerformance, scorePairs, scoreRelativePerformance } from './lib/relative-performance.js';
+import { analyzeBreadth } from './lib/breadth.js';
+import { analyzeSectorRotation } from './lib/sector-rotation.js';
+import { alignReturns, correlationMatrix, dailyReturns, detectRegimeBreaks, pearson } from './lib/correlation.js';
+import { runRegimeEngine } from './lib/regime.js';
+import { SIGNAL_EVENT_LOG, appendSignalEvents, trackSignalState } from './lib/signal-state.js';
+import { bootstrapCompositeInterval, seedFromString } from './lib/uncertainty.js';
+import { attributeComposite } from './lib/attribution.js';
+import { analyzePriceLevels } from './lib/price-levels.js';
+import { resolvePutCallRatio } from './lib/put-call.js';
+import { FetchScheduler } from './lib/fetch-scheduler.js';
+import { QualityGateError, checkOutput, formatGateReport } from './lib/quality-gate.js';
+import { buildMarketDataSnapshot, gateMarketDataSnapshot, sentimentLabel, writeJSONAtomic, writeMarketDataSnapshot } from './lib/market-data-writer.js';
+import { STAGE_CACHE_MODES, StageCache, hashValue, stableStringify } from './lib/stage-cache.js';
+import { loadMarketCalendar, redundantRunReason, shiftDate } from './lib/market-calendar.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Initialize cache with 15-minute TTL for real-time sentiment analysis
-const cache = new NodeCache({ stdTTL: 900, checkperiod: 120 });
+const DEFAULT_OUTPUT_DIR = path.resolve(__dirname, '../public/data');
+const FEAR_GREED_URL = 'https://api.alternative.me/fng/';
 
-// Enhanced ticker configuration for sentiment analysis
-const SENTIMENT_TICKERS = {
-  // Core equity indices for put/call analysis
-  equity_indices: ['SPY', 'QQQ', 'IWM', 'DIA'],
-  
-  // VIX family for term structure analysis
-  volatility: ['^VIX', '^VIX9D'],
-  
-  // Safe haven assets
-  safe_havens: ['GLD', 'IAU', 'TLT', 'SHY', 'BIL'],
-  
-  // Risk-on assets
-  risk_assets: ['ARKK', 'EEM', 'HYG', 'TQQQ', 'SOXL'],
-  
-  // Defensive/Low volatility
-  defensive: ['SPLV', 'LQD', 'USMV', 'VEA', 'VTEB'],
-  
-  // Crypto exposure ETFs
-  crypto_etfs: ['BITO', 'ETHE'],
-  
-  // Sector rotation indicators
-  growth_vs_value: ['QQQ', 'IWM', 'VTV', 'VUG'],
-  
-  // International risk indicators
-  international: ['EEM', 'VEA', 'FXI', 'INDA']
+const PRIMARY_SIGNAL_DESCRIPTIONS = {
+  STRONG_BUY: 'Markets oversold - excellent buying opportunity',
+  BUY: 'Fear creating value - selective buying',
+  HOLD: 'Mixed signals - maintain positions',
+  SELL: 'Greed building - consider profit taking',
+  STRONG_SELL: 'Extreme greed - reduce risk exposure'
 };
 
-// Sentiment interpretation thresholds
-const SENTIMENT_THRESHOLDS = {
-  fear_greed_composite: {
-    extreme_fear: 20,
-    fear: 40,
-    neutral: 60,
-    greed: 80,
-    extreme_greed: 100
+/**
+ * What each cached stage reads besides raw responses and its own code: config
+ * sections, earlier results, the stored session history and any extra inputs,
+ * plus the results and instance state it produces and the lib modules it calls
+ * (part of its code version). Keep in step with the stage methods: an input
+ * missing here means a rerun can reuse a stale output.
+ */
+const PIPELINE_STAGES = {
+  collectCoreMarketData: { config: ['tickers'], writes: ['core_data'] },
+  analyzeSafeHavenFlows: { reads: ['core_data'], writes: ['safe_haven_analysis'] },
+  measureRiskAppetite: { reads: ['core_data'], writes: ['risk_appetite_signals'], modules: ['normalization.js'] },
+  analyzeCreditRiskAppetite: {
+    config: ['credit'],
+    reads: ['core_data'],
+    writes: ['credit_risk_appetite'],
+    modules: ['credit.js', 'relative-performance.js'],
+    inputs: analyzer => analyzer.spreadHistoryInput()
+  },
+  analyzeMarketBreadth: { config: ['breadth', 'tickers'], writes: ['market_breadth'], modules: ['breadth.js'] },
+  analyzeSectorRotation: { config: ['sector_rotation'], reads: ['core_data'], writes: ['sector_rotation'], modules: ['sector-rotation.js'] },
+  analyzeStyleRotation: { config: ['style_rotation'], reads: ['core_data'], writes: ['style_rotation'], modules: ['relative-performance.js'] },
+  analyzeGlobalRiskTolerance: { config: ['global_risk'], reads: ['core_data'], writes: ['global_risk_tolerance'], modules: ['relative-performance.js'] },
+  analyzeVIXTermStructure: {
+    config: ['vix'],
+    reads: ['core_data'],
+    writes: ['market_structure'],
+    modules: ['vix-term-structure.js', 'market-calendar.js'],
+    inputs: analyzer => ({ calendar: analyzer.calendar.calendar })
   },
-  vix_levels: {
-    complacency: 12,
-    normal_low: 15,
-    normal_high: 20,
-    elevated: 25,
-    fear: 30,
-    panic: 40
+  analyzeCryptoCorrelation: { reads: ['core_data'], writes: ['crypto_correlation'], modules: ['correlation.js', 'normalization.js'] },
+  analyzeCorrelationMatrix: {
+    config: ['correlation', 'config_version'],
+    reads: ['core_data'],
+    writes: ['correlation_regime'],
+    state: ['correlationArtifact'],
+    modules: ['correlation.js']
   },
-  put_call_proxy: {
-    extreme_greed: 0.6,
-    greed: 0.8,
-    neutral: 1.0,
-    fear: 1.2,
-    extreme_fear: 1.5
+  measurePutCallRatio: { config: ['put_call'], reads: ['core_data'], writes: ['put_call'], modules: ['put-call.js'] },
+  integrateFearGreedIndex: { writes: ['fear_greed_indicators'] },
+  normalizeComponents: {
+    config: ['normalization'],
+    reads: ['core_data', 'fear_greed_indicators'],
+    writes: ['raw_indicators', 'normalization'],
+    modules: ['normalization.js'],
+    inputs: analyzer => ({ mode: analyzer.normalizationMode })
+  },
+  generateCompositeSentiment: {
+    config: ['composite', 'uncertainty', 'config_version'],
+    reads: [
+      'core_data', 'market_structure', 'safe_haven_analysis', 'risk_appetite_signals', 'credit_risk_appetite',
+      'market_breadth', 'style_rotation', 'global_risk_tolerance', 'fear_greed_indicators', 'crypto_correlation', 'normalization'
+    ],
+    history: true,
+    writes: ['sentiment_composite'],
+    modules: ['uncertainty.js', 'config.js']
+  },
+  explainComposite: {
+    config: ['composite'],
+    reads: ['core_data', 'sentiment_composite'],
+    history: true,
+    writes: ['composite_attribution'],
+    modules: ['attribution.js', 'config.js']
+  },
+  generateActionableSignals: {
+    config: ['composite', 'regime', 'signals', 'price_levels'],
+    reads: ['core_data', 'sentiment_composite', 'market_structure', 'safe_haven_analysis'],
+    history: true,
+    writes: ['actionable_signals'],
+    state: ['signalEvents'],
+    modules: ['regime.js', 'signal-state.js', 'price-levels.js', 'breadth.js', 'config.js']
   }
 };
 
+const pick = (source, keys) => Object.fromEntries(keys.map(key => [key, source[key]]));
+
+const codeVersions = new Map();
+
+/**
+ * Hash of a stage method, every analyzer method it calls (found in its source)
+ * and the lib modules it names, so editing any of them invalidates the stage
+ */
+function stageCodeVersion(method, modules = []) {
+  const key = [method, ...modules].join(':');
+  if (!codeVersions.has(key)) {
+    const methods = new Set();
+    const visit = name => {
+      const fn = EnhancedSentimentAnalyzer.prototype[name];
+      if (typeof fn !== 'function' || methods.has(name)) return;
+      methods.add(name);
+      for (const [, callee] of fn.toString().matchAll(/this\.(\w+)\(/g)) visit(callee);
+    };
+    visit(method);
+
+    const sources = [
+      ...[...methods].sort().map(name => EnhancedSentimentAnalyzer.prototype[name].toString()),
+      ...modules.map(file => fs.readFileSync(path.join(__dirname, 'lib', file), 'utf8'))
+    ];
+    codeVersions.set(key, hashValue(sources.join('\n')));
+  }
+  return codeVersions.get(key);
+}
+
 class EnhancedSentimentAnalyzer {
-  constructor() {
-    this.startTime = Date.now();
+  constructor({
+    http = createHttpClient(),
+    clock = systemClock,
+    provider = createMarketDataProvider({ http, clock }),
+    outputDir = DEFAULT_OUTPUT_DIR,
+    config = loadSentimentConfig(),
+    normalization = process.env.SENTIMENT_NORMALIZATION || config.normalization.mode,
+    stageCache = process.env.SENTIMENT_STAGE_CACHE || (config.stage_cache.enabled ? 'on' : 'off'),
+    calendar = loadMarketCalendar()
+  } = {}) {
+    if (!NORMALIZATION_MODES.includes(normalization)) {
+      throw new Error(`Unknown normalization mode "${normalization}" (expected ${NORMALIZATION_MODES.join(', ')})`);
+    }
+    if (!STAGE_CACHE_MODES.includes(stageCache)) {
+      throw new Error(`Unknown stage cache mode "${stageCache}" (expected ${STAGE_CACHE_MODES.join(', ')})`);
+    }
+
+    // Tickers, weights, VIX bands and cutoffs all come from config/sentiment-config.json
+    this.config = config;
+    this.normalizationMode = normalization;
+    this.http = http;
+    this.clock = clock;
+    this.provider = provider;
+    // NYSE sessions for return windows and staleness
+    this.calendar = calendar;
+    // Every market data and index request goes through one scheduler: bounded concurrency, retries, per-host breakers
+    this.fetcher = new FetchScheduler(config.fetching);
+    // Stage outputs and raw responses persist between live runs; record and replay runs always fetch and compute
+    this.stageCache = new StageCache(config.stage_cache, {
+      date: toMarketDate(clock.now()),
+      mode: http.mode === 'live' ? stageCache : 'off'
+    });
+    this.outputDir = outputDir;
+    // Longer daily histories shared by the breadth and correlation stages
+    this.dailyBars = new Map();
+    this.startTime = this.clock.ms();
     this.results = {
       metadata: {
-        timestamp: new Date().toISOString(),
+        timestamp: this.clock.iso(),
         pipeline_version: '3.0_sentiment_enhanced',
+        config_version: this.config.config_version,
+        normalization: this.normalizationMode,
+        market_data_provider: this.provider.name,
         data_sources: []
       },
       sentiment_composite: {},
+      composite_attribution: {},
       fear_greed_indicators: {},
       safe_haven_analysis: {},
       risk_appetite_signals: {},
+      credit_risk_appetite: {},
+      market_breadth: {},
+      sector_rotation: {},
+      correlation_regime: {},
+      style_rotation: {},
+      global_risk_tolerance: {},
       market_structure: {},
       crypto_correlation: {},
+      put_call: {},
       actionable_signals: {}
     };
   }
 
-  async executeSentimentPipeline() {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.publish] write outputs, history and signal events (off for a fetch-only run)
+   */
+  async executeSentimentPipeline({ publish = true } = {}) {
     console.log('🎯 Starting Enhanced Sentiment Analysis Pipeline');
     
     try {
+      const pruned = await this.stageCache.prune();
+      if (pruned.length) console.log(`🗄️  Pruned stage cache for ${pruned.join(', ')}`);
+
+      const today = toMarketDate(this.clock.now());
+      if (!this.calendar.covers(today)) {
+        console.warn(`⚠️  ${today} is outside the market calendar; holidays after it are unknown (update config/market-calendar.json)`);
+      }
+
       // Core market data collection
-      await this.collectCoreMarketData();
+      await this.runStage('collectCoreMarketData');
       
       // Safe haven flow analysis
-      await this.analyzeSafeHavenFlows();
+      await this.runStage('analyzeSafeHavenFlows');
       
       // Risk appetite measurement
-      await this.measureRiskAppetite();
+      await this.runStage('measureRiskAppetite');
+      
+      // Junk-bond demand (HYG vs LQD)
+      await this.runStage('analyzeCreditRiskAppetite');
+      
+      // Sector participation and equal- vs cap-weight divergence
+      await this.runStage('analyzeMarketBreadth');
+      
+      // Sector returns, relative strength and cyclical vs defensive leadership
+      await this.runStage('analyzeSectorRotation');
+      
+      // Growth vs value style leadership
+      await this.runStage('analyzeStyleRotation');
+      
+      // Emerging vs developed, China/India vs US
+      await this.runStage('analyzeGlobalRiskTolerance');
       
       // VIX term structure analysis
-      await this.analyzeVIXTermStructure();
+      await this.runStage('analyzeVIXTermStructure');
       
       // Crypto correlation analysis
-      await this.analyzeCryptoCorrelation();
+      await this.runStage('analyzeCryptoCorrelation');
+      
+      // Cross-asset return correlations and regime breaks
+      await this.runStage('analyzeCorrelationMatrix');
+      
+      // Put/Call ratio from SPY/QQQ/IWM options chains, falling back to the VIX/SPY proxy
+      await this.runStage('measurePutCallRatio');
       
       // Fear & Greed Index integration
-      await this.integrateFearGreedIndex();
+      await this.runStage('integrateFearGreedIndex');
+      
+      // Score raw indicators against their rolling history (optional)
+      await this.runStage('normalizeComponents');
       
       // Generate composite sentiment score
-      await this.generateCompositeSentiment();
+      await this.runStage('generateCompositeSentiment');
+      
+      // Explain the composite and its move since the previous run
+      await this.runStage('explainComposite');
       
       // Create actionable trading signals
-      await this.generateActionableSignals();
+      await this.runStage('generateActionableSignals');
       
+      this.results.metadata.stage_cache = this.stageCache.summary();
+
       // Save results
-      await this.saveResults();
+      if (publish) {
+        await this.saveResults();
+      }
       
       return this.results;
       
@@ -129,81 +307,117 @@ class EnhancedSentimentAnalyzer {
     }
   }
 
+  /**
+   * Run a stage through the stage cache; a hit restores its results without running it
+   */
+  async runStage(method) {
+    const { config = [], reads = [], writes, state = [], history = false, inputs, modules } = PIPELINE_STAGES[method];
+    const key = {
+      inputs: {
+        config: pick(this.config, config),
+        results: pick(this.results, reads),
+        stored_readings: history ? await this.loadStoredReadings() : null,
+        extra: inputs ? await inputs(this) : null
+      },
+      version: stageCodeVersion(method, modules)
+    };
+
+    const output = await this.stageCache.stage(method, key, async () => {
+      await this[method]();
+      return { results: pick(this.results, writes), state: pick(this, state) };
+    });
+    Object.assign(this.results, output.results);
+    Object.assign(this, output.state);
+  }
+
+  /**
+   * The optional high-yield spread CSV the credit stage reads
+   */
+  async spreadHistoryInput() {
+    const csvPath = process.env.CREDIT_SPREAD_CSV || this.config.credit.spread_csv;
+    if (!csvPath) return { spread_csv: null };
+    const file = path.resolve(CONFIG_DIR, '..', csvPath);
+    return {
+      spread_csv: csvPath,
+      contents: await fs.pathExists(file) ? hashValue(await fs.readFile(file, 'utf8')) : null
+    };
+  }
+
   async collectCoreMarketData() {
     console.log('📊 Collecting core market data...');
     
-    const allTickers = [
-      ...SENTIMENT_TICKERS.equity_indices,
-      ...SENTIMENT_TICKERS.volatility,
-      ...SENTIMENT_TICKERS.safe_havens,
-      ...SENTIMENT_TICKERS.risk_assets,
-      ...SENTIMENT_TICKERS.defensive,
-      ...SENTIMENT_TICKERS.crypto_etfs
-    ];
+    const tickers = this.config.tickers;
+    const allTickers = [...new Set([
+      ...tickers.equity_indices,
+      ...tickers.volatility,
+      ...tickers.safe_havens,
+      ...tickers.risk_assets,
+      ...tickers.defensive,
+      ...tickers.crypto_etfs,
+      ...tickers.sectors,
+      ...tickers.growth_vs_value,
+      ...tickers.international
+    ])];
 
     this.results.core_data = {};
     
-    for (const ticker of allTickers) {
-      try {
-        const data = await this.fetchTickerData(ticker);
-        this.results.core_data[ticker] = data;
-        
-        // Add brief delay to respect rate limits
-        await this.sleep(100);
-        
-      } catch (error) {
+    // Settled in ticker order, so the output does not depend on which request finished first
+    const settled = await this.fetcher.map(allTickers, ticker => this.fetchTickerData(ticker));
+    for (const { item: ticker, value, error } of settled) {
+      if (error) {
         console.warn(`⚠️  Failed to fetch ${ticker}: ${error.message}`);
         this.results.core_data[ticker] = { 
           error: error.message, 
-          timestamp: new Date().toISOString() 
+          timestamp: this.clock.iso() 
         };
+      } else {
+        this.results.core_data[ticker] = value;
       }
     }
     
-    console.log(`✅ Collected data for ${Object.keys(this.results.core_data).length} tickers`);
+    const failed = settled.filter(entry => entry.error).length;
+    console.log(`✅ Collected data for ${allTickers.length - failed}/${allTickers.length} tickers`);
   }
 
-  async fetchTickerData(ticker) {
-    const cacheKey = `ticker_${ticker}`;
-    const cached = cache.get(cacheKey);
-    if (cached) return cached;
+  /**
+   * Per-ticker metrics, cached as their own stage so a changed ticker list only fetches the new tickers
+   */
+  fetchTickerData(ticker) {
+    return this.stageCache.stage(`ticker_metrics:${ticker}`, {
+      inputs: { ticker, calendar: this.calendar.calendar },
+      version: stageCodeVersion('computeTickerData', ['market-calendar.js'])
+    }, () => this.computeTickerData(ticker));
+  }
 
-    const response = await axios.get(`https://query1.finance.yahoo.com/v8/finance/chart/${ticker}`, {
-      params: {
-        interval: '1d',
-        range: '30d' // Extended range for better analysis
-      },
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; SentimentTracker/3.0)'
-      }
+  async computeTickerData(ticker) {
+    const { bars: allBars } = await this.fetchHistory(ticker, {
+      interval: '1d',
+      range: '45d' // A calendar month of sessions plus room for holidays
     });
 
-    if (!response.data.chart?.result?.[0]) {
-      throw new Error(`No data available for ${ticker}`);
+    if (allBars.length < 2) {
+      throw new Error(`Insufficient data for ${ticker}`);
     }
 
-    const result = response.data.chart.result[0];
-    const quote = result.indicators?.quote?.[0];
-    
-    if (!quote?.close) {
-      throw new Error(`No price data for ${ticker}`);
-    }
+    // Return windows are calendar periods back from the latest session, not bar counts:
+    // the week-ago close is the last session on or before the same weekday a week earlier
+    const asOf = toMarketDate(allBars[allBars.length - 1].time);
+    const weekAgo = this.calendar.sessionOnOrBefore(shiftDate(asOf, { days: -7 }));
+    const monthAgo = this.calendar.sessionOnOrBefore(shiftDate(asOf, { months: -1 }));
+    const barOnOrBefore = date => allBars.findLast(bar => toMarketDate(bar.time) <= date) || allBars[0];
 
-    // Filter out null values and calculate metrics
-    const prices = quote.close.filter(p => p !== null);
-    const volumes = quote.volume?.filter(v => v !== null) || [];
-    const timestamps = result.timestamp || [];
-    
-    if (prices.length < 2) {
-      throw new Error(`Insufficient data for ${ticker}`);
-    }
+    // Provider bars are already free of empty sessions; metrics cover the month window
+    const monthAgoBar = barOnOrBefore(monthAgo);
+    const bars = allBars.slice(allBars.indexOf(monthAgoBar));
+    const prices = bars.map(bar => bar.close);
+    const volumes = bars.map(bar => bar.volume).filter(v => v !== null);
+    const lastBar = bars[bars.length - 1];
 
     // Calculate key metrics
     const currentPrice = prices[prices.length - 1];
     const previousPrice = prices[prices.length - 2];
-    const weekAgoPrice = prices[Math.max(0, prices.length - 7)];
-    const monthAgoPrice = prices[0];
+    const weekAgoPrice = barOnOrBefore(weekAgo).close;
+    const monthAgoPrice = monthAgoBar.close;
     
     const dayChange = ((currentPrice - previousPrice) / previousPrice) * 100;
     const weekChange = ((currentPrice - weekAgoPrice) / weekAgoPrice) * 100;
@@ -225,11 +439,12 @@ class EnhancedSentimentAnalyzer {
       volatility_30d: volatility,
       volume_latest: volumes.length > 0 ? volumes[volumes.length - 1] : 0,
       volume_avg_30d: volumes.length > 0 ? volumes.reduce((a, b) => a + b, 0) / volumes.length : 0,
-      price_history: prices.slice(-30), // Last 30 days for analysis
-      timestamp: new Date().toISOString()
+      price_history: prices, // Sessions since the month-ago close
+      price_dates: bars.map(bar => toMarketDate(bar.time)), // Exchange date of each price_history close
+      as_of: lastBar?.time || null,
+      timestamp: this.clock.iso()
     };
 
-    cache.set(cacheKey, tickerData);
     return tickerData;
   }
 
@@ -283,7 +498,7 @@ class EnhancedSentimentAnalyzer {
       treasury_signals: treasurySignals,
       safe_haven_score: Math.max(0, Math.min(100, safeHavenScore)),
       interpretation: this.interpretSafeHavenScore(safeHavenScore),
-      timestamp: new Date().toISOString()
+      timestamp: this.clock.iso()
     };
   }
 
@@ -291,8 +506,8 @@ class EnhancedSentimentAnalyzer {
     console.log('⚡ Measuring risk appetite...');
     
     // Risk-on vs Risk-off asset performance comparison
-    const riskOnTickers = ['QQQ', 'ARKK', 'EEM', 'HYG'];
-    const riskOffTickers = ['SPLV', 'LQD', 'TLT', 'GLD'];
+    const riskOnTickers = RISK_ON_TICKERS;
+    const riskOffTickers = RISK_OFF_TICKERS;
     
     let riskOnPerformance = 0;
     let riskOffPerformance = 0;
@@ -331,7 +546,139 @@ class EnhancedSentimentAnalyzer {
       risk_appetite_spread: riskAppetiteSpread,
       risk_appetite_score: riskAppetiteScore,
       interpretation: this.interpretRiskAppetite(riskAppetiteScore),
-      timestamp: new Date().toISOString()
+      timestamp: this.clock.iso()
+    };
+  }
+
+  async analyzeCreditRiskAppetite() {
+    console.log('💳 Analyzing credit risk appetite...');
+
+    const hyg = this.results.core_data[CREDIT_TICKERS.high_yield];
+    const lqd = this.results.core_data[CREDIT_TICKERS.investment_grade];
+
+    if (!hyg || !lqd || hyg.error || lqd.error) {
+      console.warn('⚠️  Missing HYG/LQD data, skipping credit analysis');
+      this.results.credit_risk_appetite = { error: 'Insufficient data' };
+      return;
+    }
+
+    const settings = this.config.credit;
+    const relative = relativePerformance(hyg, lqd);
+    const relativeScore = scoreRelativePerformance(relative, settings.horizons);
+
+    // Optional high-yield spread history (CREDIT_SPREAD_CSV or credit.spread_csv)
+    let spreads = null;
+    const csvPath = process.env.CREDIT_SPREAD_CSV || settings.spread_csv;
+    if (csvPath) {
+      try {
+        const rows = await loadSpreadHistory(path.resolve(CONFIG_DIR, '..', csvPath));
+        spreads = rows ? analyzeSpreadHistory(rows, { asOf: toMarketDate(hyg.as_of || this.clock.now()) }) : null;
+        if (!spreads) console.warn(`⚠️  No usable high-yield spreads in ${csvPath}`);
+      } catch (error) {
+        console.warn(`⚠️  High-yield spread CSV unreadable: ${error.message}`);
+      }
+    }
+
+    let creditScore = relativeScore;
+    if (spreads && relativeScore !== null) {
+      creditScore = (1 - settings.spread_weight) * relativeScore + settings.spread_weight * spreads.spread_score;
+    } else if (spreads) {
+      creditScore = spreads.spread_score;
+    }
+
+    this.results.credit_risk_appetite = {
+      hyg_lqd_ratio: hyg.price / lqd.price,
+      relative_performance: relative,
+      relative_score: relativeScore,
+      high_yield_spread: spreads,
+      credit_score: creditScore,
+      interpretation: creditScore === null ? 'Insufficient credit data' : this.interpretCreditScore(creditScore),
+      timestamp: this.clock.iso()
+    };
+  }
+
+  async analyzeMarketBreadth() {
+    console.log('🌐 Measuring market breadth...');
+
+    const settings = { ...this.config.breadth, sectors: this.config.tickers.sectors };
+    const symbols = [...new Set([...settings.sectors, settings.equal_weight, settings.cap_weight])];
+
+    // Moving averages need more sessions than the 30-day core snapshot holds
+    const closesBySymbol = {};
+    for (const symbol of symbols) {
+      try {
+        const bars = await this.getDailyBars(symbol, settings.history_range);
+        closesBySymbol[symbol] = bars.map(bar => bar.close);
+      } catch (error) {
+        console.warn(`⚠️  No breadth history for ${symbol}: ${error.message}`);
+      }
+    }
+
+    const breadth = analyzeBreadth(closesBySymbol, settings);
+    if (!breadth) {
+      console.warn('⚠️  Sector data unavailable, skipping breadth');
+      this.results.market_breadth = { error: 'Insufficient sector data' };
+      return;
+    }
+
+    this.results.market_breadth = {
+      ...breadth,
+      interpretation: this.interpretBreadth(breadth),
+      timestamp: this.clock.iso()
+    };
+  }
+
+  async analyzeSectorRotation() {
+    console.log('🔄 Analyzing sector rotation...');
+
+    const rotation = analyzeSectorRotation(this.results.core_data, this.config.sector_rotation);
+    if (!rotation) {
+      console.warn('⚠️  Sector data unavailable, skipping rotation');
+      this.results.sector_rotation = { error: 'Insufficient sector data' };
+      return;
+    }
+
+    this.results.sector_rotation = {
+      ...rotation,
+      interpretation: this.interpretSectorLeadership(rotation.leadership.leadership_score),
+      timestamp: this.clock.iso()
+    };
+  }
+
+  async analyzeStyleRotation() {
+    console.log('🎨 Analyzing growth vs value rotation...');
+
+    const { pairs, score } = scorePairs(this.results.core_data, this.config.style_rotation.pairs, this.config.style_rotation.horizons);
+    if (score === null) {
+      console.warn('⚠️  Missing growth/value data, skipping style rotation');
+      this.results.style_rotation = { error: 'Insufficient data' };
+      return;
+    }
+
+    this.results.style_rotation = {
+      pairs,
+      style_score: score,
+      leadership: score >= 55 ? 'growth' : score <= 45 ? 'value' : 'balanced',
+      interpretation: this.interpretStyleScore(score),
+      timestamp: this.clock.iso()
+    };
+  }
+
+  async analyzeGlobalRiskTolerance() {
+    console.log('🌍 Analyzing global risk tolerance...');
+
+    const { pairs, score } = scorePairs(this.results.core_data, this.config.global_risk.pairs, this.config.global_risk.horizons);
+    if (score === null) {
+      console.warn('⚠️  Missing international data, skipping global risk tolerance');
+      this.results.global_risk_tolerance = { error: 'Insufficient data' };
+      return;
+    }
+
+    this.results.global_risk_tolerance = {
+      pairs,
+      global_risk_score: score,
+      interpretation: this.interpretGlobalRiskScore(score),
+      timestamp: this.clock.iso()
     };
   }
 
@@ -348,25 +695,8 @@ class EnhancedSentimentAnalyzer {
     }
 
     // VIX level interpretation
-    let vixSignal = 'normal';
-    let vixScore = 50;
-    
-    if (vix.price > SENTIMENT_THRESHOLDS.vix_levels.panic) {
-      vixSignal = 'panic';
-      vixScore = 10;
-    } else if (vix.price > SENTIMENT_THRESHOLDS.vix_levels.fear) {
-      vixSignal = 'fear';
-      vixScore = 25;
-    } else if (vix.price > SENTIMENT_THRESHOLDS.vix_levels.elevated) {
-      vixSignal = 'elevated';
-      vixScore = 40;
-    } else if (vix.price < SENTIMENT_THRESHOLDS.vix_levels.complacency) {
-      vixSignal = 'complacency';
-      vixScore = 85;
-    } else if (vix.price < SENTIMENT_THRESHOLDS.vix_levels.normal_low) {
-      vixSignal = 'low';
-      vixScore = 70;
-    }
+    const vixSignal = this.classifyVIXLevel(vix.price);
+    const vixScore = this.config.vix.scores[vixSignal];
 
     // Term structure analysis (if VIX9D available)
     let termStructure = null;
@@ -381,6 +711,44 @@ class EnhancedSentimentAnalyzer {
       };
     }
 
+    // Full curve (9D, 1M, 3M, 6M) for today, one week and one month ago, with the
+    // same calendar windows as the return changes
+    const curveSettings = this.config.vix.term_structure;
+    const asOf = vix.price_dates?.[vix.price_dates.length - 1] ?? this.sessionDate();
+    const curve = analyzeVixCurve(this.vixCurveLevels(asOf), curveSettings);
+    if (curve) {
+      const history = {};
+      for (const [label, date] of [
+        ['today', asOf],
+        ['week_ago', this.calendar.sessionOnOrBefore(shiftDate(asOf, { days: -7 }))],
+        ['month_ago', this.calendar.sessionOnOrBefore(shiftDate(asOf, { months: -1 }))]
+      ]) {
+        const snapshot = analyzeVixCurve(this.vixCurveLevels(date), curveSettings);
+        if (snapshot) {
+          history[label] = {
+            date,
+            sessions_ago: this.calendar.sessionsBetween(date, asOf).length,
+            points: snapshot.points,
+            slope_pct: snapshot.slope_pct,
+            shape: snapshot.shape
+          };
+        }
+      }
+      termStructure = {
+        ...termStructure,
+        curve: curve.points,
+        shape: curve.shape,
+        slope_pct: curve.slope_pct,
+        front_ratio: curve.front_ratio,
+        inversions: curve.inversions,
+        inverted: curve.inverted,
+        front_inverted: curve.front_inverted,
+        stress_score: curve.stress_score,
+        term_structure_score: curve.term_structure_score,
+        curve_history: history
+      };
+    }
+
     this.results.market_structure = {
       vix_level: vix.price,
       vix_signal: vixSignal,
@@ -388,10 +756,24 @@ class EnhancedSentimentAnalyzer {
       vix_change_1d: vix.change_1d,
       term_structure: termStructure,
       volatility_interpretation: this.interpretVIXLevel(vix.price),
-      timestamp: new Date().toISOString()
+      timestamp: this.clock.iso()
     };
   }
 
+  /**
+   * VIX family closes on `date` (or the last session before it each index has), from their price histories
+   */
+  vixCurveLevels(date) {
+    const levels = {};
+    for (const symbol of VIX_CURVE_SYMBOLS) {
+      const data = this.results.core_data[symbol];
+      const dates = data && !data.error ? data.price_dates : null;
+      const index = dates ? dates.findLastIndex(priceDate => priceDate <= date) : -1;
+      levels[symbol] = index >= 0 ? data.price_history[index] : null;
+    }
+    return levels;
+  }
+
   async analyzeCryptoCorrelation() {
     console.log('🚀 Analyzing crypto correlation...');
     
@@ -405,17 +787,17 @@ class EnhancedSentimentAnalyzer {
       return;
     }
 
-    // Calculate correlation using price history
-    const correlation = this.calculateCorrelation(
-      bito.price_history.slice(-20), // Last 20 days
-      spy.price_history.slice(-20)
+    // Correlate daily returns (prices that merely trend together look correlated)
+    const correlation = pearson(
+      dailyReturns(bito.price_history.slice(-(CRYPTO_CORRELATION_WINDOW + 1))),
+      dailyReturns(spy.price_history.slice(-(CRYPTO_CORRELATION_WINDOW + 1)))
     );
 
     // Interpret correlation
     let correlationSignal = 'moderate';
     if (correlation > 0.7) correlationSignal = 'high_risk_asset_mode';
-    else if (correlation < 0.3) correlationSignal = 'independent_hedge_mode';
     else if (correlation < 0) correlationSignal = 'negative_correlation';
+    else if (correlation < 0.3) correlationSignal = 'independent_hedge_mode';
 
     this.results.crypto_correlation = {
       btc_spy_correlation: correlation,
@@ -424,7 +806,108 @@ class EnhancedSentimentAnalyzer {
       stocks_change_1d: spy.change_1d,
       divergence: Math.abs(bito.change_1d - spy.change_1d),
       interpretation: this.interpretCryptoCorrelation(correlation),
-      timestamp: new Date().toISOString()
+      timestamp: this.clock.iso()
+    };
+  }
+
+  /**
+   * Daily bars for a longer range than the core snapshot, fetched once per run
+   */
+  async getDailyBars(symbol, range) {
+    const key = `${symbol}:${range}`;
+    if (!this.dailyBars.has(key)) {
+      const { bars } = await this.fetchHistory(symbol, { interval: '1d', range });
+      this.dailyBars.set(key, bars);
+    }
+    return this.dailyBars.get(key);
+  }
+
+  fetchHistory(symbol, options) {
+    return this.stageCache.raw(`history:${this.provider.name}:${symbol}:${stableStringify(options)}`, () =>
+      this.fetcher.execute(symbol, this.provider.host, () => this.provider.getHistory(symbol, options)));
+  }
+
+  fetchOptionsChain(symbol, options) {
+    return this.stageCache.raw(`options:${this.provider.name}:${symbol}:${stableStringify(options)}`, () =>
+      this.fetcher.execute(`options:${symbol}`, this.provider.host, () => this.provider.getOptionsChain(symbol, options)));
+  }
+
+  fetchFearGreed(params) {
+    // Status and body only: the cached copy has to be plain data
+    return this.stageCache.raw(`fear_greed:${stableStringify(params)}`, async () => {
+      const { status, data } = await this.fetcher.execute('fear_greed', new URL(FEAR_GREED_URL).hostname, () => this.http.get(FEAR_GREED_URL, { params, timeout: 10000 }));
+      return { status, data };
+    });
+  }
+
+  async measurePutCallRatio() {
+    console.log('📈 Measuring Put/Call ratio from options chains...');
+
+    const vix = this.results.core_data['^VIX'];
+    const spy = this.results.core_data['SPY'];
+    const vixLevel = vix && !vix.error ? vix.price : 20;
+    const spyChange = spy && !spy.error ? spy.change_1d : 0;
+
+    // Chains go through the scheduler and stage cache like every other request
+    const chains = { name: this.provider.name, getOptionsChain: (symbol, options) => this.fetchOptionsChain(symbol, options) };
+    const putCall = await resolvePutCallRatio(chains, this.config.put_call, { vixLevel, spyChange });
+    this.results.put_call = { ...putCall, timestamp: this.clock.iso() };
+
+    console.log(putCall.source === 'measured'
+      ? `✅ Put/Call Ratio (measured, ${putCall.basis}): ${putCall.value} (${putCall.symbols.join(', ')})`
+      : `✅ Put/Call Ratio (proxy): ${putCall.value} (VIX: ${vixLevel.toFixed(2)}, SPY: ${spyChange.toFixed(2)}%)`);
+  }
+
+  async analyzeCorrelationMatrix() {
+    console.log('🔗 Computing cross-asset correlation matrix...');
+
+    const settings = this.config.correlation;
+    const symbols = Object.keys(this.results.core_data).filter(symbol => !this.results.core_data[symbol].error);
+
+    const barsBySymbol = {};
+    for (const symbol of symbols) {
+      try {
+        barsBySymbol[symbol] = await this.getDailyBars(symbol, settings.history_range);
+      } catch (error) {
+        console.warn(`⚠️  No correlation history for ${symbol}: ${error.message}`);
+      }
+    }
+
+    const { sessions, returns } = alignReturns(barsBySymbol);
+    if (sessions.length < settings.short_window) {
+      console.warn('⚠️  Not enough aligned sessions for correlations');
+      this.results.correlation_regime = { error: 'Insufficient history' };
+      return;
+    }
+
+    const matrixSymbols = symbols.filter(symbol => returns[symbol]);
+    const windows = [settings.short_window, settings.long_window];
+    const pairs = detectRegimeBreaks(returns, settings);
+    const breaks = pairs.filter(pair => pair.break);
+
+    // Full matrices go to their own artifact; the main output keeps the regime summary
+    this.correlationArtifact = {
+      generated_at: this.clock.iso(),
+      config_version: this.config.config_version,
+      as_of: sessions[sessions.length - 1],
+      sessions: sessions.length,
+      symbols: matrixSymbols,
+      windows: windows.map(window => `${window}d`),
+      matrices: Object.fromEntries(windows.map(window => [`${window}d`, correlationMatrix(returns, matrixSymbols, window)])),
+      regime_pairs: pairs,
+      breaks
+    };
+
+    this.results.correlation_regime = {
+      as_of: this.correlationArtifact.as_of,
+      windows: this.correlationArtifact.windows,
+      pairs,
+      breaks,
+      interpretation: breaks.length === 0
+        ? 'Cross-asset correlations are in their usual regimes'
+        : `Correlation regime break: ${breaks.map(pair => pair.label).join(', ')}`,
+      artifact: 'correlation-matrix.json',
+      timestamp: this.clock.iso()
     };
   }
 
@@ -432,10 +915,7 @@ class EnhancedSentimentAnalyzer {
     console.log('😰 Integrating Fear & Greed Index...');
     
     try {
-      const response = await axios.get('https://api.alternative.me/fng/', {
-        params: { limit: 7 },
-        timeout: 10000
-      });
+      const response = await this.fetchFearGreed({ limit: 7 });
 
       const fngData = response.data.data?.[0];
       if (!fngData) {
@@ -462,17 +942,102 @@ class EnhancedSentimentAnalyzer {
     }
   }
 
+  /**
+   * Percentile/z-score mode: rebuild each component's raw indicator over a
+   * multi-year window of daily bars and score today's reading against it.
+   * Components with too little history keep their fixed step-function score.
+   */
+  async normalizeComponents() {
+    const raw = computeRawIndicators(marketFromCoreData(
+      this.results.core_data,
+      this.results.fear_greed_indicators?.cnn_fear_greed_index ?? null
+    ));
+    this.results.raw_indicators = raw;
+
+    if (this.normalizationMode === 'fixed') {
+      this.results.normalization = { mode: 'fixed' };
+      return;
+    }
+
+    console.log(`📐 Normalizing components (${this.normalizationMode})...`);
+    const settings = this.config.normalization;
+
+    try {
+      const history = await this.loadRawIndicatorHistory(settings.history_range);
+      const spy = this.results.core_data['SPY'];
+      const today = toMarketDate(spy?.as_of || this.clock.now());
+      // Only sessions before today, so the reading is never scored against itself
+      const window = history.filter(point => point.date < today).slice(-settings.lookback_sessions);
+
+      const components = {};
+      for (const [key, indicator] of Object.entries(RAW_INDICATORS)) {
+        const normalized = normalizeIndicator(raw[key], window.map(point => point.raw[key]), {
+          mode: this.normalizationMode,
+          direction: indicator.direction,
+          minObservations: settings.min_observations,
+          zscoreClamp: settings.zscore_clamp
+        });
+        components[key] = normalized
+          ? { raw: raw[key], ...normalized }
+          : { raw: raw[key], score: null, fallback: 'fixed' };
+      }
+
+      this.results.normalization = {
+        mode: this.normalizationMode,
+        lookback_sessions: settings.lookback_sessions,
+        window_start: window[0]?.date || null,
+        window_end: window[window.length - 1]?.date || null,
+        components,
+        timestamp: this.clock.iso()
+      };
+    } catch (error) {
+      console.warn(`⚠️  Normalization unavailable, using fixed scores: ${error.message}`);
+      this.results.normalization = { mode: 'fixed', requested_mode: this.normalizationMode, error: error.message };
+    }
+  }
+
+  async loadRawIndicatorHistory(range) {
+    const barsBySymbol = {};
+    for (const symbol of normalizationSymbols()) {
+      try {
+        const { bars } = await this.fetchHistory(symbol, { interval: '1d', range });
+        barsBySymbol[symbol] = bars;
+      } catch (error) {
+        console.warn(`⚠️  No normalization history for ${symbol}: ${error.message}`);
+      }
+    }
+    if (!barsBySymbol.SPY) {
+      throw new Error('SPY history is required to align normalization sessions');
+    }
+
+    const fearGreedByDate = {};
+    try {
+      const sessions = barsBySymbol.SPY.length;
+      // The index is published every calendar day
+      const response = await this.fetchFearGreed({ limit: Math.ceil(sessions * 365 / 252) });
+      for (const item of response.data.data || []) {
+        fearGreedByDate[new Date(parseInt(item.timestamp) * 1000).toISOString().split('T')[0]] = parseInt(item.value);
+      }
+    } catch (error) {
+      console.warn(`⚠️  No Fear & Greed history for normalization: ${error.message}`);
+    }
+
+    return buildRawIndicatorHistory(barsBySymbol, fearGreedByDate);
+  }
+
+  /**
+   * Normalized score for a component when available, otherwise its fixed score
+   */
+  componentScore(key, fixedScore) {
+    const normalized = this.results.normalization?.components?.[key];
+    return typeof normalized?.score === 'number' ? normalized.score : fixedScore;
+  }
+
   async generateCompositeSentiment() {
     console.log('🧮 Generating composite sentiment score...');
     
     // Weighted composite calculation
-    const weights = {
-      vix_score: 0.25,           // Market volatility
-      safe_haven_score: 0.20,   // Flight to quality
-      risk_appetite_score: 0.20, // Risk appetite
-      fear_greed_index: 0.20,   // External sentiment
-      crypto_correlation: 0.15   // Risk asset correlation
-    };
+    const weights = { ...this.config.composite.weights };
 
     let compositeScore = 0;
     let totalWeight = 0;
@@ -480,7 +1045,7 @@ class EnhancedSentimentAnalyzer {
 
     // VIX component
     if (this.results.market_structure?.vix_score) {
-      const vixScore = this.results.market_structure.vix_score;
+      const vixScore = this.componentScore('vix', this.results.market_structure.vix_score);
       compositeScore += vixScore * weights.vix_score;
       totalWeight += weights.vix_score;
       components.vix = vixScore;
@@ -488,7 +1053,7 @@ class EnhancedSentimentAnalyzer {
 
     // Safe haven component
     if (this.results.safe_haven_analysis?.safe_haven_score) {
-      const safeHavenScore = this.results.safe_haven_analysis.safe_haven_score;
+      const safeHavenScore = this.componentScore('safe_haven', this.results.safe_haven_analysis.safe_haven_score);
       compositeScore += safeHavenScore * weights.safe_haven_score;
       totalWeight += weights.safe_haven_score;
       components.safe_haven = safeHavenScore;
@@ -496,23 +1061,64 @@ class EnhancedSentimentAnalyzer {
 
     // Risk appetite component
     if (this.results.risk_appetite_signals?.risk_appetite_score) {
-      const riskScore = this.results.risk_appetite_signals.risk_appetite_score;
+      const riskScore = this.componentScore('risk_appetite', this.results.risk_appetite_signals.risk_appetite_score);
       compositeScore += riskScore * weights.risk_appetite_score;
       totalWeight += weights.risk_appetite_score;
       components.risk_appetite = riskScore;
     }
 
+    // Credit risk appetite component (junk-bond demand)
+    if (typeof this.results.credit_risk_appetite?.credit_score === 'number') {
+      const creditScore = this.componentScore('credit', this.results.credit_risk_appetite.credit_score);
+      compositeScore += creditScore * weights.credit_score;
+      totalWeight += weights.credit_score;
+      components.credit = creditScore;
+    }
+
+    // Market breadth component (broad participation = healthy greed)
+    if (typeof this.results.market_breadth?.breadth_score === 'number') {
+      const breadthScore = this.componentScore('breadth', this.results.market_breadth.breadth_score);
+      compositeScore += breadthScore * weights.breadth_score;
+      totalWeight += weights.breadth_score;
+      components.breadth = breadthScore;
+    }
+
+    // Growth vs value style component (growth leadership = risk-on)
+    if (typeof this.results.style_rotation?.style_score === 'number') {
+      const styleScore = this.componentScore('style', this.results.style_rotation.style_score);
+      compositeScore += styleScore * weights.style_score;
+      totalWeight += weights.style_score;
+      components.style = styleScore;
+    }
+
+    // Global risk tolerance component (emerging markets leading = risk-on)
+    if (typeof this.results.global_risk_tolerance?.global_risk_score === 'number') {
+      const globalScore = this.componentScore('global_risk', this.results.global_risk_tolerance.global_risk_score);
+      compositeScore += globalScore * weights.global_risk_score;
+      totalWeight += weights.global_risk_score;
+      components.global_risk = globalScore;
+    }
+
     // Fear & Greed Index component
     if (this.results.fear_greed_indicators?.cnn_fear_greed_index) {
-      const fgScore = this.results.fear_greed_indicators.cnn_fear_greed_index;
+      const fgScore = this.componentScore('fear_greed_index', this.results.fear_greed_indicators.cnn_fear_greed_index);
       compositeScore += fgScore * weights.fear_greed_index;
       totalWeight += weights.fear_greed_index;
       components.fear_greed_index = fgScore;
     }
 
+    // VIX term structure component (inverted curve = stress)
+    const termStructureScore = this.results.market_structure?.term_structure?.term_structure_score;
+    if (typeof termStructureScore === 'number') {
+      const curveScore = this.componentScore('term_structure', termStructureScore);
+      compositeScore += curveScore * weights.term_structure;
+      totalWeight += weights.term_structure;
+      components.term_structure = curveScore;
+    }
+
     // Crypto correlation component (inverted - high correlation = more risk)
     if (this.results.crypto_correlation?.btc_spy_correlation !== undefined) {
-      const corrScore = (1 - Math.abs(this.results.crypto_correlation.btc_spy_correlation)) * 100;
+      const corrScore = this.componentScore('crypto_correlation', (1 - Math.abs(this.results.crypto_correlation.btc_spy_correlation)) * 100);
       compositeScore += corrScore * weights.crypto_correlation;
       totalWeight += weights.crypto_correlation;
       components.crypto_correlation = corrScore;
@@ -520,14 +1126,67 @@ class EnhancedSentimentAnalyzer {
 
     // Normalize score
     const normalizedScore = totalWeight > 0 ? compositeScore / totalWeight : 50;
+    const interval = await this.estimateCompositeInterval(components);
     
     this.results.sentiment_composite = {
       composite_score: Math.round(normalizedScore),
       classification: this.classifyCompositeSentiment(normalizedScore),
+      confidence_interval: interval,
       components: components,
       weights_used: weights,
+      normalization: this.results.normalization?.mode || 'fixed',
+      config_version: this.config.config_version,
       data_completeness: (totalWeight / Object.values(weights).reduce((a, b) => a + b, 0)) * 100,
-      timestamp: new Date().toISOString()
+      timestamp: this.clock.iso()
+    };
+  }
+
+  async explainComposite() {
+    console.log('🧾 Attributing composite score...');
+
+    const stored = await this.loadStoredReadings();
+    // Readings from the simple pipeline carry no components to compare against
+    const previous = [...stored].reverse().find(reading => Object.keys(reading.components).length > 0) || null;
+    const attribution = attributeComposite(this.results.sentiment_composite.components, previous, componentWeights(this.config));
+    if (!attribution) {
+      this.results.composite_attribution = { error: 'No weighted components' };
+      return;
+    }
+
+    this.results.composite_attribution = { ...attribution, timestamp: this.clock.iso() };
+    for (const line of attribution.what_changed.slice(0, 3)) {
+      console.log(`   • ${line}`);
+    }
+  }
+
+  /**
+   * Bootstrap band around the composite from weight and recent component uncertainty,
+   * seeded by session and config version so re-runs publish the same band
+   */
+  async estimateCompositeInterval(components) {
+    const settings = this.config.uncertainty;
+    const stored = await this.loadStoredReadings();
+    const recent = stored.slice(-settings.history_sessions);
+    const history = [...recent.map(reading => reading.components), components];
+
+    const interval = bootstrapCompositeInterval({
+      components,
+      weights: componentWeights(this.config),
+      history,
+      resamples: settings.resamples,
+      level: settings.level,
+      seed: seedFromString(`${this.sessionDate()}:${this.config.config_version}`)
+    });
+    if (!interval) return null;
+
+    const classificationLow = this.classifyCompositeSentiment(interval.low);
+    const classificationHigh = this.classifyCompositeSentiment(interval.high);
+    return {
+      ...interval,
+      history_sessions: recent.length,
+      classification_low: classificationLow,
+      classification_high: classificationHigh,
+      borderline: classificationLow !== classificationHigh
     };
   }
 
@@ -537,31 +1196,66 @@ class EnhancedSentimentAnalyzer {
     const compositeScore = this.results.sentiment_composite?.composite_score || 50;
     const vixLevel = this.results.market_structure?.vix_level || 20;
     const safeHavenScore = this.results.safe_haven_analysis?.safe_haven_score || 50;
+
+    // Regime and signal state are replayed over every stored reading plus today's
+    const readings = await this.loadSessionReadings();
+    const regime = runRegimeEngine(readings, this.config.regime);
+    const { state: signalState, events } = trackSignalState(readings, {
+      signalFor: score => this.generatePrimarySignal(score).action,
+      weights: componentWeights(this.config),
+      ...this.config.signals
+    });
+    this.signalEvents = events;
+    if (signalState.held) {
+      const reason = signalState.hold_reason === 'cooldown'
+        ? `${signalState.cooldown_remaining} cooldown session(s) left`
+        : `within the ${this.config.signals.boundary_buffer}-point boundary buffer`;
+      console.log(`⏸️  Holding ${signalState.action} (raw ${signalState.raw_action}, ${reason})`);
+    }
     
     // Generate clear buy/sell signals
     const signals = {
-      primary_signal: this.generatePrimarySignal(compositeScore),
+      primary_signal: { action: signalState.action, description: PRIMARY_SIGNAL_DESCRIPTIONS[signalState.action] },
+      signal_state: signalState,
       confidence_level: this.calculateConfidenceLevel(),
-      market_regime: this.identifyMarketRegime(compositeScore, vixLevel),
+      market_regime: regime.regime,
+      regime,
       tactical_recommendations: this.generateTacticalRecommendations(compositeScore),
       risk_level: this.assessRiskLevel(compositeScore, vixLevel),
-      timestamp: new Date().toISOString()
+      timestamp: this.clock.iso()
     };
 
-    // Add specific entry/exit levels if available
-    const spy = this.results.core_data['SPY'];
-    if (spy && !spy.error) {
-      signals.spy_levels = {
-        current_price: spy.price,
-        support_level: spy.price * 0.98, // 2% below current
-        resistance_level: spy.price * 1.02, // 2% above current
-        stop_loss_suggestion: spy.price * (compositeScore < 40 ? 0.95 : 0.93) // Tighter stops in fear markets
-      };
+    // Entry/exit levels from each index's own price structure
+    signals.price_levels = await this.calculatePriceLevels(compositeScore);
+    if (signals.price_levels.SPY) {
+      signals.spy_levels = signals.price_levels.SPY;
     }
 
     this.results.actionable_signals = signals;
   }
 
+  async calculatePriceLevels(compositeScore) {
+    const settings = this.config.price_levels;
+    // Tighter stops in fear markets
+    const fearful = compositeScore < this.config.composite.classification_cutoffs.fear;
+
+    const levels = {};
+    for (const symbol of settings.symbols) {
+      try {
+        const bars = await this.getDailyBars(symbol, settings.history_range);
+        const analysis = analyzePriceLevels(bars, settings, { fearful });
+        if (analysis) {
+          levels[symbol] = { ...analysis, method: { ...analysis.method, history_range: settings.history_range } };
+        } else {
+          console.warn(`⚠️  Not enough history for ${symbol} price levels`);
+        }
+      } catch (error) {
+        console.warn(`⚠️  No price levels for ${symbol}: ${error.message}`);
+      }
+    }
+    return levels;
+  }
+
   // Helper methods for calculations and interpretations
   calculateStandardDeviation(values) {
     const mean = values.reduce((a, b) => a + b, 0) / values.length;
@@ -570,22 +1264,6 @@ class EnhancedSentimentAnalyzer {
     return Math.sqrt(avgSquaredDiff);
   }
 
-  calculateCorrelation(x, y) {
-    if (x.length !== y.length || x.length < 2) return 0;
-    
-    const n = x.length;
-    const sumX = x.reduce((a, b) => a + b, 0);
-    const sumY = y.reduce((a, b) => a + b, 0);
-    const sumXY = x.reduce((total, xi, i) => total + (xi * y[i]), 0);
-    const sumX2 = x.reduce((total, xi) => total + (xi * xi), 0);
-    const sumY2 = y.reduce((total, yi) => total + (yi * yi), 0);
-    
-    const numerator = (n * sumXY) - (sumX * sumY);
-    const denominator = Math.sqrt(((n * sumX2) - (sumX * sumX)) * ((n * sumY2) - (sumY * sumY)));
-    
-    return denominator === 0 ? 0 : numerator / denominator;
-  }
-
   interpretSafeHavenScore(score) {
     if (score < 20) return 'Strong flight to safety - extreme fear';
     if (score < 40) return 'Moderate safe haven demand - fear present';
@@ -602,12 +1280,66 @@ class EnhancedSentimentAnalyzer {
     return 'Extreme risk-on - maximum risk appetite';
   }
 
+  interpretCreditScore(score) {
+    if (score < 20) return 'Credit stress - investors dumping junk bonds';
+    if (score < 40) return 'Weak junk-bond demand - credit caution';
+    if (score < 60) return 'Neutral credit conditions';
+    if (score < 80) return 'Healthy junk-bond demand - investors reaching for yield';
+    return 'Frothy credit - aggressive yield chasing';
+  }
+
+  interpretBreadth({ breadth_score: score, equal_weight_divergence: divergence }) {
+    // A strong tape with equal weight lagging is a narrow, mega-cap led rally
+    const narrow = divergence && divergence.spread < -2;
+    if (score < 20) return 'Very weak breadth - broad-based selling across sectors';
+    if (score < 40) return 'Weak breadth - most sectors below their trends';
+    if (score < 60) return narrow ? 'Mixed breadth - gains concentrated in mega-caps' : 'Mixed breadth - sectors split on trend';
+    if (score < 80) return narrow ? 'Healthy breadth, but equal weight is lagging the index' : 'Healthy breadth - most sectors in uptrends';
+    return 'Very strong breadth - broad participation across sectors';
+  }
+
+  interpretSectorLeadership(score) {
+    if (score === null) return 'Insufficient sector data';
+    if (score < 20) return 'Strong defensive leadership - investors hiding in staples, utilities and health care';
+    if (score < 40) return 'Defensive tilt - safety sectors outperforming';
+    if (score < 60) return 'No clear leadership between cyclical and defensive sectors';
+    if (score < 80) return 'Cyclical tilt - growth-sensitive sectors leading';
+    return 'Strong cyclical leadership - aggressive risk-on rotation';
+  }
+
+  interpretStyleScore(score) {
+    if (score < 20) return 'Strong value leadership - investors avoiding long-duration growth';
+    if (score < 40) return 'Value tilt - preference for cheaper, defensive earnings';
+    if (score < 60) return 'Balanced growth and value performance';
+    if (score < 80) return 'Growth tilt - investors paying up for future earnings';
+    return 'Strong growth leadership - speculative appetite for growth stocks';
+  }
+
+  interpretGlobalRiskScore(score) {
+    if (score < 20) return 'Global risk aversion - capital retreating to the US and developed markets';
+    if (score < 40) return 'Cautious global positioning - emerging markets lagging';
+    if (score < 60) return 'Neutral global risk tolerance';
+    if (score < 80) return 'Healthy global risk appetite - emerging markets outperforming';
+    return 'Strong global risk-on - aggressive emerging market buying';
+  }
+
+  classifyVIXLevel(level) {
+    const bands = this.config.vix.bands;
+    if (level > bands.panic) return 'panic';
+    if (level > bands.fear) return 'fear';
+    if (level > bands.elevated) return 'elevated';
+    if (level < bands.complacency) return 'complacency';
+    if (level < bands.normal_low) return 'low';
+    return 'normal';
+  }
+
   interpretVIXLevel(level) {
-    if (level > 40) return 'Market panic - extreme fear';
-    if (level > 30) return 'High fear - significant uncertainty';
-    if (level > 25) return 'Elevated concern - above normal fear';
-    if (level > 20) return 'Normal volatility - moderate concern';
-    if (level > 15) return 'Low volatility - calm markets';
+    const bands = this.config.vix.bands;
+    if (level > bands.panic) return 'Market panic - extreme fear';
+    if (level > bands.fear) return 'High fear - significant uncertainty';
+    if (level > bands.elevated) return 'Elevated concern - above normal fear';
+    if (level > bands.normal_high) return 'Normal volatility - moderate concern';
+    if (level > bands.normal_low) return 'Low volatility - calm markets';
     return 'Extreme complacency - potential danger';
   }
 
@@ -619,35 +1351,86 @@ class EnhancedSentimentAnalyzer {
   }
 
   classifyCompositeSentiment(score) {
-    if (score < 20) return 'Extreme Fear';
-    if (score < 40) return 'Fear';
-    if (score < 60) return 'Neutral';
-    if (score < 80) return 'Greed';
+    const cutoffs = this.config.composite.classification_cutoffs;
+    if (score < cutoffs.extreme_fear) return 'Extreme Fear';
+    if (score < cutoffs.fear) return 'Fear';
+    if (score < cutoffs.neutral) return 'Neutral';
+    if (score < cutoffs.greed) return 'Greed';
     return 'Extreme Greed';
   }
 
   generatePrimarySignal(score) {
-    if (score < 20) return { action: 'STRONG_BUY', description: 'Markets oversold - excellent buying opportunity' };
-    if (score < 40) return { action: 'BUY', description: 'Fear creating value - selective buying' };
-    if (score < 60) return { action: 'HOLD', description: 'Mixed signals - maintain positions' };
-    if (score < 80) return { action: 'SELL', description: 'Greed building - consider profit taking' };
-    return { action: 'STRONG_SELL', description: 'Extreme greed - reduce risk exposure' };
+    const cutoffs = this.config.composite.classification_cutoffs;
+    let action = 'STRONG_SELL';
+    if (score < cutoffs.extreme_fear) action = 'STRONG_BUY';
+    else if (score < cutoffs.fear) action = 'BUY';
+    else if (score < cutoffs.neutral) action = 'HOLD';
+    else if (score < cutoffs.greed) action = 'SELL';
+    return { action, description: PRIMARY_SIGNAL_DESCRIPTIONS[action] };
   }
 
   calculateConfidenceLevel() {
     const completeness = this.results.sentiment_composite?.data_completeness || 0;
-    if (completeness > 90) return 'HIGH';
+    // A band straddling a classification cutoff caps confidence, however complete the data
+    const borderline = this.results.sentiment_composite?.confidence_interval?.borderline;
+    if (completeness > 90 && !borderline) return 'HIGH';
     if (completeness > 70) return 'MEDIUM';
     return 'LOW';
   }
 
-  identifyMarketRegime(score, vix) {
-    if (vix > 30 && score < 30) return 'CRISIS_MODE';
-    if (vix > 25 && score < 40) return 'FEAR_DRIVEN';
-    if (vix < 15 && score > 70) return 'COMPLACENCY_RISK';
-    if (score < 30) return 'OVERSOLD_OPPORTUNITY';
-    if (score > 75) return 'OVERBOUGHT_CAUTION';
-    return 'NORMAL_MARKETS';
+  sessionDate() {
+    const spy = this.results.core_data['SPY'];
+    return toMarketDate(spy?.as_of || this.clock.now());
+  }
+
+  /**
+   * Composite readings stored for earlier sessions, oldest first (read once per run).
+   * Today's record is replaced on re-runs, so it is left out here. Only enhanced
+   * records count: simple and backfilled records hold the simple pipeline's score,
+   * a different metric from this composite.
+   */
+  async loadStoredReadings() {
+    if (this.storedReadings) return this.storedReadings;
+
+    // A replay scores against the readings its recording used (regime, signal state, band and attribution all depend on them)
+    if (this.http.mode === 'replay') {
+      const recorded = await this.http.readHistoryReadings();
+      if (!recorded) console.warn('⚠️  Cassette has no stored history readings, starting from today');
+      this.storedReadings = recorded || [];
+      return this.storedReadings;
+    }
+
+    let records = [];
+    try {
+      const store = new SentimentHistoryStore(path.join(this.outputDir, 'history'), { clock: this.clock });
+      records = await store.readAll();
+    } catch (error) {
+      console.warn(`⚠️  Session history unavailable, starting from today: ${error.message}`);
+    }
+
+    const today = this.sessionDate();
+    this.storedReadings = records
+      .filter(record => record.pipeline === 'enhanced' && record.date < today && typeof record.composite?.score === 'number')
+      .map(record => ({
+        date: record.date,
+        score: record.composite.score,
+        vix: record.indicators?.vix ?? null,
+        components: record.components || {}
+      }));
+    if (this.http.mode === 'record') await this.http.writeHistoryReadings(this.storedReadings);
+    return this.storedReadings;
+  }
+
+  /**
+   * Stored readings followed by today's live reading
+   */
+  async loadSessionReadings() {
+    return [...await this.loadStoredReadings(), {
+      date: this.sessionDate(),
+      score: this.results.sentiment_composite?.composite_score ?? 50,
+      vix: this.results.market_structure?.vix_level ?? null,
+      components: this.results.sentiment_composite?.components || {}
+    }];
   }
 
   generateTacticalRecommendations(score) {
@@ -680,58 +1463,208 @@ class EnhancedSentimentAnalyzer {
 
   async saveResults() {
     // Add final metadata
-    this.results.metadata.processing_time_ms = Date.now() - this.startTime;
+    this.results.metadata.processing_time_ms = this.clock.ms() - this.startTime;
     this.results.metadata.total_indicators = Object.keys(this.results).length - 1; // Exclude metadata
+    this.results.metadata.fetch_summary = this.fetcher.summary();
     
-    // Save enhanced results
-    const outputPath = path.resolve(__dirname, '../public/data/enhanced-sentiment-data.json');
-    await fs.ensureDir(path.dirname(outputPath));
-    await fs.writeJSON(outputPath, this.results, { spaces: 2 });
-    
-    // Also update the main market data file for compatibility
-    const compatPath = path.resolve(__dirname, '../public/data/market-data.json');
-    const compatibleData = this.createCompatibleFormat();
-    await fs.writeJSON(compatPath, compatibleData, { spaces: 2 });
-    
-    console.log(`✅ Enhanced sentiment data saved to: ${outputPath}`);
+    // Both files are gated before either is written, so they always describe the same run;
+    // when either fails, nothing is written and the last good files stay in place
+    const settings = this.config.quality_gate;
+    const enhancedFile = 'enhanced-sentiment-data.json';
+    const marketDataPaths = [path.join(this.outputDir, 'market-data.json')];
+    // The main market data file, in the same contract simple-fetch.js writes
+    const marketData = await gateMarketDataSnapshot(this.createMarketDataSnapshot(), {
+      paths: marketDataPaths,
+      settings,
+      now: this.clock.ms(),
+      calendar: this.calendar
+    });
+    const gate = [
+      { file: enhancedFile, ...checkOutput('enhanced-sentiment-data', this.results, { settings, now: this.clock.ms(), calendar: this.calendar }) },
+      marketData.gate
+    ];
+    console.log(`🚦 Quality gate:\n${formatGateReport(gate)}`);
+    if (gate.some(result => !result.passed)) {
+      throw new QualityGateError(gate);
+    }
+
+    await writeJSONAtomic(path.join(this.outputDir, enhancedFile), this.results);
+    await writeMarketDataSnapshot(marketData.snapshot, marketDataPaths);
+
+    console.log(`✅ Enhanced sentiment data saved to: ${path.join(this.outputDir, 'enhanced-sentiment-data.json')}`);
+
+    if (this.correlationArtifact) {
+      const matrixPath = path.join(this.outputDir, 'correlation-matrix.json');
+      await writeJSONAtomic(matrixPath, this.correlationArtifact);
+      console.log(`🔗 Correlation matrix saved to: ${matrixPath}`);
+    }
+
+    // Archive today's reading so previous runs are never lost
+    const historyRecord = recordFromEnhancedResults(this.results);
+    const { written, reason } = await appendDailyRecord(historyRecord, {
+      baseDir: path.join(this.outputDir, 'history'),
+      clock: this.clock
+    });
+    console.log(written
+      ? `🗂️  History record ${reason} for ${historyRecord.date}`
+      : `⚠️  History record for ${historyRecord.date} not written (${reason})`);
+
+    // Signal changes for downstream reporting and alerting (one JSON object per line)
+    if (this.signalEvents) {
+      const emitted = await appendSignalEvents(path.join(this.outputDir, SIGNAL_EVENT_LOG), this.signalEvents, {
+        clock: this.clock,
+        configVersion: this.config.config_version
+      });
+      for (const event of emitted) {
+        console.log(`🔔 Signal change ${event.from} → ${event.to} on ${event.date}${event.driver ? ` (driven by ${event.driver.component})` : ''}`);
+      }
+    }
   }
 
-  createCompatibleFormat() {
-    // Convert enhanced format to original format for existing UI
-    const spy = this.results.core_data?.['SPY'];
-    const vix = this.results.core_data?.['^VIX'];
+  // The shared market-data.json contract (also written by simple-fetch.js), with a summary of the composite
+  createMarketDataSnapshot() {
+    const composite = this.results.sentiment_composite;
+    const signals = this.results.actionable_signals;
     const fearGreed = this.results.fear_greed_indicators;
-    
-    return {
-      metadata: {
-        last_updated: this.results.metadata.timestamp,
-        enhanced_sentiment_available: true
+    // The contract's putCall is the resolvePutCallRatio() result, as simple-fetch.js publishes it
+    const { timestamp: _measuredAt, ...putCall } = this.results.put_call || {};
+    const timestamp = this.results.metadata.timestamp;
+
+    const stocks = Object.fromEntries(Object.entries(this.results.core_data || {}).map(([symbol, data]) => [
+      symbol,
+      data.error ? data : { ...data, change: data.change_1d }
+    ]));
+
+    // Headline sentiment from the composite, labelled like the simple pipeline's score
+    const score = typeof composite?.composite_score === 'number' ? composite.composite_score : null;
+    const enhanced = score !== null && signals?.primary_signal ? {
+      file: 'enhanced-sentiment-data.json',
+      sentiment_composite: {
+        composite_score: score,
+        classification: composite.classification,
+        components: composite.components,
+        data_completeness: composite.data_completeness,
+        confidence_interval: composite.confidence_interval
       },
-      stocks: this.results.core_data || {},
-      vix: vix || { error: 'VIX data unavailable' },
-      fear_greed: fearGreed || { error: 'Fear & Greed data unavailable' },
-      sentiment_composite: this.results.sentiment_composite,
-      actionable_signals: this.results.actionable_signals
-    };
+      actionable_signals: {
+        primary_signal: { action: signals.primary_signal.action, description: signals.primary_signal.description },
+        confidence_level: signals.confidence_level,
+        market_regime: signals.market_regime,
+        risk_level: signals.risk_level,
+        tactical_recommendations: signals.tactical_recommendations
+      }
+    } : null;
+
+    return buildMarketDataSnapshot({
+      producer: 'enhanced-sentiment',
+      timestamp,
+      config_version: this.config.config_version,
+      stocks,
+      sentiment: score === null ? null : {
+        score: Math.round(score),
+        label: sentimentLabel(score, this.config.simple_pipeline.label_cutoffs),
+        timestamp
+      },
+      fearGreed: typeof fearGreed?.cnn_fear_greed_index === 'number'
+        ? { value: fearGreed.cnn_fear_greed_index, classification: fearGreed.classification, timestamp: fearGreed.timestamp }
+        : { error: fearGreed?.error || 'Fear & Greed data unavailable', timestamp },
+      putCall: typeof putCall.value === 'number' ? putCall : null,
+      enhanced
+    });
+  }
+
+
+}
+
+/**
+ * Parse pipeline CLI flags
+ *   --record            save every raw HTTP response to the cassette directory
+ *   --replay            serve every HTTP request from the cassette directory (offline)
+ *   --cassettes <dir>   cassette directory (default: scripts/fixtures/cassettes)
+ *   --output <dir>      output directory (default: public/data, replay: <cassettes>/replay-output)
+ *   --normalization <m> fixed | percentile | zscore (default: config normalization.mode)
+ *   --stage-cache <m>   on | off | refresh (default: config stage_cache.enabled; live runs only)
+ *   --force             run even when the market is closed and the published data already has the last close
+ */
+function parsePipelineArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--record') options.mode = 'record';
+    else if (arg === '--replay') options.mode = 'replay';
+    else if (arg === '--cassettes') options.cassetteDir = argv[++i];
+    else if (arg === '--output') options.outputDir = path.resolve(argv[++i]);
+    else if (arg === '--normalization') options.normalization = argv[++i];
+    else if (arg === '--stage-cache') options.stageCache = argv[++i];
+    else if (arg === '--force') options.force = true;
+  }
+  return options;
+}
+
+/**
+ * Wire the HTTP client and clock for live, record or replay runs.
+ * Record and replay both freeze the clock at the session start time, and a
+ * replay reads the stored history readings saved with the recording, so a
+ * replayed run reproduces the recorded output byte-for-byte.
+ */
+async function createPipelineContext({ mode = 'live', cassetteDir = DEFAULT_CASSETTE_DIR, outputDir } = {}) {
+  const http = createHttpClient({ mode, cassetteDir });
+
+  if (mode === 'record') {
+    const startedAt = new Date().toISOString();
+    await http.writeSession({ started_at: startedAt, pipeline_version: '3.0_sentiment_enhanced' });
+    console.log(`📼 Recording HTTP responses to ${http.cassetteDir}`);
+    return { http, clock: createClock(startedAt), outputDir: outputDir || DEFAULT_OUTPUT_DIR };
   }
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  if (mode === 'replay') {
+    const session = await http.readSession();
+    console.log(`📼 Replaying HTTP responses from ${http.cassetteDir} (recorded ${session.started_at})`);
+    return {
+      http,
+      clock: createClock(session.started_at),
+      outputDir: outputDir || path.join(http.cassetteDir, 'replay-output')
+    };
   }
+
+  return { http, clock: systemClock, outputDir: outputDir || DEFAULT_OUTPUT_DIR };
 }
 
 // Main execution
-async function runEnhancedSentimentAnalysis() {
+async function runEnhancedSentimentAnalysis(options = {}) {
   console.log('🚀 Enhanced Sentiment Analysis Pipeline v3.0');
   
   try {
-    const analyzer = new EnhancedSentimentAnalyzer();
+    const context = await createPipelineContext(options);
+
+    // A live run while the market is closed would only republish the close already published
+    if (context.http.mode === 'live' && !options.force) {
+      const published = await fs.readJSON(path.join(context.outputDir, 'enhanced-sentiment-data.json')).catch(() => null);
+      const reason = redundantRunReason(loadMarketCalendar(), { now: context.clock.ms(), publishedAt: published?.metadata?.timestamp });
+      if (reason) {
+        console.log(`⏭️  Skipping run: ${reason} (--force to run anyway)`);
+        return null;
+      }
+    }
+
+    const analyzer = new EnhancedSentimentAnalyzer({ ...context, normalization: options.normalization, stageCache: options.stageCache });
     const results = await analyzer.executeSentimentPipeline();
     
     console.log('✅ Enhanced sentiment analysis completed');
     console.log(`📊 Composite Score: ${results.sentiment_composite?.composite_score || 'N/A'}/100`);
     console.log(`🎯 Signal: ${results.actionable_signals?.primary_signal?.action || 'N/A'}`);
     console.log(`⏱️  Processing Time: ${results.metadata.processing_time_ms}ms`);
+    const { requests, retried, failed, skipped } = results.metadata.fetch_summary;
+    console.log(`🌐 Fetches: ${requests} requests, ${retried.length} retried, ${failed.length} failed, ${skipped.length} skipped`);
+    for (const { key, reason } of skipped) console.log(`   ⏭️  ${key}: ${reason}`);
+    const stageCache = results.metadata.stage_cache;
+    if (stageCache.mode !== 'off') {
+      console.log(`🗄️  Stage cache: ${stageCache.hits} reused, ${stageCache.recomputed.length} recomputed, ${stageCache.uncached.length} not cached (raw: ${stageCache.raw_reused} reused, ${stageCache.raw_fetched} fetched)`);
+    }
+    if (context.http.mode !== 'live') {
+      const { requests, recorded, replayed, misses } = context.http.stats;
+      console.log(`📼 HTTP ${context.http.mode}: ${requests} requests, ${recorded} recorded, ${replayed} replayed, ${misses} misses`);
+    }
     
     return results;
     
@@ -743,15 +1676,17 @@ async function runEnhancedSentimentAnalysis() {
 
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  runEnhancedSentimentAnalysis()
+  runEnhancedSentimentAnalysis(parsePipelineArgs(process.argv.slice(2)))
     .then(() => {
       console.log('🎉 Enhanced sentiment analysis execution completed');
       process.exit(0);
     })
     .catch((error) => {
-      console.error('💥 Enhanced sentiment analysis execution failed:', error);
+      // The gate report was printed when it ran; no stack trace needed
+      console.error('💥 Enhanced sentiment analysis execution failed:', error instanceof QualityGateError ? error.message : error);
       process.exit(1);
     });
 }
 
-export default runEnhancedSentimentAnalysis;
\ No newline at end of file
+export { DEFAULT_OUTPUT_DIR, EnhancedSentimentAnalyzer, createPipelineContext };
+export default runEnhancedSentimentAnalysis;
@@ -0,0 +1,113 @@
+/**
+ * Composite Attribution
+ * Splits the composite into per-component contributions (weight share times
+ * component score, which add up to the composite exactly) and explains the
+ * move since the previous run component by component.
+ */
+
+export const COMPONENT_LABELS = {
+  vix: 'VIX level',
+  term_structure: 'VIX term structure',
+  safe_haven: 'Safe haven demand',
+  risk_appetite: 'Risk appetite',
+  credit: 'Credit appetite',
+  breadth: 'Market breadth',
+  style: 'Growth vs value',
+  global_risk: 'Global risk tolerance',
+  fear_greed_index: 'Fear & Greed Index',
+  crypto_correlation: 'Crypto correlation'
+};
+
+// Moves smaller than this (in composite points) are left out of the plain-language list
+const NOTABLE_CHANGE = 0.5;
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Contribution of each available component to the composite
+ * @returns {{score: number, contributions: Object<string, object>}|null}
+ */
+export function weightedContributions(components, weights) {
+  const keys = Object.keys(components || {}).filter(key => typeof components[key] === 'number' && weights[key] > 0);
+  const totalWeight = keys.reduce((total, key) => total + weights[key], 0);
+  if (totalWeight === 0) return null;
+
+  const contributions = {};
+  let score = 0;
+  for (const key of keys) {
+    const share = weights[key] / totalWeight;
+    const contribution = share * components[key];
+    score += contribution;
+    contributions[key] = {
+      score: components[key],
+      weight: weights[key],
+      share,
+      contribution,
+      // Points this component moves the composite away from a neutral 50
+      pull: share * (components[key] - 50)
+    };
+  }
+  return { score, contributions };
+}
+
+function describeChange({ label, from, to, change }) {
+  const direction = change > 0 ? 'up' : 'down';
+  const points = Math.abs(change).toFixed(1);
+  if (from === null) return `${label} joined the composite at ${to.toFixed(0)}, moving it ${direction} ${points} points`;
+  if (to === null) return `${label} dropped out of the composite, moving it ${direction} ${points} points`;
+  return `${label} moved from ${from.toFixed(0)} to ${to.toFixed(0)}, pushing the composite ${direction} ${points} points`;
+}
+
+/**
+ * @param {object} today today's components
+ * @param {{date: string, components: object}|null} previous the previous run's reading
+ * @param {object} weights composite weights keyed by component
+ */
+export function attributeComposite(today, previous, weights) {
+  const current = weightedContributions(today, weights);
+  if (!current) return null;
+
+  const contributions = Object.entries(current.contributions)
+    .map(([component, entry]) => ({
+      component,
+      label: COMPONENT_LABELS[component] || component,
+      score: round(entry.score),
+      weight: entry.weight,
+      share: round(entry.share),
+      contribution: round(entry.contribution),
+      pull: round(entry.pull)
+    }))
+    .sort((a, b) => Math.abs(b.pull) - Math.abs(a.pull));
+
+  const before = previous ? weightedContributions(previous.components, weights) : null;
+  if (!before) {
+    return { score: round(current.score), contributions, previous: null, delta: null, changes: [], what_changed: [] };
+  }
+
+  // Contributions add up to each day's score, so the per-component changes add up to the delta exactly
+  const keys = new Set([...Object.keys(current.contributions), ...Object.keys(before.contributions)]);
+  const changes = [...keys]
+    .map(component => {
+      const was = before.contributions[component];
+      const now = current.contributions[component];
+      return {
+        component,
+        label: COMPONENT_LABELS[component] || component,
+        from: was ? round(was.score) : null,
+        to: now ? round(now.score) : null,
+        change: round((now?.contribution ?? 0) - (was?.contribution ?? 0))
+      };
+    })
+    .filter(change => change.change !== 0)
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+
+  return {
+    score: round(current.score),
+    contributions,
+    // Re-scored with today's weights so a config change does not show up as a component move
+    previous: { date: previous.date, score: round(before.score) },
+    delta: round(current.score - before.score),
+    changes,
+    what_changed: changes.filter(change => Math.abs(change.change) >= NOTABLE_CHANGE).map(describeChange)
+  };
+}
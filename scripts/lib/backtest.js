@@ -0,0 +1,304 @@
+/**
+ * Signal Backtesting Engine
+ * Replays historical composite readings against SPY daily closes to measure
+ * what each primary signal was worth after the fact
+ */
+
+import { toMarketDate } from './history-store.js';
+
+export const BACKTEST_SCHEMA_VERSION = 1;
+export const DEFAULT_HORIZONS = [1, 5, 20, 60];
+
+// +1 expects SPY to rise, -1 expects it to fall, 0 makes no directional call
+export const SIGNAL_DIRECTION = {
+  STRONG_BUY: 1,
+  BUY: 1,
+  HOLD: 0,
+  SELL: -1,
+  STRONG_SELL: -1
+};
+
+// Signal-following strategy: fully invested on buys, in cash on sells,
+// HOLD ("maintain positions") keeps whatever exposure the last signal set
+export const SIGNAL_EXPOSURE = {
+  STRONG_BUY: 1,
+  BUY: 1,
+  SELL: 0,
+  STRONG_SELL: 0
+};
+export const INITIAL_EXPOSURE = 1;
+
+function round(value, digits = 2) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function correlation(x, y) {
+  if (x.length !== y.length || x.length < 3) return null;
+  const mx = mean(x);
+  const my = mean(y);
+  let num = 0;
+  let dx = 0;
+  let dy = 0;
+  for (let i = 0; i < x.length; i++) {
+    num += (x[i] - mx) * (y[i] - my);
+    dx += (x[i] - mx) ** 2;
+    dy += (y[i] - my) ** 2;
+  }
+  const denominator = Math.sqrt(dx * dy);
+  return denominator === 0 ? null : num / denominator;
+}
+
+/**
+ * Largest peak-to-trough decline of a price path, as a negative percentage
+ */
+export function maxDrawdown(values) {
+  let peak = -Infinity;
+  let worst = 0;
+  for (const value of values) {
+    peak = Math.max(peak, value);
+    worst = Math.min(worst, (value / peak - 1) * 100);
+  }
+  return worst;
+}
+
+class SignalBacktester {
+  /**
+   * @param {object} options
+   * @param {(score: number) => string} options.signalFor maps a composite score to a primary signal action
+   * @param {number[]} [options.horizons] forward windows in trading days
+   */
+  constructor({ signalFor, horizons = DEFAULT_HORIZONS } = {}) {
+    if (typeof signalFor !== 'function') {
+      throw new Error('SignalBacktester requires a signalFor(score) function');
+    }
+    this.signalFor = signalFor;
+    this.horizons = horizons;
+  }
+
+  /**
+   * Daily closes keyed by market date, oldest first
+   */
+  toPriceSeries(bars) {
+    const byDate = new Map();
+    for (const bar of bars) {
+      if (typeof bar.close === 'number' && Number.isFinite(bar.close)) {
+        byDate.set(toMarketDate(bar.time), bar.close);
+      }
+    }
+    return [...byDate.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, close]) => ({ date, close }));
+  }
+
+  /**
+   * Index of the last session on or before the given date, or -1
+   */
+  sessionIndex(prices, date) {
+    let lo = 0;
+    let hi = prices.length - 1;
+    let found = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (prices[mid].date <= date) {
+        found = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Pair each scored history record with its signal and forward SPY outcomes
+   */
+  buildObservations(records, prices) {
+    const observations = [];
+
+    for (const record of records) {
+      const score = record?.composite?.score;
+      if (typeof score !== 'number' || !Number.isFinite(score)) continue;
+
+      const entry = this.sessionIndex(prices, record.date);
+      if (entry < 0) continue;
+
+      const forward = {};
+      for (const horizon of this.horizons) {
+        const exit = entry + horizon;
+        if (exit >= prices.length) {
+          forward[horizon] = null;
+          continue;
+        }
+        const path = prices.slice(entry, exit + 1).map(point => point.close);
+        forward[horizon] = {
+          return_pct: (prices[exit].close / prices[entry].close - 1) * 100,
+          max_drawdown_pct: maxDrawdown(path)
+        };
+      }
+
+      observations.push({
+        date: record.date,
+        pipeline: record.pipeline,
+        score,
+        signal: this.signalFor(score),
+        entry_index: entry,
+        forward
+      });
+    }
+
+    return observations;
+  }
+
+  summarizeSignal(observations, signal) {
+    const direction = SIGNAL_DIRECTION[signal] ?? 0;
+    const horizons = {};
+
+    for (const horizon of this.horizons) {
+      const outcomes = observations.map(obs => obs.forward[horizon]).filter(Boolean);
+      const returns = outcomes.map(outcome => outcome.return_pct);
+      const hits = direction === 0
+        ? null
+        : returns.filter(ret => Math.sign(ret) === direction).length;
+
+      horizons[`${horizon}d`] = {
+        samples: returns.length,
+        avg_return_pct: round(mean(returns)),
+        median_return_pct: round(median(returns)),
+        hit_rate: hits === null || returns.length === 0 ? null : round(hits / returns.length, 4),
+        avg_max_drawdown_pct: round(mean(outcomes.map(outcome => outcome.max_drawdown_pct))),
+        worst_max_drawdown_pct: round(outcomes.length ? Math.min(...outcomes.map(outcome => outcome.max_drawdown_pct)) : null)
+      };
+    }
+
+    return {
+      count: observations.length,
+      direction,
+      horizons
+    };
+  }
+
+  /**
+   * Walk SPY session by session from the first reading, applying the most
+   * recent signal to the next session's return (no look-ahead)
+   */
+  buildEquityCurve(observations, prices) {
+    if (observations.length === 0) return null;
+
+    const signalByIndex = new Map();
+    for (const obs of observations) {
+      // Several readings can map to one session; the last one wins
+      signalByIndex.set(obs.entry_index, obs.signal);
+    }
+
+    const start = observations[0].entry_index;
+    let exposure = INITIAL_EXPOSURE;
+    let strategy = 100;
+    let benchmark = 100;
+    let trades = 0;
+    let investedSessions = 0;
+    const points = [{ date: prices[start].date, strategy, benchmark, exposure }];
+
+    for (let i = start; i < prices.length - 1; i++) {
+      const signal = signalByIndex.get(i);
+      if (signal !== undefined && SIGNAL_EXPOSURE[signal] !== undefined && SIGNAL_EXPOSURE[signal] !== exposure) {
+        exposure = SIGNAL_EXPOSURE[signal];
+        trades++;
+      }
+
+      const sessionReturn = prices[i + 1].close / prices[i].close - 1;
+      strategy *= 1 + sessionReturn * exposure;
+      benchmark *= 1 + sessionReturn;
+      if (exposure > 0) investedSessions++;
+
+      points.push({
+        date: prices[i + 1].date,
+        strategy: round(strategy, 4),
+        benchmark: round(benchmark, 4),
+        exposure
+      });
+    }
+
+    const sessions = points.length - 1;
+    return {
+      start_date: points[0].date,
+      end_date: points[points.length - 1].date,
+      sessions,
+      trades,
+      time_invested_pct: sessions > 0 ? round((investedSessions / sessions) * 100) : null,
+      strategy: {
+        total_return_pct: round(strategy - 100),
+        max_drawdown_pct: round(maxDrawdown(points.map(point => point.strategy)))
+      },
+      benchmark: {
+        total_return_pct: round(benchmark - 100),
+        max_drawdown_pct: round(maxDrawdown(points.map(point => point.benchmark)))
+      },
+      points
+    };
+  }
+
+  /**
+   * Run the full backtest
+   * @param {Array} records history store records, oldest first
+   * @param {Array} bars SPY daily bars from a market data provider
+   */
+  run(records, bars) {
+    const prices = this.toPriceSeries(bars);
+    const observations = this.buildObservations(records, prices);
+
+    const signals = {};
+    for (const signal of Object.keys(SIGNAL_DIRECTION)) {
+      signals[signal] = this.summarizeSignal(observations.filter(obs => obs.signal === signal), signal);
+    }
+
+    // Does a higher composite score line up with better or worse forward returns?
+    const scoreCorrelation = {};
+    for (const horizon of this.horizons) {
+      const scored = observations.filter(obs => obs.forward[horizon]);
+      scoreCorrelation[`${horizon}d`] = round(correlation(
+        scored.map(obs => obs.score),
+        scored.map(obs => obs.forward[horizon].return_pct)
+      ), 4);
+    }
+
+    const pipelines = {};
+    for (const obs of observations) {
+      pipelines[obs.pipeline] = (pipelines[obs.pipeline] || 0) + 1;
+    }
+
+    return {
+      sample: {
+        readings: records.length,
+        scored_readings: observations.length,
+        first_date: observations[0]?.date || null,
+        last_date: observations[observations.length - 1]?.date || null,
+        price_sessions: prices.length,
+        pipelines
+      },
+      signals,
+      score_correlation: scoreCorrelation,
+      equity_curve: this.buildEquityCurve(observations, prices),
+      observations: observations.map(({ entry_index: _entryIndex, forward, ...obs }) => ({
+        ...obs,
+        forward_returns_pct: Object.fromEntries(
+          this.horizons.map(horizon => [`${horizon}d`, round(forward[horizon]?.return_pct ?? null)])
+        )
+      }))
+    };
+  }
+}
+
+export default SignalBacktester;
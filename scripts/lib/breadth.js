@@ -0,0 +1,95 @@
+/**
+ * Market Breadth
+ * Tells a broad rally from one carried by a handful of mega-caps, using the
+ * eleven SPDR sector ETFs and the equal-weight S&P 500 (RSP) against the
+ * cap-weighted index (SPY).
+ */
+
+export const SECTOR_ETFS = {
+  XLK: 'Technology',
+  XLF: 'Financials',
+  XLV: 'Health Care',
+  XLY: 'Consumer Discretionary',
+  XLP: 'Consumer Staples',
+  XLE: 'Energy',
+  XLI: 'Industrials',
+  XLB: 'Materials',
+  XLU: 'Utilities',
+  XLRE: 'Real Estate',
+  XLC: 'Communication Services'
+};
+
+export function simpleMovingAverage(values, window) {
+  if (values.length < window) return null;
+  const slice = values.slice(-window);
+  return slice.reduce((a, b) => a + b, 0) / window;
+}
+
+function periodReturn(closes, sessions) {
+  if (closes.length <= sessions) return null;
+  const start = closes[closes.length - 1 - sessions];
+  return ((closes[closes.length - 1] - start) / start) * 100;
+}
+
+/**
+ * Share of sectors trading above each moving average, plus RSP vs SPY divergence
+ * @param {Object<string, number[]>} closesBySymbol daily closes, oldest first
+ * @param {object} settings breadth section of the sentiment config
+ * @returns {object|null} null when no sector has enough history
+ */
+export function analyzeBreadth(closesBySymbol, settings) {
+  const sectors = {};
+  for (const symbol of settings.sectors) {
+    const closes = closesBySymbol[symbol];
+    if (!closes || closes.length === 0) continue;
+    const last = closes[closes.length - 1];
+    const averages = {};
+    for (const window of settings.sma_windows) {
+      const average = simpleMovingAverage(closes, window);
+      averages[`sma_${window}`] = average;
+      averages[`above_sma_${window}`] = average === null ? null : last > average;
+    }
+    sectors[symbol] = { name: SECTOR_ETFS[symbol] || symbol, price: last, ...averages };
+  }
+
+  const participation = {};
+  for (const window of settings.sma_windows) {
+    const flags = Object.values(sectors)
+      .map(sector => sector[`above_sma_${window}`])
+      .filter(flag => flag !== null);
+    participation[`pct_above_sma_${window}`] = flags.length
+      ? (flags.filter(Boolean).length / flags.length) * 100
+      : null;
+  }
+
+  const participationValues = Object.values(participation).filter(value => value !== null);
+  if (participationValues.length === 0) return null;
+  const participationScore = participationValues.reduce((a, b) => a + b, 0) / participationValues.length;
+
+  // Equal weight beating cap weight means the average stock is participating
+  const equalReturn = periodReturn(closesBySymbol[settings.equal_weight] || [], settings.divergence_sessions);
+  const capReturn = periodReturn(closesBySymbol[settings.cap_weight] || [], settings.divergence_sessions);
+  let divergence = null;
+  if (equalReturn !== null && capReturn !== null) {
+    const spread = equalReturn - capReturn;
+    divergence = {
+      equal_weight_return: equalReturn,
+      cap_weight_return: capReturn,
+      spread,
+      divergence_score: Math.max(0, Math.min(100, 50 + spread * settings.divergence_points_per_pct))
+    };
+  }
+
+  const breadthScore = divergence
+    ? (1 - settings.divergence_weight) * participationScore + settings.divergence_weight * divergence.divergence_score
+    : participationScore;
+
+  return {
+    sectors_counted: Object.keys(sectors).length,
+    ...participation,
+    participation_score: participationScore,
+    equal_weight_divergence: divergence,
+    breadth_score: breadthScore,
+    sectors
+  };
+}
@@ -0,0 +1,24 @@
+/**
+ * Pipeline Clock
+ * All pipeline timestamps go through a clock so record/replay runs can freeze
+ * time and produce byte-identical output
+ */
+
+export function createClock(fixedTime = null) {
+  const fixed = fixedTime ? new Date(fixedTime) : null;
+
+  if (fixed && Number.isNaN(fixed.getTime())) {
+    throw new Error(`Invalid fixed clock time: ${fixedTime}`);
+  }
+
+  return {
+    frozen: Boolean(fixed),
+    now: () => (fixed ? new Date(fixed.getTime()) : new Date()),
+    ms: () => (fixed ? fixed.getTime() : Date.now()),
+    iso: () => (fixed ? fixed.toISOString() : new Date().toISOString())
+  };
+}
+
+export const systemClock = createClock();
+
+export default createClock;
@@ -0,0 +1,201 @@
+/**
+ * Sentiment Configuration
+ * Loads config/sentiment-config.json, validates it against its schema plus the
+ * ordering rules a schema cannot express, and refuses to start on any problem.
+ *
+ * Override the file with SENTIMENT_CONFIG=<path>.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateAgainstSchema } from './schema.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const CONFIG_DIR = path.resolve(__dirname, '../../config');
+export const DEFAULT_CONFIG_PATH = path.join(CONFIG_DIR, 'sentiment-config.json');
+export const CONFIG_SCHEMA_PATH = path.join(CONFIG_DIR, 'sentiment-config.schema.json');
+
+// composite.weights key behind each component of sentiment_composite.components
+export const COMPONENT_WEIGHT_KEYS = {
+  vix: 'vix_score',
+  term_structure: 'term_structure',
+  safe_haven: 'safe_haven_score',
+  risk_appetite: 'risk_appetite_score',
+  credit: 'credit_score',
+  breadth: 'breadth_score',
+  style: 'style_score',
+  global_risk: 'global_risk_score',
+  fear_greed_index: 'fear_greed_index',
+  crypto_correlation: 'crypto_correlation'
+};
+
+/**
+ * Composite weights keyed by component name
+ */
+export function componentWeights(config) {
+  return Object.fromEntries(Object.entries(COMPONENT_WEIGHT_KEYS).map(([component, key]) => [component, config.composite.weights[key]]));
+}
+
+export class ConfigError extends Error {
+  constructor(message, { configPath, errors = [] } = {}) {
+    super(errors.length ? `${message}:\n  - ${errors.join('\n  - ')}` : message);
+    this.name = 'ConfigError';
+    this.configPath = configPath;
+    this.errors = errors;
+  }
+}
+
+function checkAscending(values, keys, label, errors) {
+  for (let i = 1; i < keys.length; i++) {
+    if (!(values[keys[i - 1]] < values[keys[i]])) {
+      errors.push(`${label}: ${keys[i - 1]} (${values[keys[i - 1]]}) must be below ${keys[i]} (${values[keys[i]]})`);
+    }
+  }
+}
+
+/**
+ * Cross-field rules the JSON schema cannot express
+ */
+function validateOrdering(config) {
+  const errors = [];
+
+  const weights = Object.values(config.composite.weights);
+  if (weights.reduce((a, b) => a + b, 0) <= 0) {
+    errors.push('$.composite.weights: at least one weight must be positive');
+  }
+
+  checkAscending(config.composite.classification_cutoffs, ['extreme_fear', 'fear', 'neutral', 'greed'], '$.composite.classification_cutoffs', errors);
+  checkAscending(config.vix.bands, ['complacency', 'normal_low', 'normal_high', 'elevated', 'fear', 'panic'], '$.vix.bands', errors);
+  // Higher VIX means more fear, so band scores must fall as the bands rise
+  checkAscending(config.vix.scores, ['panic', 'fear', 'elevated', 'normal', 'low', 'complacency'], '$.vix.scores', errors);
+  checkAscending(config.vix.term_structure, ['calm_ratio', 'panic_ratio'], '$.vix.term_structure', errors);
+  checkAscending(config.correlation, ['short_window', 'long_window'], '$.correlation', errors);
+  checkAscending(config.put_call_proxy, ['extreme_greed', 'greed', 'neutral', 'fear', 'extreme_fear'], '$.put_call_proxy', errors);
+  checkAscending(config.simple_pipeline.label_cutoffs, ['bearish', 'bullish'], '$.simple_pipeline.label_cutoffs', errors);
+
+  const horizonSets = [
+    ['$.credit.horizons', config.credit.horizons],
+    ['$.sector_rotation.horizons', config.sector_rotation.horizons],
+    ['$.style_rotation.horizons', config.style_rotation.horizons],
+    ['$.global_risk.horizons', config.global_risk.horizons]
+  ];
+  for (const [label, horizons] of horizonSets) {
+    if (Object.values(horizons).reduce((total, horizon) => total + horizon.weight, 0) <= 0) {
+      errors.push(`${label}: at least one horizon weight must be positive`);
+    }
+  }
+
+  const sectorGroups = [...config.sector_rotation.defensive, ...config.sector_rotation.cyclical];
+  for (const symbol of new Set(sectorGroups)) {
+    if (sectorGroups.indexOf(symbol) !== sectorGroups.lastIndexOf(symbol)) {
+      errors.push(`$.sector_rotation: ${symbol} is listed as both defensive and cyclical`);
+    } else if (!config.tickers.sectors.includes(symbol)) {
+      errors.push(`$.sector_rotation: ${symbol} is not in tickers.sectors`);
+    }
+  }
+
+  // Pair legs are read from core_data, which only holds the configured ticker groups
+  const collected = new Set(Object.values(config.tickers).flat());
+  for (const section of ['style_rotation', 'global_risk']) {
+    for (const { leader, laggard } of config[section].pairs) {
+      for (const symbol of [leader, laggard]) {
+        if (!collected.has(symbol)) errors.push(`$.${section}.pairs: ${symbol} is not in any tickers group`);
+      }
+    }
+  }
+  for (const symbol of config.price_levels.symbols) {
+    if (!collected.has(symbol)) errors.push(`$.price_levels.symbols: ${symbol} is not in any tickers group`);
+  }
+  for (const { a, b } of config.correlation.regime_pairs) {
+    for (const symbol of [a, b]) {
+      if (!collected.has(symbol)) errors.push(`$.correlation.regime_pairs: ${symbol} is not in any tickers group`);
+    }
+  }
+
+  if (config.fetching.backoff_base_ms > config.fetching.backoff_max_ms) {
+    errors.push('$.fetching: backoff_base_ms cannot exceed backoff_max_ms');
+  }
+
+  if (config.price_levels.fear_stop_atr_multiple > config.price_levels.stop_atr_multiple) {
+    errors.push('$.price_levels: fear_stop_atr_multiple cannot be wider than stop_atr_multiple');
+  }
+  if (config.price_levels.swing_lookback <= 2 * config.price_levels.swing_strength) {
+    errors.push('$.price_levels: swing_lookback must leave room for swing_strength bars on each side');
+  }
+
+  // Exit bounds must be the same bounds as entry, only looser, or a regime could end the day it starts
+  for (const [regime, { enter, exit }] of Object.entries(config.regime.regimes)) {
+    const label = `$.regime.regimes.${regime}`;
+    if (Object.keys(enter).length === 0) errors.push(`${label}.enter: needs at least one bound`);
+    if (Object.keys(exit).sort().join() !== Object.keys(enter).sort().join()) {
+      errors.push(`${label}: exit must use the same bounds as enter`);
+      continue;
+    }
+    for (const [bound, limit] of Object.entries(enter)) {
+      const looser = bound.endsWith('_below') ? exit[bound] >= limit : exit[bound] <= limit;
+      if (!looser) errors.push(`${label}.exit.${bound}: must be at least as loose as enter (${limit})`);
+    }
+  }
+
+  if (config.normalization.min_observations > config.normalization.lookback_sessions) {
+    errors.push('$.normalization: min_observations cannot exceed lookback_sessions');
+  }
+
+  for (const symbol of Object.keys(config.simple_pipeline.change_weights)) {
+    if (!config.simple_pipeline.symbols.includes(symbol)) {
+      errors.push(`$.simple_pipeline.change_weights: ${symbol} is not in simple_pipeline.symbols`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a parsed config object
+ * Returns a list of problems; an empty list means the config is usable
+ */
+export function validateSentimentConfig(config, schema = fs.readJSONSync(CONFIG_SCHEMA_PATH)) {
+  const errors = validateAgainstSchema(config, schema);
+  // Ordering checks assume the shape is right
+  return errors.length > 0 ? errors : validateOrdering(config);
+}
+
+const loaded = new Map();
+
+/**
+ * Load and validate the sentiment config (cached per path)
+ * @throws {ConfigError} when the file is missing, unparsable or invalid
+ */
+export function loadSentimentConfig(configPath = process.env.SENTIMENT_CONFIG || DEFAULT_CONFIG_PATH) {
+  const resolvedPath = path.resolve(configPath);
+  if (loaded.has(resolvedPath)) return loaded.get(resolvedPath);
+
+  let config;
+  try {
+    config = fs.readJSONSync(resolvedPath);
+  } catch (error) {
+    throw new ConfigError(`Cannot read sentiment config ${resolvedPath}: ${error.message}`, { configPath: resolvedPath });
+  }
+
+  const errors = validateSentimentConfig(config);
+  if (errors.length > 0) {
+    throw new ConfigError(`Invalid sentiment config ${resolvedPath}`, { configPath: resolvedPath, errors });
+  }
+
+  const frozen = deepFreeze(config);
+  loaded.set(resolvedPath, frozen);
+  return frozen;
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+export default loadSentimentConfig;
@@ -0,0 +1,120 @@
+/**
+ * Cross-Asset Correlation
+ * Rolling correlations of daily returns (never raw prices: two trending
+ * series look correlated whatever they actually do day to day), plus flags
+ * for pairs whose short-window correlation has broken from its usual regime.
+ */
+
+import { toMarketDate } from './history-store.js';
+
+// A pair needs at least this share of the window with returns on both legs
+const MIN_COVERAGE = 0.8;
+
+export function pearson(x, y) {
+  if (x.length !== y.length || x.length < 2) return 0;
+
+  const n = x.length;
+  const sumX = x.reduce((a, b) => a + b, 0);
+  const sumY = y.reduce((a, b) => a + b, 0);
+  const sumXY = x.reduce((total, xi, i) => total + (xi * y[i]), 0);
+  const sumX2 = x.reduce((total, xi) => total + (xi * xi), 0);
+  const sumY2 = y.reduce((total, yi) => total + (yi * yi), 0);
+
+  const numerator = (n * sumXY) - (sumX * sumY);
+  const denominator = Math.sqrt(((n * sumX2) - (sumX * sumX)) * ((n * sumY2) - (sumY * sumY)));
+
+  return denominator === 0 ? 0 : numerator / denominator;
+}
+
+/**
+ * Simple daily returns from closes (one shorter than the input)
+ */
+export function dailyReturns(closes) {
+  const returns = [];
+  for (let i = 1; i < closes.length; i++) {
+    returns.push((closes[i] - closes[i - 1]) / closes[i - 1]);
+  }
+  return returns;
+}
+
+/**
+ * Daily returns per symbol aligned on the anchor symbol's sessions
+ * (null where a symbol has no bar for the session or the one before)
+ * @param {Object<string, Array>} barsBySymbol provider bars per symbol
+ * @returns {{sessions: string[], returns: Object<string, Array<number|null>>}}
+ */
+export function alignReturns(barsBySymbol, anchor = 'SPY') {
+  const closesByDate = {};
+  for (const [symbol, bars] of Object.entries(barsBySymbol)) {
+    closesByDate[symbol] = new Map(bars.map(bar => [toMarketDate(bar.time), bar.close]));
+  }
+
+  const anchorDates = closesByDate[anchor] ? [...closesByDate[anchor].keys()].sort() : [];
+  const sessions = anchorDates.slice(1);
+
+  const returns = {};
+  for (const [symbol, closes] of Object.entries(closesByDate)) {
+    returns[symbol] = sessions.map((date, i) => {
+      const today = closes.get(date);
+      const previous = closes.get(anchorDates[i]);
+      return today === undefined || previous === undefined ? null : (today - previous) / previous;
+    });
+  }
+
+  return { sessions, returns };
+}
+
+/**
+ * Correlation of two aligned return series over their last `window` sessions
+ */
+export function windowCorrelation(a, b, window) {
+  const x = [];
+  const y = [];
+  for (let i = Math.max(0, a.length - window); i < a.length; i++) {
+    if (a[i] !== null && b[i] !== null) {
+      x.push(a[i]);
+      y.push(b[i]);
+    }
+  }
+  return x.length >= Math.ceil(window * MIN_COVERAGE) ? pearson(x, y) : null;
+}
+
+/**
+ * Symmetric correlation matrix (rows and columns in `symbols` order)
+ */
+export function correlationMatrix(returns, symbols, window) {
+  const matrix = symbols.map(() => symbols.map(() => null));
+  for (let i = 0; i < symbols.length; i++) {
+    matrix[i][i] = windowCorrelation(returns[symbols[i]], returns[symbols[i]], window) === null ? null : 1;
+    for (let j = i + 1; j < symbols.length; j++) {
+      const value = windowCorrelation(returns[symbols[i]], returns[symbols[j]], window);
+      const rounded = value === null ? null : Math.round(value * 1000) / 1000;
+      matrix[i][j] = rounded;
+      matrix[j][i] = rounded;
+    }
+  }
+  return matrix;
+}
+
+/**
+ * Compare each watched pair's short-window correlation with its usual sign
+ * and with the long window.
+ *   sign_flip: short window crossed `flip_threshold` on the wrong side of zero
+ *   shift:     short and long windows differ by at least `shift_threshold`
+ */
+export function detectRegimeBreaks(returns, { regime_pairs: pairs, short_window: shortWindow, long_window: longWindow, flip_threshold: flipThreshold, shift_threshold: shiftThreshold }) {
+  return pairs.map(({ a, b, label, expected }) => {
+    const hasData = returns[a] && returns[b];
+    const short = hasData ? windowCorrelation(returns[a], returns[b], shortWindow) : null;
+    const long = hasData ? windowCorrelation(returns[a], returns[b], longWindow) : null;
+
+    let regimeBreak = null;
+    if (short !== null) {
+      if (expected === 'negative' && short > flipThreshold) regimeBreak = 'sign_flip';
+      else if (expected === 'positive' && short < -flipThreshold) regimeBreak = 'sign_flip';
+      else if (long !== null && Math.abs(short - long) >= shiftThreshold) regimeBreak = 'shift';
+    }
+
+    return { a, b, label, expected, short_correlation: short, long_correlation: long, break: regimeBreak };
+  });
+}
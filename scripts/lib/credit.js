@@ -0,0 +1,60 @@
+/**
+ * Credit Risk Appetite
+ * Junk-bond demand read from high-yield (HYG) against investment-grade (LQD)
+ * corporate bonds. When investors reach for yield HYG outperforms LQD; when
+ * they de-risk the spread between the two widens and HYG lags.
+ *
+ * An optional local CSV of high-yield option-adjusted spreads (e.g. the FRED
+ * BAMLH0A0HYM2 export) adds the level of the spread on top of the ETF moves.
+ */
+
+import fs from 'fs-extra';
+
+export const CREDIT_TICKERS = { high_yield: 'HYG', investment_grade: 'LQD' };
+
+/**
+ * Parse a two-column date,spread CSV (header optional, FRED's "." gaps skipped)
+ * @returns {Array<{date: string, spread: number}>} oldest first
+ */
+export function parseSpreadCSV(csv) {
+  const rows = [];
+  for (const line of String(csv || '').trim().split(/\r?\n/)) {
+    const [date, value] = line.split(',').map(cell => cell.trim());
+    const spread = Number(value);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || value === '' || !Number.isFinite(spread)) continue;
+    rows.push({ date, spread });
+  }
+  return rows.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Latest spread, its recent change and where it sits in the file's history
+ * Tight spreads (low percentile) mean strong demand for junk bonds, so score = 100 - percentile
+ */
+export function analyzeSpreadHistory(rows, { asOf } = {}) {
+  const usable = asOf ? rows.filter(row => row.date <= asOf) : rows;
+  if (usable.length === 0) return null;
+
+  const latest = usable[usable.length - 1];
+  const back = n => usable[Math.max(0, usable.length - 1 - n)].spread;
+  const below = usable.filter(row => row.spread < latest.spread).length;
+  const percentile = (below / usable.length) * 100;
+
+  return {
+    date: latest.date,
+    spread: latest.spread,
+    change_5d: latest.spread - back(5),
+    change_20d: latest.spread - back(20),
+    percentile,
+    observations: usable.length,
+    spread_score: 100 - percentile
+  };
+}
+
+/**
+ * Read the optional spread CSV; a missing path or file simply disables it
+ */
+export async function loadSpreadHistory(csvPath) {
+  if (!csvPath || !(await fs.pathExists(csvPath))) return null;
+  return parseSpreadCSV(await fs.readFile(csvPath, 'utf8'));
+}
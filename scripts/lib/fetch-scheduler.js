@@ -0,0 +1,205 @@
+/**
+ * Fetch Scheduler
+ * Runs market data requests a few at a time instead of one by one. Transient
+ * failures (timeouts, dropped connections, 429 and 5xx responses) are retried
+ * with exponential backoff and jitter. Each host has a circuit breaker: after
+ * `breaker_failure_threshold` transient failures in a row the host is skipped
+ * for `breaker_cooldown_ms`, then a single trial request decides whether it
+ * closes again. Every request is tallied so a run can report what was retried,
+ * what failed and what was skipped.
+ */
+
+const TRANSIENT_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH']);
+
+export class CircuitOpenError extends Error {
+  constructor(host, retryAt) {
+    super(`Circuit open for ${host} until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.host = host;
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Worth another attempt: network errors and rate-limit/server responses.
+ * Missing symbols, bad data and cassette misses fail the same way every time.
+ */
+export function isTransientError(error) {
+  const status = error.response?.status ?? error.status ?? error.cause?.response?.status;
+  if (typeof status === 'number') return status === 429 || status >= 500;
+  const code = error.code ?? error.cause?.code;
+  return TRANSIENT_CODES.has(code) || /timeout/i.test(error.message || '');
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): base * 2^(attempt - 1), capped,
+ * with up to `jitter` of it randomized away so parallel retries spread out
+ */
+export function backoffDelay(attempt, { backoff_base_ms: base, backoff_max_ms: max, jitter }, random = Math.random) {
+  const delay = Math.min(max, base * 2 ** (attempt - 1));
+  return Math.round(delay * (1 - jitter * random()));
+}
+
+class CircuitBreaker {
+  constructor(host, { breaker_failure_threshold: threshold, breaker_cooldown_ms: cooldown }, now) {
+    this.host = host;
+    this.threshold = threshold;
+    this.cooldown = cooldown;
+    this.now = now;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trips = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Throws CircuitOpenError when the host is cooling down (or a trial request is already out)
+   */
+  acquire() {
+    if (this.state === 'open') {
+      if (this.now() - this.openedAt < this.cooldown) {
+        throw new CircuitOpenError(this.host, this.openedAt + this.cooldown);
+      }
+      this.state = 'half_open';
+    }
+    if (this.state === 'half_open') {
+      if (this.trialInFlight) throw new CircuitOpenError(this.host, this.now());
+      this.trialInFlight = true;
+    }
+  }
+
+  /**
+   * The host answered, even if only to say the symbol does not exist
+   */
+  success() {
+    this.trialInFlight = false;
+    this.state = 'closed';
+    this.failures = 0;
+  }
+
+  failure() {
+    this.trialInFlight = false;
+    this.failures++;
+    if (this.state === 'half_open' || this.failures >= this.threshold) {
+      this.state = 'open';
+      this.openedAt = this.now();
+      this.trips++;
+    }
+  }
+
+  summary() {
+    return {
+      state: this.state,
+      consecutive_failures: this.failures,
+      trips: this.trips
+    };
+  }
+}
+
+export class FetchScheduler {
+  /**
+   * @param {object} settings fetching section of the sentiment config
+   * @param {object} [options]
+   * @param {() => number} [options.now] wall-clock milliseconds for breaker cooldowns
+   *   (real time even when the pipeline clock is frozen for a replay)
+   * @param {(ms: number) => Promise<void>} [options.sleep]
+   * @param {() => number} [options.random] jitter source in [0, 1)
+   */
+  constructor(settings, { now = Date.now, sleep, random = Math.random } = {}) {
+    this.settings = settings;
+    this.now = now;
+    this.sleep = sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.random = random;
+    this.breakers = new Map();
+    this.log = [];
+  }
+
+  breaker(host) {
+    if (!this.breakers.has(host)) {
+      this.breakers.set(host, new CircuitBreaker(host, this.settings, this.now));
+    }
+    return this.breakers.get(host);
+  }
+
+  /**
+   * Run one request against `host` with retries and the host's breaker
+   * @param {string} key what is being fetched, for the run summary (e.g. the ticker)
+   */
+  async execute(key, host, request) {
+    const breaker = this.breaker(host);
+    const entry = { key, host, attempts: 0, status: 'ok', error: null };
+    this.log.push(entry);
+    let lastError = null;
+
+    for (;;) {
+      try {
+        breaker.acquire();
+      } catch (error) {
+        // Opened while this request was backing off: it failed on its own error, not the breaker
+        entry.status = lastError ? 'failed' : 'skipped';
+        entry.error = lastError ? lastError.message : error.message;
+        throw lastError || error;
+      }
+
+      entry.attempts++;
+      try {
+        const value = await request();
+        breaker.success();
+        return value;
+      } catch (error) {
+        lastError = error;
+        const transient = isTransientError(error);
+        // A bad symbol says nothing about the host
+        if (transient) breaker.failure();
+        else breaker.success();
+        if (!transient || entry.attempts > this.settings.retries) {
+          entry.status = 'failed';
+          entry.error = error.message;
+          throw error;
+        }
+        await this.sleep(backoffDelay(entry.attempts, this.settings, this.random));
+      }
+    }
+  }
+
+  /**
+   * Map `items` through `worker` at most `concurrency` at a time. Never rejects:
+   * each item settles to {value} or {error}, in input order.
+   */
+  async map(items, worker) {
+    const settled = new Array(items.length);
+    let next = 0;
+
+    const lane = async () => {
+      while (next < items.length) {
+        const index = next++;
+        try {
+          settled[index] = { item: items[index], value: await worker(items[index]) };
+        } catch (error) {
+          settled[index] = { item: items[index], error };
+        }
+      }
+    };
+
+    const lanes = Math.min(this.settings.concurrency, items.length);
+    await Promise.all(Array.from({ length: lanes }, lane));
+    return settled;
+  }
+
+  /**
+   * Retried, failed and skipped requests plus each host's breaker state
+   */
+  summary() {
+    const retried = this.log.filter(entry => entry.attempts > 1);
+    return {
+      concurrency: this.settings.concurrency,
+      requests: this.log.length,
+      succeeded: this.log.filter(entry => entry.status === 'ok').length,
+      retried: retried.map(({ key, host, attempts, status }) => ({ key, host, attempts, recovered: status === 'ok' })),
+      failed: this.log.filter(entry => entry.status === 'failed').map(({ key, host, attempts, error }) => ({ key, host, attempts, error })),
+      skipped: this.log.filter(entry => entry.status === 'skipped').map(({ key, host, error }) => ({ key, host, reason: error })),
+      hosts: Object.fromEntries([...this.breakers].map(([host, breaker]) => [host, breaker.summary()]))
+    };
+  }
+}
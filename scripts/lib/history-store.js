@@ -0,0 +1,260 @@
+/**
+ * Sentiment History Store
+ * Append-only, one-record-per-trading-day archive of pipeline readings
+ * plus a compact index file the UI loads for timeline charts. When both
+ * pipelines run on the same session the enhanced record is the one kept.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { systemClock } from './clock.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const HISTORY_DIR = path.resolve(__dirname, '../../public/data/history');
+export const HISTORY_SCHEMA_VERSION = 1;
+
+const MARKET_TIMEZONE = 'America/New_York';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Richer records rank higher; a day's record is never replaced by a lower-ranked one
+const PIPELINE_RANK = {
+  'git-backfill': 0,
+  simple: 1,
+  enhanced: 2
+};
+const pipelineRank = pipeline => PIPELINE_RANK[pipeline] ?? 0;
+
+/**
+ * Convert a timestamp to the US market date (YYYY-MM-DD, New York time)
+ */
+export function toMarketDate(value = new Date()) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid market timestamp: ${value}`);
+  }
+  // en-CA formats as YYYY-MM-DD
+  return date.toLocaleDateString('en-CA', { timeZone: MARKET_TIMEZONE });
+}
+
+class SentimentHistoryStore {
+  constructor(baseDir = HISTORY_DIR, { clock = systemClock } = {}) {
+    this.baseDir = baseDir;
+    this.clock = clock;
+    this.recordsDir = path.join(baseDir, 'daily');
+    this.indexPath = path.join(baseDir, 'index.json');
+  }
+
+  recordPath(date) {
+    return path.join(this.recordsDir, `${date}.json`);
+  }
+
+  async listDates() {
+    if (!(await fs.pathExists(this.recordsDir))) return [];
+
+    const files = await fs.readdir(this.recordsDir);
+    return files
+      .map(file => file.replace(/\.json$/, ''))
+      .filter(name => DATE_PATTERN.test(name))
+      .sort();
+  }
+
+  async readRecord(date) {
+    const recordPath = this.recordPath(date);
+    if (!(await fs.pathExists(recordPath))) return null;
+    return fs.readJSON(recordPath);
+  }
+
+  async readAll() {
+    const dates = await this.listDates();
+    const records = [];
+    for (const date of dates) {
+      records.push(await this.readRecord(date));
+    }
+    return records;
+  }
+
+  /**
+   * Append a daily record. Past trading days are immutable: a record may only
+   * be written for a new date or to replace the latest day (intraday re-runs),
+   * and a replacement never downgrades the day: a simple run after an enhanced
+   * run on the same session keeps the enhanced record (components, raw
+   * indicators, signals and the composite score).
+   * With `fillOnly`, missing dates anywhere in the series are filled but
+   * existing records are never touched (used by backfills).
+   */
+  async append(record, { fillOnly = false } = {}) {
+    if (!record || !DATE_PATTERN.test(record.date || '')) {
+      throw new Error(`History record requires a YYYY-MM-DD date, got: ${record?.date}`);
+    }
+
+    const dates = await this.listDates();
+    const latestDate = dates[dates.length - 1];
+    const exists = dates.includes(record.date);
+
+    if (fillOnly && exists) {
+      return { written: false, reason: 'exists' };
+    }
+
+    if (!fillOnly && latestDate && record.date < latestDate) {
+      return { written: false, reason: 'immutable' };
+    }
+
+    if (exists) {
+      const current = await this.readRecord(record.date);
+      if (pipelineRank(current?.pipeline) > pipelineRank(record.pipeline)) {
+        return { written: false, reason: `kept_${current.pipeline}` };
+      }
+    }
+
+    await fs.ensureDir(this.recordsDir);
+    await this.writeAtomic(this.recordPath(record.date), {
+      schema_version: HISTORY_SCHEMA_VERSION,
+      ...record
+    });
+
+    return { written: true, reason: exists ? 'replaced' : 'appended' };
+  }
+
+  /**
+   * Rebuild the compact index from every stored record
+   */
+  async rebuildIndex() {
+    const records = await this.readAll();
+    const series = records.map(record => this.toIndexPoint(record));
+
+    const index = {
+      schema_version: HISTORY_SCHEMA_VERSION,
+      updated_at: this.clock.iso(),
+      count: series.length,
+      first_date: series[0]?.date || null,
+      last_date: series[series.length - 1]?.date || null,
+      series
+    };
+
+    await fs.ensureDir(this.baseDir);
+    await this.writeAtomic(this.indexPath, index);
+    return index;
+  }
+
+  toIndexPoint(record) {
+    return {
+      date: record.date,
+      pipeline: record.pipeline,
+      config_version: record.config_version ?? null,
+      composite_score: record.composite?.score ?? null,
+      classification: record.composite?.classification ?? null,
+      fear_greed: record.indicators?.fear_greed ?? null,
+      vix: record.indicators?.vix ?? null,
+      put_call_ratio: record.indicators?.put_call_ratio ?? null,
+      put_call_source: record.indicators?.put_call_source ?? null,
+      spy_price: record.prices?.SPY?.price ?? null,
+      spy_change: record.prices?.SPY?.change_1d ?? null,
+      primary_signal: record.signals?.primary_signal ?? null
+    };
+  }
+
+  async writeAtomic(filePath, data) {
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeJSON(tmpPath, data, { spaces: 2 });
+    await fs.move(tmpPath, filePath, { overwrite: true });
+  }
+}
+
+/**
+ * Build a history record from the enhanced pipeline results
+ */
+export function recordFromEnhancedResults(results) {
+  const coreData = results.core_data || {};
+  const spy = coreData['SPY'];
+
+  const prices = {};
+  for (const [symbol, data] of Object.entries(coreData)) {
+    if (data && !data.error) {
+      prices[symbol] = { price: data.price, change_1d: data.change_1d };
+    }
+  }
+
+  const signals = results.actionable_signals || {};
+
+  return {
+    date: toMarketDate(spy?.as_of || results.metadata.timestamp),
+    recorded_at: results.metadata.timestamp,
+    pipeline: 'enhanced',
+    config_version: results.metadata.config_version ?? null,
+    composite: {
+      score: results.sentiment_composite?.composite_score ?? null,
+      classification: results.sentiment_composite?.classification ?? null,
+      data_completeness: results.sentiment_composite?.data_completeness ?? null,
+      normalization: results.sentiment_composite?.normalization ?? 'fixed'
+    },
+    components: results.sentiment_composite?.components || {},
+    // Unscored inputs, kept so any past day can be re-scored under a different normalization
+    raw_indicators: results.raw_indicators || null,
+    prices,
+    indicators: {
+      vix: results.market_structure?.vix_level ?? null,
+      fear_greed: results.fear_greed_indicators?.cnn_fear_greed_index ?? null,
+      put_call_ratio: results.put_call?.value ?? null,
+      put_call_source: results.put_call?.source ?? null
+    },
+    signals: {
+      primary_signal: signals.primary_signal?.action ?? null,
+      market_regime: signals.market_regime ?? null,
+      risk_level: signals.risk_level ?? null,
+      confidence_level: signals.confidence_level ?? null
+    }
+  };
+}
+
+/**
+ * Build a history record from the simple pipeline output
+ */
+export function recordFromSimpleResults(results) {
+  const stocks = results.stocks || {};
+
+  const prices = {};
+  for (const [symbol, data] of Object.entries(stocks)) {
+    if (data && !data.error) {
+      prices[symbol] = { price: data.price, change_1d: data.change };
+    }
+  }
+
+  return {
+    date: toMarketDate(stocks.SPY?.as_of || results.timestamp),
+    recorded_at: results.timestamp,
+    pipeline: 'simple',
+    config_version: results.config_version ?? null,
+    composite: {
+      score: results.sentiment?.score ?? null,
+      classification: results.sentiment?.label ?? null,
+      data_completeness: null
+    },
+    components: {},
+    prices,
+    indicators: {
+      vix: stocks['^VIX']?.price ?? null,
+      fear_greed: results.fearGreed?.value ?? null,
+      put_call_ratio: results.putCallRatio ?? null,
+      // Files written before options chains were measured only ever held the proxy
+      put_call_source: results.putCall?.source ?? (results.putCallRatio ? 'proxy' : null)
+    },
+    signals: null
+  };
+}
+
+/**
+ * Append a record and refresh the index in one step
+ */
+export async function appendDailyRecord(record, options = {}) {
+  const store = new SentimentHistoryStore(options.baseDir, { clock: options.clock });
+  const result = await store.append(record, options);
+  if (result.written) {
+    await store.rebuildIndex();
+  }
+  return result;
+}
+
+export default SentimentHistoryStore;
@@ -0,0 +1,205 @@
+/**
+ * Pipeline HTTP Client with record/replay cassettes
+ *
+ * live   - plain requests (default)
+ * record - live requests, every raw response (including failures) is saved to the cassette directory
+ * replay - no network access; responses are served from the cassette directory
+ *
+ * The mode and directory default to PIPELINE_HTTP_MODE and PIPELINE_CASSETTES.
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_CASSETTE_DIR = path.resolve(__dirname, '../fixtures/cassettes');
+export const HTTP_MODES = ['live', 'record', 'replay'];
+
+const SESSION_FILE = 'session.json';
+const HISTORY_READINGS_FILE = 'history-readings.json';
+
+export class CassetteMissError extends Error {
+  constructor(url, cassettePath) {
+    super(`No recorded response for ${url} (expected ${cassettePath})`);
+    this.name = 'CassetteMissError';
+    this.url = url;
+    this.cassettePath = cassettePath;
+  }
+}
+
+/**
+ * Error rebuilt from a recorded failure so replayed runs fail the same way
+ */
+export class ReplayedHTTPError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ReplayedHTTPError';
+    this.status = status;
+  }
+}
+
+class PipelineHttpClient {
+  constructor({
+    mode = process.env.PIPELINE_HTTP_MODE || 'live',
+    cassetteDir = process.env.PIPELINE_CASSETTES || DEFAULT_CASSETTE_DIR
+  } = {}) {
+    if (!HTTP_MODES.includes(mode)) {
+      throw new Error(`Unknown HTTP mode "${mode}" (expected one of: ${HTTP_MODES.join(', ')})`);
+    }
+    this.mode = mode;
+    this.cassetteDir = path.resolve(cassetteDir);
+    this.stats = { requests: 0, recorded: 0, replayed: 0, misses: 0 };
+  }
+
+  /**
+   * Stable request identity: method, URL and sorted query params (headers are ignored)
+   */
+  requestKey(url, params = {}) {
+    const query = Object.keys(params)
+      .sort()
+      .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
+      .join('&');
+    return `GET ${url}${query ? `?${query}` : ''}`;
+  }
+
+  cassettePath(url, params) {
+    const key = this.requestKey(url, params);
+    const hash = crypto.createHash('sha256').update(key).digest('hex').slice(0, 24);
+    const host = new URL(url).hostname;
+    return path.join(this.cassetteDir, host, `${hash}.json`);
+  }
+
+  /**
+   * @param {string} url
+   * @param {object} [options]
+   * @param {(status: number) => boolean} [options.validateStatus] statuses that count as a response rather than an error
+   *   (axios default: 2xx)
+   * @returns {Promise<{status: number, headers: object, data: any}>} live responses also carry `set-cookie`,
+   *   which is never written to a cassette
+   */
+  async get(url, { params = {}, timeout = 10000, headers = {}, responseType = 'json', validateStatus } = {}) {
+    this.stats.requests++;
+
+    const cassette = this.mode === 'replay'
+      ? await this.replay(url, params)
+      : await this.fetchLive(url, { params, timeout, headers, validateStatus });
+
+    if (this.mode === 'record') {
+      const { 'set-cookie': _cookies, ...recordedHeaders } = cassette.headers;
+      await this.record(url, params, { ...cassette, headers: recordedHeaders });
+    }
+
+    if (cassette.error) {
+      throw new ReplayedHTTPError(cassette.error, cassette.status);
+    }
+
+    return {
+      status: cassette.status,
+      headers: cassette.headers,
+      data: responseType === 'text' ? cassette.body : JSON.parse(cassette.body)
+    };
+  }
+
+  async fetchLive(url, { params, timeout, headers, validateStatus }) {
+    try {
+      const response = await axios.get(url, {
+        params,
+        timeout,
+        headers,
+        responseType: 'text',
+        transformResponse: [data => data],
+        ...(validateStatus ? { validateStatus } : {})
+      });
+
+      return {
+        status: response.status,
+        headers: {
+          'content-type': response.headers['content-type'] || null,
+          ...(response.headers['set-cookie'] ? { 'set-cookie': response.headers['set-cookie'] } : {})
+        },
+        body: response.data
+      };
+    } catch (error) {
+      if (this.mode !== 'record') throw error;
+
+      // Keep failures in the cassette too: a replay must reproduce them
+      return {
+        status: error.response?.status || null,
+        headers: { 'content-type': error.response?.headers?.['content-type'] || null },
+        body: typeof error.response?.data === 'string' ? error.response.data : null,
+        error: error.message
+      };
+    }
+  }
+
+  async record(url, params, cassette) {
+    const cassettePath = this.cassettePath(url, params);
+    await fs.ensureDir(path.dirname(cassettePath));
+    await fs.writeJSON(cassettePath, {
+      request: { method: 'GET', url, params: this.sortParams(params) },
+      response: cassette
+    }, { spaces: 2 });
+    this.stats.recorded++;
+  }
+
+  async replay(url, params) {
+    const cassettePath = this.cassettePath(url, params);
+    if (!(await fs.pathExists(cassettePath))) {
+      this.stats.misses++;
+      throw new CassetteMissError(this.requestKey(url, params), cassettePath);
+    }
+
+    const { response } = await fs.readJSON(cassettePath);
+    this.stats.replayed++;
+    return response;
+  }
+
+  sortParams(params) {
+    return Object.fromEntries(Object.keys(params).sort().map(key => [key, params[key]]));
+  }
+
+  /**
+   * Session metadata pins the clock: a replay runs at the recorded start time
+   */
+  async writeSession(session) {
+    await fs.ensureDir(this.cassetteDir);
+    await fs.writeJSON(path.join(this.cassetteDir, SESSION_FILE), session, { spaces: 2 });
+  }
+
+  async readSession() {
+    const sessionPath = path.join(this.cassetteDir, SESSION_FILE);
+    if (!(await fs.pathExists(sessionPath))) {
+      throw new Error(`Cassette directory has no ${SESSION_FILE}: ${this.cassetteDir}`);
+    }
+    return fs.readJSON(sessionPath);
+  }
+
+  /**
+   * The stored history readings a recorded run scored against, so a replay uses the
+   * same history rather than whatever the history store holds by then
+   */
+  async writeHistoryReadings(readings) {
+    await fs.ensureDir(this.cassetteDir);
+    await fs.writeJSON(path.join(this.cassetteDir, HISTORY_READINGS_FILE), readings, { spaces: 2 });
+  }
+
+  /**
+   * @returns {Promise<object[]|null>} null for cassettes recorded without them
+   */
+  async readHistoryReadings() {
+    const readingsPath = path.join(this.cassetteDir, HISTORY_READINGS_FILE);
+    if (!(await fs.pathExists(readingsPath))) return null;
+    return fs.readJSON(readingsPath);
+  }
+}
+
+export function createHttpClient(options = {}) {
+  return new PipelineHttpClient(options);
+}
+
+export default PipelineHttpClient;
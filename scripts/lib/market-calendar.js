@@ -0,0 +1,275 @@
+/**
+ * Exchange Trading Calendar
+ * NYSE sessions from config/market-calendar.json: weekends, holidays and
+ * early closes, with session times in exchange time. The pipeline uses it for
+ * return windows ("a week ago" is the session a calendar week back, not seven
+ * bars back), for skipping runs while the market is closed and the published
+ * data already has the last close, and for measuring staleness in sessions.
+ * app/lib/market-calendar.ts applies the same rules to the same file.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { CONFIG_DIR, ConfigError } from './config.js';
+import { validateAgainstSchema } from './schema.js';
+
+export const MARKET_CALENDAR_PATH = path.join(CONFIG_DIR, 'market-calendar.json');
+export const MARKET_CALENDAR_SCHEMA_PATH = path.join(CONFIG_DIR, 'market-calendar.schema.json');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Enough to step over any run of weekends and holidays
+const MAX_SCAN_DAYS = 15;
+
+/**
+ * Calendar date arithmetic on YYYY-MM-DD strings (month steps clamp to the month's last day)
+ */
+export function shiftDate(date, { days = 0, months = 0 } = {}) {
+  const [year, month, day] = date.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay) + days);
+  return target.toISOString().slice(0, 10);
+}
+
+function weekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Wall-clock date in `timeZone`, and the wall-clock time read as if it were UTC
+ */
+function zonedParts(ms, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(ms)).map(part => [part.type, part.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    utcMs: Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute), Number(parts.second))
+  };
+}
+
+/**
+ * The instant a wall-clock time on `date` happens in `timeZone` (DST-aware)
+ */
+function zonedTimeToMs(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = ms => zonedParts(ms, timeZone).utcMs - Math.floor(ms / 1000) * 1000;
+  const guess = wall - offsetAt(wall);
+  return wall - offsetAt(guess);
+}
+
+export class TradingCalendar {
+  /**
+   * @param {object} calendar parsed config/market-calendar.json
+   */
+  constructor(calendar) {
+    this.calendar = calendar;
+    this.timezone = calendar.timezone;
+  }
+
+  covers(date) {
+    return date >= this.calendar.covers.from && date <= this.calendar.covers.to;
+  }
+
+  /**
+   * Holiday name, or null on a weekday the exchange is open (and on weekends)
+   */
+  holiday(date) {
+    return this.calendar.holidays[date] || null;
+  }
+
+  isTradingDay(date) {
+    const day = weekday(date);
+    return day !== 0 && day !== 6 && !this.calendar.holidays[date];
+  }
+
+  /**
+   * Open and close instants for a trading day, or null when the exchange is closed
+   */
+  session(date) {
+    if (!this.isTradingDay(date)) return null;
+    const earlyClose = date in this.calendar.early_closes;
+    const close = earlyClose ? this.calendar.early_close : this.calendar.regular_hours.close;
+    return {
+      date,
+      open: new Date(zonedTimeToMs(date, this.calendar.regular_hours.open, this.timezone)).toISOString(),
+      close: new Date(zonedTimeToMs(date, close, this.timezone)).toISOString(),
+      early_close: earlyClose ? this.calendar.early_closes[date] : null
+    };
+  }
+
+  /**
+   * The trading day on or before `date`
+   */
+  sessionOnOrBefore(date) {
+    let current = date;
+    for (let i = 0; i <= MAX_SCAN_DAYS; i++) {
+      if (this.isTradingDay(current)) return current;
+      current = shiftDate(current, { days: -1 });
+    }
+    throw new Error(`No trading day within ${MAX_SCAN_DAYS} days before ${date}`);
+  }
+
+  previousSession(date) {
+    return this.sessionOnOrBefore(shiftDate(date, { days: -1 }));
+  }
+
+  nextSession(date) {
+    let current = shiftDate(date, { days: 1 });
+    for (let i = 0; i <= MAX_SCAN_DAYS; i++) {
+      if (this.isTradingDay(current)) return current;
+      current = shiftDate(current, { days: 1 });
+    }
+    throw new Error(`No trading day within ${MAX_SCAN_DAYS} days after ${date}`);
+  }
+
+  /**
+   * Trading days after `from` up to and including `to`
+   */
+  sessionsBetween(from, to) {
+    const sessions = [];
+    for (let current = shiftDate(from, { days: 1 }); current <= to; current = shiftDate(current, { days: 1 })) {
+      if (this.isTradingDay(current)) sessions.push(current);
+    }
+    return sessions;
+  }
+
+  /**
+   * The exchange date of an instant (YYYY-MM-DD in the calendar's time zone)
+   */
+  dateOf(ms) {
+    return zonedParts(ms, this.timezone).date;
+  }
+
+  /**
+   * The latest session that had closed by `ms`
+   */
+  lastClosedSession(ms) {
+    const today = this.dateOf(ms);
+    const session = this.session(today);
+    if (session && ms >= Date.parse(session.close)) return today;
+    return this.previousSession(today);
+  }
+
+  /**
+   * Whether the exchange is open at `ms`, and if not, why and since which close
+   * @returns {{state: 'open'|'pre_market'|'after_hours'|'closed', date: string, holiday: string|null,
+   *   early_close: string|null, last_session: string, last_close: string, next_open: string}}
+   */
+  status(ms) {
+    const date = this.dateOf(ms);
+    const session = this.session(date);
+    let state = 'closed';
+    if (session) {
+      if (ms < Date.parse(session.open)) state = 'pre_market';
+      else if (ms < Date.parse(session.close)) state = 'open';
+      else state = 'after_hours';
+    }
+
+    const lastSession = this.lastClosedSession(ms);
+    const nextOpenDate = state === 'pre_market' || state === 'open' ? date : this.nextSession(date);
+    return {
+      state,
+      date,
+      holiday: this.holiday(date),
+      early_close: session?.early_close || null,
+      last_session: lastSession,
+      last_close: this.session(lastSession).close,
+      next_open: this.session(nextOpenDate).open
+    };
+  }
+}
+
+/**
+ * Shape checks plus what the schema cannot express: date keys, range and session times
+ */
+export function validateMarketCalendar(calendar, schema = fs.readJSONSync(MARKET_CALENDAR_SCHEMA_PATH)) {
+  const errors = validateAgainstSchema(calendar, schema);
+  if (errors.length > 0) return errors;
+
+  const { covers, regular_hours: hours, early_close: earlyClose } = calendar;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: calendar.timezone });
+  } catch (error) {
+    errors.push(`$.timezone: "${calendar.timezone}" is not an IANA time zone (${error.message})`);
+  }
+  if (covers.from > covers.to) errors.push(`$.covers: from ${covers.from} is after to ${covers.to}`);
+  if (!(hours.open < earlyClose && earlyClose < hours.close)) {
+    errors.push(`$.early_close: ${earlyClose} must fall between the open (${hours.open}) and the close (${hours.close})`);
+  }
+  for (const key of ['holidays', 'early_closes']) {
+    for (const date of Object.keys(calendar[key])) {
+      if (!DATE_PATTERN.test(date)) {
+        errors.push(`$.${key}: "${date}" is not a YYYY-MM-DD date`);
+      } else if (weekday(date) === 0 || weekday(date) === 6) {
+        errors.push(`$.${key}: ${date} falls on a weekend`);
+      } else if (date < covers.from || date > covers.to) {
+        errors.push(`$.${key}: ${date} is outside covers (${covers.from} to ${covers.to})`);
+      }
+    }
+  }
+  for (const date of Object.keys(calendar.early_closes)) {
+    if (calendar.holidays[date]) errors.push(`$.early_closes: ${date} is also a holiday`);
+  }
+  return errors;
+}
+
+const loaded = new Map();
+
+/**
+ * Load and validate the trading calendar (cached per path)
+ * @throws {ConfigError} when the file is missing, unparsable or invalid
+ */
+export function loadMarketCalendar(calendarPath = process.env.MARKET_CALENDAR || MARKET_CALENDAR_PATH) {
+  const resolvedPath = path.resolve(calendarPath);
+  if (loaded.has(resolvedPath)) return loaded.get(resolvedPath);
+
+  let calendar;
+  try {
+    calendar = fs.readJSONSync(resolvedPath);
+  } catch (error) {
+    throw new ConfigError(`Cannot read market calendar ${resolvedPath}: ${error.message}`, { configPath: resolvedPath });
+  }
+
+  const errors = validateMarketCalendar(calendar);
+  if (errors.length > 0) {
+    throw new ConfigError(`Invalid market calendar ${resolvedPath}`, { configPath: resolvedPath, errors });
+  }
+
+  const tradingCalendar = new TradingCalendar(calendar);
+  loaded.set(resolvedPath, tradingCalendar);
+  return tradingCalendar;
+}
+
+/**
+ * Why a run would only republish what is already there: the market is not in
+ * session and the published data was fetched after the last close
+ * @param {TradingCalendar} calendar
+ * @param {object} options
+ * @param {number} options.now
+ * @param {string|null} options.publishedAt timestamp of the published output
+ * @returns {string|null} null when the run should go ahead
+ */
+export function redundantRunReason(calendar, { now, publishedAt }) {
+  const published = Date.parse(publishedAt);
+  if (Number.isNaN(published) || published > now) return null;
+
+  const status = calendar.status(now);
+  if (status.state === 'open' || calendar.lastClosedSession(published) !== status.last_session) return null;
+
+  const market = status.holiday ? `closed for ${status.holiday}`
+    : status.state === 'closed' ? 'closed for the weekend'
+      : status.state === 'pre_market' ? 'not open yet' : 'closed for the day';
+  return `market ${market}; published data already includes the ${status.last_session} close`;
+}
+
+export default loadMarketCalendar;
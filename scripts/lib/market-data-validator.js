@@ -0,0 +1,52 @@
+/**
+ * Market Data Snapshot Validation
+ * Mirrors the checks in APIService.loadPreFetchedData() (app/lib/api.ts) so the
+ * pipeline accepts exactly the snapshots the client would accept
+ */
+
+/**
+ * Validate a market-data.json / latest.json snapshot
+ * Returns a list of problems; an empty list means the snapshot is usable
+ */
+export function validateMarketDataSnapshot(marketData) {
+  const errors = [];
+
+  if (!marketData || typeof marketData !== 'object') {
+    return ['Invalid market data structure'];
+  }
+
+  if (!marketData.stocks || typeof marketData.stocks !== 'object') {
+    errors.push('Missing or invalid stocks data');
+  }
+
+  if (!marketData.fearGreed || typeof marketData.fearGreed !== 'object') {
+    errors.push('Missing or invalid fearGreed data');
+  }
+
+  if (errors.length > 0) return errors;
+
+  const stocks = marketData.stocks;
+  const vixData = stocks['^VIX'] || {};
+
+  if (!stocks.SPY || typeof stocks.SPY.price !== 'number' || typeof stocks.SPY.change !== 'number') {
+    errors.push('Missing or invalid SPY data');
+  }
+
+  if (!stocks.QQQ || typeof stocks.QQQ.price !== 'number' || typeof stocks.QQQ.change !== 'number') {
+    errors.push('Missing or invalid QQQ data');
+  }
+
+  if (!vixData.price || typeof vixData.price !== 'number') {
+    errors.push('Missing or invalid VIX data');
+  }
+
+  if (typeof marketData.fearGreed.value !== 'number') {
+    errors.push('Missing or invalid Fear/Greed data');
+  }
+
+  return errors;
+}
+
+export function isValidMarketDataSnapshot(marketData) {
+  return validateMarketDataSnapshot(marketData).length === 0;
+}
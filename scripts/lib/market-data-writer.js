@@ -0,0 +1,133 @@
+/**
+ * Market Data Snapshot Contract
+ * The one shape both pipelines publish to market-data.json (and latest.json),
+ * described by schemas/market-data.schema.json. Whichever pipeline ran last,
+ * the dashboard reads the same fields: quotes, the simple sentiment, Fear &
+ * Greed, put/call, and, from the enhanced pipeline, a summary of the
+ * composite and its signals.
+ *
+ * A producer whose Fear & Greed fetch failed passes `{error, timestamp}`; the
+ * writer publishes the last good reading instead (marked `carried_forward`,
+ * its own timestamp showing its age), so a short alternative.me outage does
+ * not block the file. With no earlier reading, or one older than the gate's
+ * `max_carried_forward_hours`, the gate rejects the snapshot.
+ *
+ * Bump MARKET_DATA_CONTRACT_VERSION (and the schema's const) on any change a
+ * reader of the previous version could not handle.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { checkOutput } from './quality-gate.js';
+
+export const MARKET_DATA_CONTRACT_VERSION = 2;
+
+export const PRODUCERS = ['simple-fetch', 'enhanced-sentiment'];
+
+/**
+ * Bullish/Neutral/Bearish label used by the simple sentiment
+ */
+export function sentimentLabel(score, cutoffs) {
+  if (score > cutoffs.bullish) return 'Bullish';
+  if (score < cutoffs.bearish) return 'Bearish';
+  return 'Neutral';
+}
+
+// Only the quote fields the contract defines; pipeline-specific extras stay in their own outputs
+function toQuote(symbol, data) {
+  if (data.error) {
+    return { symbol, error: data.error, timestamp: data.timestamp };
+  }
+  return {
+    symbol,
+    price: data.price,
+    change: data.change,
+    as_of: data.as_of,
+    timestamp: data.timestamp
+  };
+}
+
+/**
+ * @param {object} fields
+ * @param {string} fields.producer one of PRODUCERS
+ * @param {string} fields.timestamp
+ * @param {string} fields.config_version
+ * @param {Object<string, object>} fields.stocks quotes with `change` as the daily % change
+ * @param {object} fields.sentiment {score, label, timestamp}
+ * @param {object} fields.fearGreed {value, classification, timestamp} or {error, timestamp} (see carryForwardFearGreed)
+ * @param {object|null} [fields.putCall] resolvePutCallRatio() result
+ * @param {object|null} [fields.enhanced] composite summary from the enhanced pipeline
+ */
+export function buildMarketDataSnapshot({ producer, timestamp, config_version, stocks, sentiment, fearGreed, putCall = null, enhanced = null }) {
+  if (!PRODUCERS.includes(producer)) {
+    throw new Error(`Unknown market data producer "${producer}" (expected one of: ${PRODUCERS.join(', ')})`);
+  }
+
+  return {
+    contract_version: MARKET_DATA_CONTRACT_VERSION,
+    producer,
+    timestamp,
+    config_version,
+    stocks: Object.fromEntries(Object.entries(stocks).map(([symbol, data]) => [symbol, toQuote(symbol, data)])),
+    sentiment,
+    fearGreed,
+    putCallRatio: putCall?.value ?? null,
+    putCall,
+    enhanced
+  };
+}
+
+/**
+ * Replace a failed Fear & Greed fetch with the reading already published at `paths`
+ */
+export async function carryForwardFearGreed(snapshot, paths) {
+  if (!snapshot.fearGreed?.error) return snapshot;
+
+  for (const target of paths) {
+    const previous = (await fs.readJSON(target).catch(() => null))?.fearGreed;
+    if (typeof previous?.value === 'number') {
+      const { value, classification, timestamp } = previous;
+      return { ...snapshot, fearGreed: { value, classification, timestamp, carried_forward: true } };
+    }
+  }
+  return snapshot;
+}
+
+/**
+ * The snapshot as it would be published to `paths`, and its gate result
+ * @returns {Promise<{gate: object, snapshot: object}>}
+ */
+export async function gateMarketDataSnapshot(snapshot, { paths, settings, now, calendar }) {
+  const file = [...new Set(paths.map(target => path.basename(target)))].join(', ');
+  const published = await carryForwardFearGreed(snapshot, paths);
+  return { gate: { file, ...checkOutput('market-data', published, { settings, now, calendar }) }, snapshot: published };
+}
+
+/**
+ * Write JSON through a temp file and rename, so a reader (or the build) never sees half a file
+ */
+export async function writeJSONAtomic(target, data) {
+  await fs.ensureDir(path.dirname(target));
+  const temp = `${target}.tmp`;
+  await fs.writeJSON(temp, data, { spaces: 2 });
+  await fs.rename(temp, target);
+}
+
+/**
+ * Write a gated snapshot to every path
+ */
+export async function writeMarketDataSnapshot(snapshot, paths) {
+  for (const target of paths) {
+    await writeJSONAtomic(target, snapshot);
+  }
+}
+
+/**
+ * Gate the snapshot and, only if it passes, write it to every path
+ * @returns {Promise<object>} the gate result; nothing was written when `passed` is false
+ */
+export async function publishMarketDataSnapshot(snapshot, options) {
+  const { gate, snapshot: published } = await gateMarketDataSnapshot(snapshot, options);
+  if (gate.passed) await writeMarketDataSnapshot(published, options.paths);
+  return gate;
+}
@@ -0,0 +1,258 @@
+/**
+ * Indicator Normalization
+ * Scores each raw composite input by where it sits in its own rolling history,
+ * so 80 means "greedier than 80% of the lookback" for every component instead
+ * of whatever a hand-picked step function happened to produce.
+ *
+ * Raw indicators are defined once here and evaluated the same way for today
+ * (from core_data) and for every past session (from long daily bar history).
+ */
+
+import { toMarketDate } from './history-store.js';
+import { frontRatio } from './vix-term-structure.js';
+import { SECTOR_ETFS, simpleMovingAverage } from './breadth.js';
+import { dailyReturns, pearson } from './correlation.js';
+
+export const NORMALIZATION_MODES = ['fixed', 'percentile', 'zscore'];
+
+export const RISK_ON_TICKERS = ['QQQ', 'ARKK', 'EEM', 'HYG'];
+export const RISK_OFF_TICKERS = ['SPLV', 'LQD', 'TLT', 'GLD'];
+export const CRYPTO_CORRELATION_WINDOW = 20;
+
+function average(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+/**
+ * Raw indicator per composite component.
+ * `direction` is +1 when a higher raw value means more greed, -1 when it means more fear.
+ * `compute` receives a market view ({ close, change, window }) and returns a number or null.
+ */
+export const RAW_INDICATORS = {
+  vix: {
+    description: 'VIX level',
+    direction: -1,
+    symbols: ['^VIX'],
+    compute: market => market.close('^VIX')
+  },
+  term_structure: {
+    description: 'VIX / VIX3M ratio (above 1 = inverted front of the curve)',
+    direction: -1,
+    symbols: ['^VIX', '^VIX3M'],
+    compute: market => frontRatio({ '^VIX': market.close('^VIX'), '^VIX3M': market.close('^VIX3M') })
+  },
+  safe_haven: {
+    description: 'Average 1d outperformance of GLD and TLT over SPY (%)',
+    direction: -1,
+    symbols: ['SPY', 'GLD', 'TLT'],
+    compute: market => {
+      const spy = market.change('SPY');
+      const gld = market.change('GLD');
+      const tlt = market.change('TLT');
+      if (spy === null || gld === null || tlt === null) return null;
+      return ((gld - spy) + (tlt - spy)) / 2;
+    }
+  },
+  risk_appetite: {
+    description: 'Average 1d return of risk-on minus risk-off ETFs (%)',
+    direction: 1,
+    symbols: [...RISK_ON_TICKERS, ...RISK_OFF_TICKERS],
+    compute: market => {
+      const riskOn = average(RISK_ON_TICKERS.map(symbol => market.change(symbol)).filter(value => value !== null));
+      const riskOff = average(RISK_OFF_TICKERS.map(symbol => market.change(symbol)).filter(value => value !== null));
+      return riskOn === null || riskOff === null ? null : riskOn - riskOff;
+    }
+  },
+  credit: {
+    description: 'HYG minus LQD 1d return (%)',
+    direction: 1,
+    symbols: ['HYG', 'LQD'],
+    compute: market => {
+      const hyg = market.change('HYG');
+      const lqd = market.change('LQD');
+      return hyg === null || lqd === null ? null : hyg - lqd;
+    }
+  },
+  breadth: {
+    description: 'Share of SPDR sector ETFs above their 20-session average (%)',
+    direction: 1,
+    symbols: Object.keys(SECTOR_ETFS),
+    compute: market => {
+      const flags = Object.keys(SECTOR_ETFS)
+        .map(symbol => {
+          const closes = market.window(symbol, 20);
+          if (!closes || closes.length < 20) return null;
+          return closes[closes.length - 1] > simpleMovingAverage(closes, 20);
+        })
+        .filter(flag => flag !== null);
+      return flags.length ? (flags.filter(Boolean).length / flags.length) * 100 : null;
+    }
+  },
+  style: {
+    description: 'VUG minus VTV 1d return (%)',
+    direction: 1,
+    symbols: ['VUG', 'VTV'],
+    compute: market => {
+      const growth = market.change('VUG');
+      const value = market.change('VTV');
+      return growth === null || value === null ? null : growth - value;
+    }
+  },
+  global_risk: {
+    description: 'EEM minus VEA 1d return (%)',
+    direction: 1,
+    symbols: ['EEM', 'VEA'],
+    compute: market => {
+      const emerging = market.change('EEM');
+      const developed = market.change('VEA');
+      return emerging === null || developed === null ? null : emerging - developed;
+    }
+  },
+  fear_greed_index: {
+    description: 'Crypto Fear & Greed Index',
+    direction: 1,
+    symbols: [],
+    compute: market => market.fearGreed()
+  },
+  crypto_correlation: {
+    description: `Absolute ${CRYPTO_CORRELATION_WINDOW}-session BITO/SPY daily return correlation`,
+    direction: -1,
+    symbols: ['BITO', 'SPY'],
+    compute: market => {
+      // One extra close so the window holds CRYPTO_CORRELATION_WINDOW returns
+      const bito = market.window('BITO', CRYPTO_CORRELATION_WINDOW + 1);
+      const spy = market.window('SPY', CRYPTO_CORRELATION_WINDOW + 1);
+      if (!bito || !spy || bito.length !== spy.length) return null;
+      return Math.abs(pearson(dailyReturns(bito), dailyReturns(spy)));
+    }
+  }
+};
+
+export function normalizationSymbols() {
+  return [...new Set(Object.values(RAW_INDICATORS).flatMap(indicator => indicator.symbols))];
+}
+
+/**
+ * Market view over today's core_data (the analyzer's ticker snapshots)
+ */
+export function marketFromCoreData(coreData, fearGreedValue = null) {
+  const usable = symbol => (coreData[symbol] && !coreData[symbol].error ? coreData[symbol] : null);
+  return {
+    close: symbol => usable(symbol)?.price ?? null,
+    change: symbol => usable(symbol)?.change_1d ?? null,
+    window: (symbol, n) => usable(symbol)?.price_history?.slice(-n) ?? null,
+    fearGreed: () => (typeof fearGreedValue === 'number' ? fearGreedValue : null)
+  };
+}
+
+/**
+ * Evaluate every raw indicator for today's snapshot
+ */
+export function computeRawIndicators(market) {
+  const raw = {};
+  for (const [key, indicator] of Object.entries(RAW_INDICATORS)) {
+    const value = indicator.compute(market);
+    raw[key] = typeof value === 'number' && Number.isFinite(value) ? value : null;
+  }
+  return raw;
+}
+
+/**
+ * Rebuild each raw indicator for every past session from daily bars.
+ * @param {Object<string, Array>} barsBySymbol provider bars per symbol
+ * @param {Object<string, number>} fearGreedByDate index value per market date
+ * @returns {Array<{date: string, raw: object}>} oldest first, keyed on SPY sessions
+ */
+export function buildRawIndicatorHistory(barsBySymbol, fearGreedByDate = {}) {
+  const series = {};
+  for (const [symbol, bars] of Object.entries(barsBySymbol)) {
+    const closes = [];
+    const indexByDate = new Map();
+    for (const bar of bars) {
+      const date = toMarketDate(bar.time);
+      if (indexByDate.has(date)) {
+        closes[indexByDate.get(date)] = bar.close;
+      } else {
+        indexByDate.set(date, closes.length);
+        closes.push(bar.close);
+      }
+    }
+    series[symbol] = { closes, indexByDate };
+  }
+
+  const sessions = series.SPY ? [...series.SPY.indexByDate.keys()].sort() : [];
+
+  return sessions.map(date => {
+    const at = symbol => series[symbol]?.indexByDate.get(date);
+    const market = {
+      close: symbol => {
+        const i = at(symbol);
+        return i === undefined ? null : series[symbol].closes[i];
+      },
+      change: symbol => {
+        const i = at(symbol);
+        if (i === undefined || i < 1) return null;
+        const { closes } = series[symbol];
+        return ((closes[i] - closes[i - 1]) / closes[i - 1]) * 100;
+      },
+      window: (symbol, n) => {
+        const i = at(symbol);
+        if (i === undefined || i + 1 < n) return null;
+        return series[symbol].closes.slice(i + 1 - n, i + 1);
+      },
+      fearGreed: () => fearGreedByDate[date] ?? null
+    };
+    return { date, raw: computeRawIndicators(market) };
+  });
+}
+
+/**
+ * Share of the sample below the value (ties count half), 0-100
+ */
+export function percentileRank(value, sample) {
+  let below = 0;
+  let equal = 0;
+  for (const observation of sample) {
+    if (observation < value) below++;
+    else if (observation === value) equal++;
+  }
+  return ((below + equal / 2) / sample.length) * 100;
+}
+
+export function zScore(value, sample) {
+  const mean = average(sample);
+  const variance = average(sample.map(observation => (observation - mean) ** 2));
+  const sd = Math.sqrt(variance);
+  return sd === 0 ? 0 : (value - mean) / sd;
+}
+
+/**
+ * Score one raw reading against its history
+ * Returns null when the history is too short, so callers fall back to the fixed score
+ */
+export function normalizeIndicator(value, sample, { mode, direction = 1, minObservations = 1, zscoreClamp = 2.5 }) {
+  const clean = sample.filter(observation => typeof observation === 'number' && Number.isFinite(observation));
+  if (value === null || clean.length < minObservations) return null;
+
+  if (mode === 'percentile') {
+    const percentile = percentileRank(value, clean);
+    return {
+      score: direction > 0 ? percentile : 100 - percentile,
+      percentile,
+      observations: clean.length
+    };
+  }
+
+  if (mode === 'zscore') {
+    const z = zScore(value, clean);
+    // ±zscoreClamp standard deviations map to the ends of the 0-100 scale
+    const scaled = 50 + (direction * z * 50) / zscoreClamp;
+    return {
+      score: Math.max(0, Math.min(100, scaled)),
+      zscore: z,
+      observations: clean.length
+    };
+  }
+
+  throw new Error(`Unsupported normalization mode: ${mode}`);
+}
@@ -0,0 +1,117 @@
+/**
+ * Price Levels
+ * Support, resistance and stop levels read from a symbol's own daily bars:
+ * the nearest swing low/high or moving average on either side of the price,
+ * and a stop placed a multiple of the average true range (ATR) below it.
+ * Every level records where it came from so the numbers can be checked.
+ */
+
+import { simpleMovingAverage } from './breadth.js';
+
+/**
+ * Wilder's average true range over `period` sessions
+ * @returns {number|null} null with fewer than period + 1 bars
+ */
+export function averageTrueRange(bars, period) {
+  if (bars.length < period + 1) return null;
+
+  const ranges = [];
+  for (let i = 1; i < bars.length; i++) {
+    const { high, low } = bars[i];
+    const previousClose = bars[i - 1].close;
+    ranges.push(Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose)));
+  }
+
+  let atr = ranges.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  for (let i = period; i < ranges.length; i++) {
+    atr = (atr * (period - 1) + ranges[i]) / period;
+  }
+  return atr;
+}
+
+/**
+ * Swing highs and lows: a bar whose high (low) is above (below) the `strength`
+ * bars on each side. Bars too close to the end to be confirmed are skipped.
+ * @returns {Array<{type: 'high'|'low', price: number, time: string, sessions_ago: number}>}
+ */
+export function findSwings(bars, strength) {
+  const swings = [];
+  for (let i = strength; i < bars.length - strength; i++) {
+    const neighbours = [...bars.slice(i - strength, i), ...bars.slice(i + 1, i + 1 + strength)];
+    const sessionsAgo = bars.length - 1 - i;
+    if (neighbours.every(bar => bars[i].high > bar.high)) {
+      swings.push({ type: 'high', price: bars[i].high, time: bars[i].time, sessions_ago: sessionsAgo });
+    }
+    if (neighbours.every(bar => bars[i].low < bar.low)) {
+      swings.push({ type: 'low', price: bars[i].low, time: bars[i].time, sessions_ago: sessionsAgo });
+    }
+  }
+  return swings;
+}
+
+const round = value => (value === null ? null : Math.round(value * 100) / 100);
+
+/**
+ * @param {Array} bars daily OHLC bars, oldest first
+ * @param {object} settings price_levels section of the sentiment config
+ * @param {object} [options]
+ * @param {boolean} [options.fearful] tighter stop multiple in fearful markets
+ * @returns {object|null} null when there are not enough bars for the ATR
+ */
+export function analyzePriceLevels(bars, settings, { fearful = false } = {}) {
+  const atr = averageTrueRange(bars, settings.atr_period);
+  if (atr === null) return null;
+
+  const last = bars[bars.length - 1];
+  const price = last.close;
+  const closes = bars.map(bar => bar.close);
+
+  const recent = bars.slice(-settings.swing_lookback);
+  const swings = findSwings(recent, settings.swing_strength);
+
+  const movingAverages = {};
+  for (const window of settings.ma_windows) {
+    movingAverages[`sma_${window}`] = round(simpleMovingAverage(closes, window));
+  }
+
+  // Every swing and moving average is a candidate; the nearest on each side wins
+  const candidates = [
+    ...swings.map(swing => ({ price: swing.price, source: `swing_${swing.type}`, time: swing.time, sessions_ago: swing.sessions_ago })),
+    ...Object.entries(movingAverages)
+      .filter(([, value]) => value !== null)
+      .map(([key, value]) => ({ price: value, source: key }))
+  ];
+  const below = candidates.filter(level => level.price < price).sort((a, b) => b.price - a.price);
+  const above = candidates.filter(level => level.price > price).sort((a, b) => a.price - b.price);
+
+  // Nothing on one side (new highs or lows): project the typical move instead
+  const support = below[0] || { price: price - settings.stop_atr_multiple * atr, source: 'atr_projection' };
+  const resistance = above[0] || { price: price + settings.stop_atr_multiple * atr, source: 'atr_projection' };
+
+  const stopMultiple = fearful ? settings.fear_stop_atr_multiple : settings.stop_atr_multiple;
+  const stop = price - stopMultiple * atr;
+
+  return {
+    as_of: last.time,
+    current_price: round(price),
+    support_level: round(support.price),
+    resistance_level: round(resistance.price),
+    stop_loss_suggestion: round(stop),
+    support: { ...support, price: round(support.price) },
+    resistance: { ...resistance, price: round(resistance.price) },
+    swing_lows: swings.filter(swing => swing.type === 'low' && swing.price < price)
+      .sort((a, b) => b.price - a.price).slice(0, 3).map(swing => ({ ...swing, price: round(swing.price) })),
+    swing_highs: swings.filter(swing => swing.type === 'high' && swing.price > price)
+      .sort((a, b) => a.price - b.price).slice(0, 3).map(swing => ({ ...swing, price: round(swing.price) })),
+    moving_averages: movingAverages,
+    atr: { period: settings.atr_period, value: round(atr), pct_of_price: round((atr / price) * 100) },
+    stop: { method: 'atr', multiple: stopMultiple, distance_pct: round(((price - stop) / price) * 100) },
+    method: {
+      bars: bars.length,
+      swing_lookback: settings.swing_lookback,
+      swing_strength: settings.swing_strength,
+      ma_windows: settings.ma_windows,
+      atr_period: settings.atr_period
+    }
+  };
+}
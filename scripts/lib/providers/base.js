@@ -0,0 +1,101 @@
+/**
+ * Market Data Provider Interface
+ * Every provider returns the same normalized shapes so the pipeline never
+ * depends on one vendor's URL or response format
+ *
+ * Bar:   { time: ISO string, open, high, low, close, volume }
+ * Quote: { symbol, price, previous_close, change_pct, as_of }
+ * Level: { symbol, level, change_pct, as_of }
+ * Chain: { symbol, as_of, expirations: [YYYY-MM-DD], contracts: [{ type: 'call'|'put', expiration, strike, volume, open_interest }] }
+ */
+
+import { createHttpClient } from '../http-client.js';
+import { systemClock } from '../clock.js';
+
+export class ProviderError extends Error {
+  constructor(message, { provider, symbol, cause } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.symbol = symbol;
+    if (cause) this.cause = cause;
+  }
+}
+
+const RANGE_PATTERN = /^(\d+)(d|wk|mo|y)$/;
+const RANGE_UNIT_DAYS = { d: 1, wk: 7, mo: 31, y: 366 };
+
+/**
+ * Convert a Yahoo-style range ('30d', '3mo', '5y') to calendar days
+ */
+export function rangeToDays(range) {
+  const match = RANGE_PATTERN.exec(range);
+  if (!match) {
+    throw new Error(`Unsupported history range: ${range}`);
+  }
+  return parseInt(match[1], 10) * RANGE_UNIT_DAYS[match[2]];
+}
+
+export class MarketDataProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    // Circuit breakers are kept per host; providers that go over the network override this
+    this.host = options.host || name;
+    this.options = options;
+    this.http = options.http || createHttpClient();
+    this.clock = options.clock || systemClock;
+  }
+
+  /**
+   * Daily OHLCV bars, oldest first, with empty sessions removed
+   * @returns {Promise<{symbol: string, bars: Array}>}
+   */
+  async getHistory(symbol, _options = { range: '30d', interval: '1d' }) {
+    throw new ProviderError(`${this.name} provider does not implement getHistory`, { provider: this.name, symbol });
+  }
+
+  async getQuote(symbol) {
+    const { bars } = await this.getHistory(symbol, { range: '5d' });
+    if (bars.length < 2) {
+      throw new ProviderError(`Insufficient data for ${symbol}`, { provider: this.name, symbol });
+    }
+
+    const latest = bars[bars.length - 1];
+    const previous = bars[bars.length - 2];
+
+    return {
+      symbol,
+      price: latest.close,
+      previous_close: previous.close,
+      change_pct: ((latest.close - previous.close) / previous.close) * 100,
+      as_of: latest.time
+    };
+  }
+
+  async getIndexLevel(symbol) {
+    const quote = await this.getQuote(symbol);
+    return {
+      symbol,
+      level: quote.price,
+      change_pct: quote.change_pct,
+      as_of: quote.as_of
+    };
+  }
+
+  /**
+   * Listed option contracts for the nearest `expirations` expiry dates
+   * @returns {Promise<object>} Chain
+   */
+  async getOptionsChain(symbol, _options = { expirations: 1 }) {
+    throw new ProviderError(`${this.name} provider does not provide options chains`, { provider: this.name, symbol });
+  }
+
+  /**
+   * Drop bars without a close and sort oldest first
+   */
+  normalizeBars(bars) {
+    return bars
+      .filter(bar => typeof bar.close === 'number' && Number.isFinite(bar.close))
+      .sort((a, b) => a.time.localeCompare(b.time));
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Local-file fixture provider
+ * Serves bars from JSON files so the pipeline can run offline and in tests.
+ *
+ * Layout: <fixturesDir>/<SYMBOL>.json containing { "symbol": "SPY", "bars": [Bar, ...] }
+ * (caret-prefixed index symbols are stored without the caret, e.g. VIX.json for ^VIX)
+ * Options chains live in <fixturesDir>/options/<SYMBOL>.json in the provider Chain shape.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MarketDataProvider, ProviderError, rangeToDays } from './base.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_FIXTURES_DIR = path.resolve(__dirname, '../../fixtures/market-data');
+
+export class FixtureProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super('fixture', options);
+    this.fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+  }
+
+  fixturePath(symbol) {
+    return path.join(this.fixturesDir, `${symbol.replace(/^\^/, '')}.json`);
+  }
+
+  async getHistory(symbol, { range = '30d' } = {}) {
+    const fixturePath = this.fixturePath(symbol);
+    if (!(await fs.pathExists(fixturePath))) {
+      throw new ProviderError(`No fixture for ${symbol} at ${fixturePath}`, { provider: this.name, symbol });
+    }
+
+    const fixture = await fs.readJSON(fixturePath);
+    const bars = this.normalizeBars(fixture.bars || []);
+    if (bars.length === 0) {
+      return { symbol, bars };
+    }
+
+    // Apply the range relative to the last fixture bar so results do not drift with the wall clock
+    const lastTime = new Date(bars[bars.length - 1].time).getTime();
+    const cutoff = lastTime - rangeToDays(range) * 24 * 60 * 60 * 1000;
+
+    return { symbol, bars: bars.filter(bar => new Date(bar.time).getTime() > cutoff) };
+  }
+
+  async getOptionsChain(symbol, { expirations = 1 } = {}) {
+    const fixturePath = path.join(this.fixturesDir, 'options', `${symbol.replace(/^\^/, '')}.json`);
+    if (!(await fs.pathExists(fixturePath))) {
+      throw new ProviderError(`No options fixture for ${symbol} at ${fixturePath}`, { provider: this.name, symbol });
+    }
+
+    const fixture = await fs.readJSON(fixturePath);
+    const kept = [...new Set((fixture.contracts || []).map(contract => contract.expiration))].sort().slice(0, expirations);
+
+    return {
+      symbol,
+      as_of: fixture.as_of,
+      expirations: kept,
+      contracts: (fixture.contracts || []).filter(contract => kept.includes(contract.expiration))
+    };
+  }
+}
+
+export default FixtureProvider;
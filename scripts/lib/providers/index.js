@@ -0,0 +1,34 @@
+/**
+ * Market data provider registry
+ * Select a provider with `MARKET_DATA_PROVIDER=yahoo|stooq|fixture` (default: yahoo)
+ */
+
+import { YahooProvider } from './yahoo.js';
+import { StooqProvider } from './stooq.js';
+import { FixtureProvider } from './fixture.js';
+
+export { MarketDataProvider, ProviderError } from './base.js';
+
+const PROVIDERS = {
+  yahoo: YahooProvider,
+  stooq: StooqProvider,
+  fixture: FixtureProvider
+};
+
+export function createMarketDataProvider(config = {}) {
+  const name = (config.provider || process.env.MARKET_DATA_PROVIDER || 'yahoo').toLowerCase();
+  const Provider = PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown market data provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  return new Provider({
+    fixturesDir: config.fixturesDir || process.env.MARKET_DATA_FIXTURES,
+    http: config.http,
+    clock: config.clock,
+    ...config.options
+  });
+}
+
+export default createMarketDataProvider;
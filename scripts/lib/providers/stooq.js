@@ -0,0 +1,79 @@
+/**
+ * Stooq daily CSV provider
+ * Free end-of-day data used as a fallback when Yahoo is unavailable
+ */
+
+import { MarketDataProvider, ProviderError, rangeToDays } from './base.js';
+
+const STOOQ_CSV_URL = 'https://stooq.com/q/d/l/';
+
+export class StooqProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super('stooq', { host: new URL(STOOQ_CSV_URL).hostname, ...options });
+    this.timeout = options.timeout || 10000;
+    // Overrides for symbols whose Stooq ticker differs from the US listing
+    this.symbolMap = options.symbolMap || {};
+  }
+
+  toStooqSymbol(symbol) {
+    if (this.symbolMap[symbol]) return this.symbolMap[symbol];
+    // Indices keep their caret prefix on Stooq (^spx, ^vix), US listings get a .us suffix
+    return symbol.startsWith('^') ? symbol.toLowerCase() : `${symbol.toLowerCase()}.us`;
+  }
+
+  formatDate(date) {
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+  }
+
+  async getHistory(symbol, { range = '30d', interval = '1d' } = {}) {
+    if (interval !== '1d') {
+      throw new ProviderError(`Stooq provider only supports daily bars (requested ${interval})`, { provider: this.name, symbol });
+    }
+
+    const end = this.clock.now();
+    const start = new Date(end.getTime() - rangeToDays(range) * 24 * 60 * 60 * 1000);
+
+    const response = await this.http.get(STOOQ_CSV_URL, {
+      params: {
+        s: this.toStooqSymbol(symbol),
+        i: 'd',
+        d1: this.formatDate(start),
+        d2: this.formatDate(end)
+      },
+      timeout: this.timeout,
+      responseType: 'text'
+    });
+
+    return { symbol, bars: this.parseCSV(symbol, response.data) };
+  }
+
+  parseCSV(symbol, csv) {
+    const lines = String(csv || '').trim().split(/\r?\n/);
+    const header = lines.shift()?.toLowerCase().split(',') || [];
+
+    if (!header.includes('date') || !header.includes('close')) {
+      // Stooq answers unknown symbols with a plain "No data" body
+      throw new ProviderError(`No data available for ${symbol}`, { provider: this.name, symbol });
+    }
+
+    const column = name => header.indexOf(name);
+    const toNumber = value => (value === undefined || value === '' ? null : Number(value));
+
+    const bars = lines.map(line => {
+      const cells = line.split(',');
+      return {
+        // Stooq dates are exchange-local session dates; stamp them at the US close
+        time: new Date(`${cells[column('date')]}T21:00:00Z`).toISOString(),
+        open: toNumber(cells[column('open')]),
+        high: toNumber(cells[column('high')]),
+        low: toNumber(cells[column('low')]),
+        close: toNumber(cells[column('close')]),
+        volume: column('volume') >= 0 ? toNumber(cells[column('volume')]) : null
+      };
+    });
+
+    return this.normalizeBars(bars);
+  }
+}
+
+export default StooqProvider;
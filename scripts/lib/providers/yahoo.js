@@ -0,0 +1,140 @@
+/**
+ * Yahoo Finance chart API provider
+ *
+ * The options endpoint rejects requests without a session cookie and the
+ * matching crumb. fc.yahoo.com sets the cookie (on a 404 page) and getcrumb
+ * exchanges it for the crumb; both are fetched once per provider. Replays
+ * serve the recorded crumb, and cookies are never written to cassettes.
+ */
+
+import { MarketDataProvider, ProviderError } from './base.js';
+
+const YAHOO_CHART_URL = 'https://query1.finance.yahoo.com/v8/finance/chart';
+const YAHOO_OPTIONS_URL = 'https://query1.finance.yahoo.com/v7/finance/options';
+const YAHOO_COOKIE_URL = 'https://fc.yahoo.com';
+const YAHOO_CRUMB_URL = 'https://query1.finance.yahoo.com/v1/test/getcrumb';
+
+export class YahooProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super('yahoo', { host: new URL(YAHOO_CHART_URL).hostname, ...options });
+    this.timeout = options.timeout || 10000;
+    this.userAgent = options.userAgent || 'Mozilla/5.0 (compatible; SentimentTracker/3.0)';
+  }
+
+  async getHistory(symbol, { range = '30d', interval = '1d' } = {}) {
+    const response = await this.http.get(`${YAHOO_CHART_URL}/${encodeURIComponent(symbol)}`, {
+      params: { interval, range },
+      timeout: this.timeout,
+      headers: { 'User-Agent': this.userAgent }
+    });
+
+    return { symbol, bars: this.parseChart(symbol, response.data) };
+  }
+
+  parseChart(symbol, data) {
+    const result = data?.chart?.result?.[0];
+    if (!result) {
+      throw new ProviderError(`No data available for ${symbol}`, { provider: this.name, symbol });
+    }
+
+    const quote = result.indicators?.quote?.[0];
+    if (!quote?.close) {
+      throw new ProviderError(`No price data for ${symbol}`, { provider: this.name, symbol });
+    }
+
+    const timestamps = result.timestamp || [];
+    const bars = quote.close.map((close, i) => ({
+      time: timestamps[i] ? new Date(timestamps[i] * 1000).toISOString() : null,
+      open: quote.open?.[i] ?? null,
+      high: quote.high?.[i] ?? null,
+      low: quote.low?.[i] ?? null,
+      close,
+      volume: quote.volume?.[i] ?? null
+    }));
+
+    return this.normalizeBars(bars.filter(bar => bar.time !== null));
+  }
+
+  /**
+   * Session cookie and crumb for the options endpoint (shared by concurrent callers; a failure is retried on the next call)
+   * @returns {Promise<{cookie: string, crumb: string}>}
+   */
+  optionsSession() {
+    if (!this.optionsAuth) {
+      this.optionsAuth = this.fetchOptionsSession();
+      this.optionsAuth.catch(() => { this.optionsAuth = null; });
+    }
+    return this.optionsAuth;
+  }
+
+  async fetchOptionsSession() {
+    const landing = await this.http.get(YAHOO_COOKIE_URL, {
+      timeout: this.timeout,
+      headers: { 'User-Agent': this.userAgent },
+      responseType: 'text',
+      validateStatus: () => true
+    });
+    const cookie = (landing.headers?.['set-cookie'] || []).map(entry => entry.split(';')[0]).join('; ');
+
+    const response = await this.http.get(YAHOO_CRUMB_URL, {
+      timeout: this.timeout,
+      headers: { 'User-Agent': this.userAgent, ...(cookie ? { Cookie: cookie } : {}) },
+      responseType: 'text'
+    });
+    const crumb = typeof response.data === 'string' ? response.data.trim() : '';
+    if (!crumb || crumb.includes('<') || crumb.includes(' ')) {
+      throw new ProviderError('No crumb for the options endpoint', { provider: this.name });
+    }
+    return { cookie, crumb };
+  }
+
+  async getOptionsChain(symbol, { expirations = 1 } = {}) {
+    const { cookie, crumb } = await this.optionsSession();
+    const fetchExpiry = async date => {
+      const response = await this.http.get(`${YAHOO_OPTIONS_URL}/${encodeURIComponent(symbol)}`, {
+        params: date ? { date, crumb } : { crumb },
+        timeout: this.timeout,
+        headers: { 'User-Agent': this.userAgent, ...(cookie ? { Cookie: cookie } : {}) }
+      });
+      const result = response.data?.optionChain?.result?.[0];
+      if (!result) {
+        throw new ProviderError(`No options chain available for ${symbol}`, { provider: this.name, symbol });
+      }
+      return result;
+    };
+
+    // The first request returns the nearest expiry plus the list of all expiry dates
+    const first = await fetchExpiry(null);
+    const results = [first];
+    for (const date of (first.expirationDates || []).slice(1, expirations)) {
+      results.push(await fetchExpiry(date));
+    }
+
+    const contracts = results.flatMap(result => this.parseOptions(result.options?.[0]));
+    const marketTime = first.quote?.regularMarketTime;
+
+    return {
+      symbol,
+      as_of: marketTime ? new Date(marketTime * 1000).toISOString() : this.clock.iso(),
+      expirations: [...new Set(contracts.map(contract => contract.expiration))].sort(),
+      contracts
+    };
+  }
+
+  parseOptions(options) {
+    if (!options) return [];
+    const toContract = type => option => ({
+      type,
+      expiration: new Date((option.expiration ?? options.expirationDate) * 1000).toISOString().slice(0, 10),
+      strike: option.strike,
+      volume: option.volume ?? 0,
+      open_interest: option.openInterest ?? 0
+    });
+    return [
+      ...(options.calls || []).map(toContract('call')),
+      ...(options.puts || []).map(toContract('put'))
+    ];
+  }
+}
+
+export default YahooProvider;
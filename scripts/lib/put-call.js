@@ -0,0 +1,132 @@
+/**
+ * Put/Call Ratio
+ * Measures the ratio from listed options chains (total put volume over total
+ * call volume, and the same for open interest) and keeps the VIX/SPY proxy as
+ * the fallback when no chain is available.
+ *
+ * Every result carries `source: 'measured' | 'proxy'` so consumers can say
+ * which one they are showing.
+ */
+
+function ratio(puts, calls) {
+  return calls > 0 ? puts / calls : null;
+}
+
+function round(value, digits = 4) {
+  return value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+/**
+ * Total put/call volume and open interest for one chain
+ */
+export function summarizeOptionsChain(chain) {
+  const totals = { put_volume: 0, call_volume: 0, put_open_interest: 0, call_open_interest: 0 };
+  for (const contract of chain.contracts || []) {
+    totals[`${contract.type}_volume`] += contract.volume || 0;
+    totals[`${contract.type}_open_interest`] += contract.open_interest || 0;
+  }
+
+  return {
+    symbol: chain.symbol,
+    as_of: chain.as_of,
+    expirations: chain.expirations,
+    contracts: (chain.contracts || []).length,
+    ...totals,
+    volume_ratio: round(ratio(totals.put_volume, totals.call_volume)),
+    open_interest_ratio: round(ratio(totals.put_open_interest, totals.call_open_interest))
+  };
+}
+
+/**
+ * Volume- and open-interest-weighted put/call ratios across several underlyings.
+ * Summing contracts before dividing weights each symbol by its options activity.
+ * @returns {Promise<object|null>} null when no chain could be loaded
+ */
+export async function measurePutCallRatio(provider, { symbols, expirations }) {
+  const bySymbol = {};
+  const missing = [];
+
+  for (const symbol of symbols) {
+    try {
+      const chain = await provider.getOptionsChain(symbol, { expirations });
+      bySymbol[symbol] = summarizeOptionsChain(chain);
+    } catch (error) {
+      console.warn(`⚠️  No options chain for ${symbol}: ${error.message}`);
+      missing.push(symbol);
+    }
+  }
+
+  const summaries = Object.values(bySymbol);
+  if (summaries.length === 0) return null;
+
+  const sum = key => summaries.reduce((total, summary) => total + summary[key], 0);
+  const volumeRatio = ratio(sum('put_volume'), sum('call_volume'));
+  const openInterestRatio = ratio(sum('put_open_interest'), sum('call_open_interest'));
+
+  // Volume is zero before the open on some feeds; open interest is always populated
+  const basis = volumeRatio !== null ? 'volume' : 'open_interest';
+  const value = volumeRatio ?? openInterestRatio;
+  if (value === null) return null;
+
+  return {
+    source: 'measured',
+    provider: provider.name,
+    value: round(value, 2),
+    basis,
+    volume_ratio: round(volumeRatio),
+    open_interest_ratio: round(openInterestRatio),
+    symbols: Object.keys(bySymbol),
+    missing_symbols: missing,
+    by_symbol: bySymbol,
+    as_of: summaries.map(summary => summary.as_of).sort().pop()
+  };
+}
+
+/**
+ * Put/Call ratio proxy from the VIX level and SPY's daily move
+ * Used only when no options chain is available
+ */
+export function calculatePutCallProxy(vixLevel, spyChange) {
+  // Base ratio starts at market neutral (0.9 = slightly more calls than puts, typical bull market)
+  let value = 0.9;
+
+  // VIX adjustment (higher VIX = more fear = more puts)
+  if (vixLevel > 35) {
+    value += 0.4; // High fear = much more put activity
+  } else if (vixLevel > 25) {
+    value += 0.2; // Moderate fear = more puts
+  } else if (vixLevel < 15) {
+    value -= 0.1; // Low fear = fewer puts (more calls)
+  }
+
+  // Market movement adjustment (down days = more defensive puts)
+  if (spyChange < -2) {
+    value += 0.3; // Large down move = defensive put buying
+  } else if (spyChange < -0.5) {
+    value += 0.15; // Moderate down move = some put buying
+  } else if (spyChange > 1.5) {
+    value -= 0.1; // Strong up move = less put demand
+  }
+
+  // Ensure ratio stays within realistic bounds (0.4 to 2.0)
+  value = Math.max(0.4, Math.min(2.0, value));
+
+  return Math.round(value * 100) / 100; // Round to 2 decimal places
+}
+
+/**
+ * Measured ratio when any chain loads, otherwise the proxy
+ */
+export async function resolvePutCallRatio(provider, settings, { vixLevel, spyChange }) {
+  const measured = await measurePutCallRatio(provider, settings);
+  if (measured) return measured;
+
+  return {
+    source: 'proxy',
+    value: calculatePutCallProxy(vixLevel, spyChange),
+    basis: 'vix_spy_proxy',
+    inputs: { vix: vixLevel, spy_change: spyChange }
+  };
+}
+
+export default resolvePutCallRatio;
@@ -0,0 +1,139 @@
+/**
+ * Publish Quality Gate
+ * Checks every output file before it is written: shape and value ranges
+ * against its schema in schemas/, ticker coverage, and how many trading
+ * sessions have closed since the newest market data (a weekend or holiday
+ * does not make Friday's close stale), and how old a Fear & Greed reading
+ * carried forward from an earlier run may be. A file that fails is not written, so the dashboard keeps
+ * serving the last good one instead of rejecting a bad file and silently
+ * falling back to embedded or mock data.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateAgainstSchema } from './schema.js';
+import { loadMarketCalendar } from './market-calendar.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const SCHEMA_DIR = path.resolve(__dirname, '../../schemas');
+
+export const OUTPUT_SCHEMAS = {
+  'market-data': 'market-data.schema.json',
+  'enhanced-sentiment-data': 'enhanced-sentiment-data.schema.json',
+  'embedded-data': 'embedded-data.schema.json'
+};
+
+export class QualityGateError extends Error {
+  constructor(results) {
+    const failed = results.filter(result => !result.passed).map(result => result.file || result.kind);
+    super(`Quality gate failed for ${failed.join(', ')}; last good output kept`);
+    this.name = 'QualityGateError';
+    this.results = results;
+  }
+}
+
+const schemas = new Map();
+
+export function loadOutputSchema(kind) {
+  if (!OUTPUT_SCHEMAS[kind]) {
+    throw new Error(`No output schema for "${kind}" (expected one of: ${Object.keys(OUTPUT_SCHEMAS).join(', ')})`);
+  }
+  if (!schemas.has(kind)) {
+    schemas.set(kind, fs.readJSONSync(path.join(SCHEMA_DIR, OUTPUT_SCHEMAS[kind])));
+  }
+  return schemas.get(kind);
+}
+
+// Per-ticker maps and the market time each output's data belongs to
+const COVERAGE = {
+  'market-data': data => data.stocks,
+  'enhanced-sentiment-data': data => data.core_data,
+  'embedded-data': data => data.stocks
+};
+
+// Fear & Greed reading, which the market-data writer may carry forward from an earlier run
+const FEAR_GREED = {
+  'market-data': data => data.fearGreed,
+  'enhanced-sentiment-data': () => null,
+  'embedded-data': data => data.fearGreed
+};
+
+const MARKET_TIME = {
+  'market-data': data => data.stocks?.SPY?.as_of || data.timestamp,
+  'enhanced-sentiment-data': data => data.core_data?.SPY?.as_of || data.metadata?.timestamp,
+  'embedded-data': data => data.timestamp
+};
+
+/**
+ * @param {string} kind key of OUTPUT_SCHEMAS
+ * @param {object} data the output about to be written
+ * @param {object} options
+ * @param {object} options.settings quality_gate section of the sentiment config
+ * @param {number} options.now current time in ms (pipeline clock)
+ * @param {boolean} [options.checkStaleness] off for copies of an already published file
+ * @param {import('./market-calendar.js').TradingCalendar} [options.calendar]
+ * @returns {{kind: string, passed: boolean, errors: string[], coverage: object|null, age_hours: number|null,
+ *   missed_sessions: number|null}}
+ */
+export function checkOutput(kind, data, { settings, now, checkStaleness = true, calendar = loadMarketCalendar() }) {
+  const errors = validateAgainstSchema(data, loadOutputSchema(kind));
+
+  const tickers = COVERAGE[kind](data);
+  let coverage = null;
+  if (tickers && typeof tickers === 'object') {
+    const total = Object.keys(tickers).length;
+    const usable = Object.values(tickers).filter(entry => entry && !entry.error).length;
+    coverage = { usable, total, ratio: total ? usable / total : 0 };
+    if (coverage.ratio < settings.min_ticker_coverage) {
+      errors.push(`completeness: only ${usable}/${total} tickers have data (minimum ${Math.round(settings.min_ticker_coverage * 100)}%)`);
+    }
+  }
+
+  const completeness = data.sentiment_composite?.data_completeness;
+  if (typeof completeness === 'number' && completeness < settings.min_data_completeness) {
+    errors.push(`completeness: composite built from ${completeness}% of its components (minimum ${settings.min_data_completeness}%)`);
+  }
+
+  let ageHours = null;
+  let missedSessions = null;
+  const marketTime = Date.parse(MARKET_TIME[kind](data));
+  if (!Number.isNaN(marketTime)) {
+    ageHours = Math.round(((now - marketTime) / 3600000) * 10) / 10;
+    // Sessions that closed after the one the data belongs to
+    const dataSession = calendar.dateOf(marketTime);
+    missedSessions = calendar.sessionsBetween(dataSession, calendar.lastClosedSession(now)).length;
+    if (checkStaleness && missedSessions > settings.max_missed_sessions) {
+      errors.push(`staleness: ${missedSessions} sessions have closed since the newest market data (${dataSession}, maximum ${settings.max_missed_sessions})`);
+    }
+  } else if (checkStaleness) {
+    errors.push('staleness: no market data timestamp to check');
+  }
+
+  const fearGreed = FEAR_GREED[kind](data);
+  if (checkStaleness && fearGreed?.carried_forward) {
+    const carriedHours = Math.round(((now - Date.parse(fearGreed.timestamp)) / 3600000) * 10) / 10;
+    if (!(carriedHours <= settings.max_carried_forward_hours)) {
+      errors.push(`staleness: Fear & Greed carried forward from ${fearGreed.timestamp}, ${carriedHours}h old (maximum ${settings.max_carried_forward_hours}h)`);
+    }
+  }
+
+  return { kind, passed: errors.length === 0, errors, coverage, age_hours: ageHours, missed_sessions: missedSessions };
+}
+
+/**
+ * One line per checked file, failures followed by their problems
+ */
+export function formatGateReport(results) {
+  return results.map(result => {
+    const details = [
+      result.coverage ? `${result.coverage.usable}/${result.coverage.total} tickers` : null,
+      result.age_hours !== null ? `${result.age_hours}h old` : null,
+      result.missed_sessions ? `${result.missed_sessions} session${result.missed_sessions === 1 ? '' : 's'} behind` : null
+    ].filter(Boolean).join(', ');
+    const head = `  ${result.passed ? '✅' : '❌'} ${result.file || result.kind}${details ? ` (${details})` : ''}`;
+    return [head, ...result.errors.map(error => `     - ${error}`)].join('\n');
+  }).join('\n');
+}
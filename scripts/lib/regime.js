@@ -0,0 +1,89 @@
+/**
+ * Market Regime Engine
+ * Classifies each session from the composite score and VIX, but only changes
+ * regime when the old one's exit thresholds are crossed (hysteresis) and it has
+ * lasted a minimum number of sessions (dwell). Replaying the stored history
+ * through the engine gives every regime's start date and duration.
+ */
+
+export const DEFAULT_REGIME = 'NORMAL_MARKETS';
+
+const BOUNDS = {
+  score_below: (reading, limit) => reading.score < limit,
+  score_above: (reading, limit) => reading.score > limit,
+  vix_below: (reading, limit) => reading.vix !== null && reading.vix < limit,
+  vix_above: (reading, limit) => reading.vix !== null && reading.vix > limit
+};
+
+function within(reading, bounds) {
+  return Object.entries(bounds).every(([key, limit]) => BOUNDS[key](reading, limit));
+}
+
+/**
+ * Memoryless classification: the first regime (in config order) whose entry
+ * thresholds all hold, otherwise NORMAL_MARKETS
+ * @param {{score: number, vix: number|null}} reading
+ * @param {object} regimes regime section of the sentiment config (`regimes`)
+ */
+export function classifyRegime(reading, regimes) {
+  const match = Object.entries(regimes).find(([, { enter }]) => within(reading, enter));
+  return match ? match[0] : DEFAULT_REGIME;
+}
+
+/**
+ * Replay readings (oldest first) through the hysteresis rules
+ * @param {Array<{date: string, score: number, vix: number|null}>} readings
+ * @param {object} settings regime section of the sentiment config
+ * @returns {object|null} null without any reading
+ */
+export function runRegimeEngine(readings, { regimes, min_dwell_sessions: minDwell, history_limit: historyLimit }) {
+  if (readings.length === 0) return null;
+
+  const rank = regime => {
+    const index = Object.keys(regimes).indexOf(regime);
+    return index === -1 ? Infinity : index;
+  };
+
+  const periods = [];
+  let current = null;
+  let raw = null;
+
+  for (const reading of readings) {
+    raw = classifyRegime(reading, regimes);
+
+    if (!current) {
+      current = { regime: raw, start: reading.date, end: reading.date, sessions: 1 };
+      continue;
+    }
+
+    // A regime holds until its exit thresholds break; normal markets hold until anything else enters
+    const holds = current.regime === DEFAULT_REGIME
+      ? raw === DEFAULT_REGIME
+      : Boolean(regimes[current.regime]) && within(reading, regimes[current.regime].exit);
+    // A more severe regime may take over without the current one breaking first
+    const escalates = rank(raw) < rank(current.regime);
+
+    if (raw !== current.regime && (!holds || escalates) && current.sessions >= minDwell) {
+      periods.push(current);
+      current = { regime: raw, start: reading.date, end: reading.date, sessions: 1 };
+    } else {
+      current.end = reading.date;
+      current.sessions++;
+    }
+  }
+
+  periods.push(current);
+
+  return {
+    regime: current.regime,
+    since: current.start,
+    sessions: current.sessions,
+    raw_regime: raw,
+    // Where today's reading points when the engine is holding on to the current regime
+    pending: raw !== current.regime ? raw : null,
+    min_dwell_sessions: minDwell,
+    as_of: readings[readings.length - 1].date,
+    observations: readings.length,
+    history: periods.slice(-historyLimit)
+  };
+}
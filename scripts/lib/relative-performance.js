@@ -0,0 +1,67 @@
+/**
+ * Relative Performance
+ * Shared scoring for "A versus B" indicators (HYG vs LQD, growth vs value,
+ * emerging vs developed...): the return spread per horizon, mapped to 0-100
+ * where 50 means the two moved together.
+ */
+
+export const HORIZON_FIELDS = { '1d': 'change_1d', '7d': 'change_7d', '30d': 'change_30d' };
+
+/**
+ * Leader minus laggard performance (percentage points) per horizon
+ */
+export function relativePerformance(leader, laggard) {
+  const relative = {};
+  for (const [horizon, field] of Object.entries(HORIZON_FIELDS)) {
+    const a = leader?.[field];
+    const b = laggard?.[field];
+    relative[horizon] = typeof a === 'number' && typeof b === 'number' ? a - b : null;
+  }
+  return relative;
+}
+
+/**
+ * 0-100 score from the relative performance: 50 when both legs move together,
+ * each horizon adding `points_per_pct` for every point of outperformance
+ */
+export function scoreRelativePerformance(relative, horizons) {
+  let score = 0;
+  let weight = 0;
+  for (const [horizon, { weight: horizonWeight, points_per_pct: pointsPerPct }] of Object.entries(horizons)) {
+    if (relative[horizon] === null || relative[horizon] === undefined) continue;
+    score += horizonWeight * (50 + relative[horizon] * pointsPerPct);
+    weight += horizonWeight;
+  }
+  return weight > 0 ? Math.max(0, Math.min(100, score / weight)) : null;
+}
+
+/**
+ * Score several weighted leader/laggard pairs from core_data snapshots
+ * @returns {{pairs: Array, score: number|null}} score is null when no pair is usable
+ */
+export function scorePairs(coreData, pairs, horizons) {
+  const usable = symbol => (coreData[symbol] && !coreData[symbol].error ? coreData[symbol] : null);
+
+  const scored = pairs.map(({ leader, laggard, weight }) => {
+    const a = usable(leader);
+    const b = usable(laggard);
+    const relative = a && b ? relativePerformance(a, b) : null;
+    return {
+      leader,
+      laggard,
+      weight,
+      relative_performance: relative,
+      score: relative ? scoreRelativePerformance(relative, horizons) : null
+    };
+  });
+
+  const available = scored.filter(pair => pair.score !== null);
+  const totalWeight = available.reduce((total, pair) => total + pair.weight, 0);
+
+  return {
+    pairs: scored,
+    score: totalWeight > 0
+      ? available.reduce((total, pair) => total + pair.score * pair.weight, 0) / totalWeight
+      : null
+  };
+}
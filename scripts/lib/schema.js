@@ -0,0 +1,121 @@
+/**
+ * Minimal JSON Schema Validator
+ * Supports the draft-07 subset our schema files use: type, enum, const,
+ * required, properties, additionalProperties, items, minItems, maxItems,
+ * uniqueItems, minimum, maximum, exclusiveMinimum, exclusiveMaximum,
+ * minLength, pattern, anyOf and local $ref (#/definitions/...)
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported $ref (only local refs are supported): ${ref}`);
+  }
+  return ref
+    .slice(2)
+    .split('/')
+    .reduce((node, key) => {
+      if (!node || !(key in node)) throw new Error(`Unresolvable $ref: ${ref}`);
+      return node[key];
+    }, root);
+}
+
+function formatPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function validateNode(value, schema, path, root, errors) {
+  if (schema.$ref) {
+    validateNode(value, resolveRef(schema.$ref, root), path, root, errors);
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path}: must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some(option => {
+      const optionErrors = [];
+      validateNode(value, option, path, root, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matched) errors.push(`${path}: does not match any allowed shape`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) errors.push(`${path}: must be < ${schema.exclusiveMaximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: "${value}" does not match ${schema.pattern}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    if (schema.uniqueItems) {
+      const seen = new Set(value.map(item => JSON.stringify(item)));
+      if (seen.size !== value.length) errors.push(`${path}: items must be unique`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateNode(item, schema.items, `${path}[${i}]`, root, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}: missing required property "${key}"`);
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = formatPath(path, key);
+      if (properties[key]) {
+        validateNode(child, properties[key], childPath, root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property "${key}"`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateNode(child, schema.additionalProperties, childPath, root, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a value against a JSON schema
+ * Returns a list of problems; an empty list means the value is valid
+ */
+export function validateAgainstSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, '$', schema, errors);
+  return errors;
+}
@@ -0,0 +1,80 @@
+/**
+ * Sector Rotation
+ * Per-sector returns and relative strength against SPY, and whether
+ * defensive or cyclical sectors are leading. Cyclicals leading means investors
+ * are paying up for growth; defensives leading means they are hiding.
+ */
+
+import { SECTOR_ETFS } from './breadth.js';
+
+export const ROTATION_PERIODS = { '1d': 'change_1d', '7d': 'change_7d', '30d': 'change_30d' };
+
+function average(values) {
+  const usable = values.filter(value => typeof value === 'number');
+  return usable.length ? usable.reduce((a, b) => a + b, 0) / usable.length : null;
+}
+
+/**
+ * @param {object} coreData analyzer core_data snapshots (change_1d/7d/30d per ticker)
+ * @param {object} settings sector_rotation section of the sentiment config
+ * @returns {object|null} null when no sector or benchmark snapshot is usable
+ */
+export function analyzeSectorRotation(coreData, settings) {
+  const usable = symbol => (coreData[symbol] && !coreData[symbol].error ? coreData[symbol] : null);
+  const benchmark = usable(settings.benchmark);
+  if (!benchmark) return null;
+
+  const groupOf = symbol => {
+    if (settings.defensive.includes(symbol)) return 'defensive';
+    if (settings.cyclical.includes(symbol)) return 'cyclical';
+    return null;
+  };
+
+  const sectors = [];
+  for (const symbol of [...settings.defensive, ...settings.cyclical]) {
+    const data = usable(symbol);
+    if (!data) continue;
+    const returns = {};
+    const relativeStrength = {};
+    for (const [period, field] of Object.entries(ROTATION_PERIODS)) {
+      returns[period] = data[field];
+      relativeStrength[period] = data[field] - benchmark[field];
+    }
+    sectors.push({ symbol, name: SECTOR_ETFS[symbol] || symbol, group: groupOf(symbol), price: data.price, returns, relative_strength: relativeStrength });
+  }
+  if (sectors.length === 0) return null;
+
+  const groupReturn = (group, period) => average(sectors.filter(sector => sector.group === group).map(sector => sector.returns[period]));
+
+  // Weighted cyclical-minus-defensive spread: 50 = no leadership, above 50 = cyclicals lead
+  const spread = {};
+  let score = 0;
+  let weight = 0;
+  for (const [period, { weight: periodWeight, points_per_pct: pointsPerPct }] of Object.entries(settings.horizons)) {
+    const cyclical = groupReturn('cyclical', period);
+    const defensive = groupReturn('defensive', period);
+    spread[period] = cyclical === null || defensive === null ? null : cyclical - defensive;
+    if (spread[period] === null) continue;
+    score += periodWeight * (50 + spread[period] * pointsPerPct);
+    weight += periodWeight;
+  }
+  const leadershipScore = weight > 0 ? Math.max(0, Math.min(100, score / weight)) : null;
+
+  let leader = 'balanced';
+  if (leadershipScore !== null && leadershipScore >= 60) leader = 'cyclical';
+  else if (leadershipScore !== null && leadershipScore <= 40) leader = 'defensive';
+
+  return {
+    benchmark: settings.benchmark,
+    benchmark_returns: Object.fromEntries(Object.entries(ROTATION_PERIODS).map(([period, field]) => [period, benchmark[field]])),
+    periods: Object.keys(ROTATION_PERIODS),
+    sectors,
+    leadership: {
+      cyclical_return: Object.fromEntries(Object.keys(ROTATION_PERIODS).map(period => [period, groupReturn('cyclical', period)])),
+      defensive_return: Object.fromEntries(Object.keys(ROTATION_PERIODS).map(period => [period, groupReturn('defensive', period)])),
+      spread,
+      leadership_score: leadershipScore,
+      leader
+    }
+  };
+}
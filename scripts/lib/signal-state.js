@@ -0,0 +1,131 @@
+/**
+ * Primary Signal State
+ * Debounces the BUY/HOLD/SELL signal and records why it changed. Replaying the
+ * stored readings gives the current signal, when it started, the one before
+ * it, and one event per change. Changes are held back until the previous
+ * signal has lasted `cooldown_sessions` and the score sits `boundary_buffer`
+ * points inside the new signal's band, so a score wobbling around a cutoff
+ * does not flip the signal every session.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+
+export const SIGNAL_EVENT_TYPE = 'signal_change';
+export const SIGNAL_EVENT_LOG = 'signal-events.jsonl';
+
+/**
+ * Component whose weighted score moved furthest in the direction of the score change
+ * @returns {{component: string, from: number, to: number, contribution: number}|null}
+ */
+export function findSignalDriver(before, after, weights) {
+  const direction = Math.sign(after.score - before.score);
+  let driver = null;
+
+  for (const [component, to] of Object.entries(after.components || {})) {
+    const from = before.components?.[component];
+    if (typeof from !== 'number' || typeof to !== 'number' || !weights[component]) continue;
+    // Contribution to the weighted composite, signed so a positive value pushed the score the way it moved
+    const contribution = (to - from) * weights[component] * (direction || 1);
+    if (!driver || contribution > driver.contribution) {
+      driver = { component, from, to, contribution: Math.round(contribution * 100) / 100 };
+    }
+  }
+
+  return driver && driver.contribution > 0 ? driver : null;
+}
+
+/**
+ * @param {Array<{date: string, score: number, components?: object}>} readings oldest first
+ * @param {object} options
+ * @param {(score: number) => string} options.signalFor maps a composite score to a primary signal action
+ * @param {object} options.weights composite weights keyed like the stored components
+ * @param {number} options.cooldown_sessions
+ * @param {number} options.boundary_buffer
+ * @returns {{state: object, events: object[]}|null} null without any reading; a held state
+ *   says why in `hold_reason` ('cooldown' or 'boundary_buffer')
+ */
+export function trackSignalState(readings, { signalFor, weights, cooldown_sessions: cooldown, boundary_buffer: buffer }) {
+  if (readings.length === 0) return null;
+
+  const events = [];
+  let current = null;
+  let previous = null;
+  let raw = null;
+  let holdReason = null;
+
+  for (const reading of readings) {
+    raw = signalFor(reading.score);
+
+    if (!current) {
+      current = { action: raw, since: reading.date, sessions: 1, entry: reading };
+      continue;
+    }
+
+    // Clear of the cutoff on both sides of the buffer, i.e. not just grazing the band
+    const clear = signalFor(reading.score - buffer) === raw && signalFor(reading.score + buffer) === raw;
+
+    holdReason = null;
+    if (raw !== current.action && clear && current.sessions >= cooldown) {
+      events.push({
+        id: `${reading.date}:${current.action}->${raw}`,
+        type: SIGNAL_EVENT_TYPE,
+        date: reading.date,
+        from: current.action,
+        to: raw,
+        score: reading.score,
+        previous_score: current.entry.score,
+        held_sessions: current.sessions,
+        driver: findSignalDriver(current.entry, reading, weights)
+      });
+      previous = { action: current.action, since: current.since, until: reading.date, sessions: current.sessions };
+      current = { action: raw, since: reading.date, sessions: 1, entry: reading };
+    } else {
+      if (raw !== current.action) holdReason = current.sessions < cooldown ? 'cooldown' : 'boundary_buffer';
+      current.sessions++;
+    }
+  }
+
+  return {
+    state: {
+      action: current.action,
+      raw_action: raw,
+      since: current.since,
+      sessions: current.sessions,
+      held: raw !== current.action,
+      // What kept the raw signal back: the cooldown (checked first) or the score still within the boundary buffer
+      hold_reason: holdReason,
+      cooldown_remaining: Math.max(0, cooldown - current.sessions),
+      previous,
+      last_change: events[events.length - 1] || null
+    },
+    events
+  };
+}
+
+/**
+ * Append events not yet in the JSON Lines log (matched by id), so each change is
+ * emitted once however often the history is replayed. Each line is stamped with
+ * the config version that produced it.
+ * @param {object} options
+ * @param {object} options.clock
+ * @param {string|null} options.configVersion
+ * @returns {Promise<object[]>} the newly emitted events
+ */
+export async function appendSignalEvents(logPath, events, { clock, configVersion }) {
+  const emitted = new Set();
+  if (await fs.pathExists(logPath)) {
+    for (const line of (await fs.readFile(logPath, 'utf8')).split('\n')) {
+      if (line.trim()) emitted.add(JSON.parse(line).id);
+    }
+  }
+
+  const fresh = events
+    .filter(event => !emitted.has(event.id))
+    .map(event => ({ ...event, config_version: configVersion ?? null, emitted_at: clock.iso() }));
+  if (fresh.length > 0) {
+    await fs.ensureDir(path.dirname(logPath));
+    await fs.appendFile(logPath, fresh.map(event => JSON.stringify(event)).join('\n') + '\n');
+  }
+  return fresh;
+}
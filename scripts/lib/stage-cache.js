@@ -0,0 +1,231 @@
+/**
+ * Stage Cache
+ * On-disk cache for live enhanced runs, one directory per market date under
+ * .cache/stages/. Two layers:
+ *   raw/     provider and index responses, reused for `raw_ttl_minutes`
+ *   stages/  each stage's output, keyed by a hash of its inputs (config
+ *            sections, earlier results, stored history) and its code version,
+ *            with the digest of every raw response it read
+ * A rerun reuses a stage while its key matches and its raw responses are still
+ * fresh and unchanged, so changing a weight recomputes the composite and what
+ * follows it without downloading anything. A stage that saw a failed fetch is
+ * never stored, so the failure is retried on the next run.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const STAGE_CACHE_DIR = path.resolve(__dirname, '../../.cache/stages');
+export const STAGE_CACHE_MODES = ['on', 'off', 'refresh'];
+
+// Bump when the entry layout changes so old entries are never read as new ones
+const ENTRY_VERSION = 1;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * JSON with sorted keys, so equal values always serialize the same way.
+ * `timestamp` fields are skipped: when a stage ran is not an input to the next one.
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item ?? null)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => key !== 'timestamp' && value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+export function hashValue(value) {
+  const text = typeof value === 'string' ? value : stableStringify(value);
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 24);
+}
+
+// Missing or unreadable entries are misses
+function readEntry(file) {
+  return fs.readJSON(file).catch(() => null);
+}
+
+async function writeEntry(file, entry) {
+  await fs.ensureDir(path.dirname(file));
+  const temp = `${file}.${process.pid}.tmp`;
+  await fs.writeJSON(temp, entry);
+  await fs.rename(temp, file);
+}
+
+// Per-item stages (`ticker_metrics:SPY`) are listed once with a count
+function collapseStageNames(names) {
+  const counts = new Map();
+  for (const name of names) {
+    const group = name.split(':')[0];
+    counts.set(group, (counts.get(group) || 0) + 1);
+  }
+  return [...counts].map(([group, count]) => (count > 1 || !names.includes(group) ? `${group} (${count})` : group));
+}
+
+export class StageCache {
+  /**
+   * @param {object} settings stage_cache section of the sentiment config
+   * @param {object} options
+   * @param {string} options.date market date (YYYY-MM-DD) the entries belong to
+   * @param {string} [options.mode] on | off | refresh (recompute everything and overwrite the entries)
+   * @param {string} [options.dir]
+   * @param {() => number} [options.now] wall-clock milliseconds for raw response ages
+   *   (real time even when the pipeline clock is frozen)
+   */
+  constructor(settings, { date, mode = settings.enabled ? 'on' : 'off', dir = STAGE_CACHE_DIR, now = Date.now }) {
+    if (!STAGE_CACHE_MODES.includes(mode)) {
+      throw new Error(`Unknown stage cache mode "${mode}" (expected one of: ${STAGE_CACHE_MODES.join(', ')})`);
+    }
+    this.settings = settings;
+    this.mode = mode;
+    this.enabled = mode !== 'off';
+    this.date = date;
+    this.dir = dir;
+    this.dayDir = path.join(dir, date);
+    this.now = now;
+    // Raw responses a stage reads, tracked per stage (stages nest: per-ticker metrics run inside core data)
+    this.tracker = new AsyncLocalStorage();
+    // Raw keys fetched by this run, which a refresh run may reuse
+    this.fetchedThisRun = new Set();
+    this.stats = { hit: [], recomputed: [], uncached: [], raw_reused: 0, raw_fetched: 0 };
+  }
+
+  rawPath(key) {
+    return path.join(this.dayDir, 'raw', `${hashValue(key)}.json`);
+  }
+
+  stagePath(name) {
+    return path.join(this.dayDir, 'stages', `${name.replace(/[^\w.-]/g, '_')}.json`);
+  }
+
+  isFresh(entry) {
+    return this.now() - entry.fetched_at <= this.settings.raw_ttl_minutes * 60000;
+  }
+
+  /**
+   * A fetched response, reused from disk while fresh
+   * @param {string} key identifies the request (provider, symbol, options)
+   * @param {() => Promise<any>} fetch
+   */
+  async raw(key, fetch) {
+    if (!this.enabled) return fetch();
+
+    const scope = this.tracker.getStore();
+    const file = this.rawPath(key);
+    let entry = this.mode === 'refresh' && !this.fetchedThisRun.has(key) ? null : await readEntry(file);
+
+    if (entry?.key === key && this.isFresh(entry)) {
+      this.stats.raw_reused++;
+    } else {
+      let value;
+      try {
+        value = await fetch();
+      } catch (error) {
+        if (scope) scope.failed = true;
+        throw error;
+      }
+      entry = { key, fetched_at: this.now(), digest: hashValue(value), value };
+      await writeEntry(file, entry);
+      this.fetchedThisRun.add(key);
+      this.stats.raw_fetched++;
+    }
+
+    scope?.deps.set(key, entry.digest);
+    return entry.value;
+  }
+
+  /**
+   * Every raw response a stored stage read is still on disk, fresh and unchanged
+   */
+  async depsFresh(deps) {
+    for (const [key, digest] of Object.entries(deps)) {
+      const entry = await readEntry(this.rawPath(key));
+      if (!entry || entry.key !== key || entry.digest !== digest || !this.isFresh(entry)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * A stage's output, reused when its inputs, code version and raw responses match the stored entry
+   * @param {string} name
+   * @param {object} key
+   * @param {object} key.inputs everything the stage reads besides raw responses
+   * @param {string} key.version hash of the code the stage runs
+   * @param {() => Promise<any>} compute must return plain JSON data
+   */
+  async stage(name, { inputs, version }, compute) {
+    if (!this.enabled) return compute();
+
+    const parent = this.tracker.getStore();
+    const key = hashValue({ entry: ENTRY_VERSION, name, date: this.date, version, inputs });
+    const file = this.stagePath(name);
+    const stored = this.mode === 'refresh' ? null : await readEntry(file);
+
+    if (stored?.key === key && await this.depsFresh(stored.deps)) {
+      for (const [dep, digest] of Object.entries(stored.deps)) parent?.deps.set(dep, digest);
+      this.stats.hit.push(name);
+      return stored.output;
+    }
+
+    const scope = { deps: new Map(), failed: false };
+    try {
+      const output = await this.tracker.run(scope, compute);
+      if (scope.failed) {
+        this.stats.uncached.push(name);
+      } else {
+        await writeEntry(file, { key, deps: Object.fromEntries(scope.deps), output });
+        this.stats.recomputed.push(name);
+      }
+      return output;
+    } finally {
+      // The enclosing stage depends on whatever this one read
+      if (parent) {
+        for (const [dep, digest] of scope.deps) parent.deps.set(dep, digest);
+        if (scope.failed) parent.failed = true;
+      }
+    }
+  }
+
+  /**
+   * Remove the directories of market dates older than `retention_days`
+   */
+  async prune() {
+    if (!this.enabled || !(await fs.pathExists(this.dir))) return [];
+
+    const cutoff = new Date(`${this.date}T00:00:00Z`);
+    cutoff.setUTCDate(cutoff.getUTCDate() - this.settings.retention_days);
+    const oldest = cutoff.toISOString().slice(0, 10);
+
+    const removed = [];
+    for (const name of await fs.readdir(this.dir)) {
+      if (DATE_PATTERN.test(name) && name < oldest) {
+        await fs.remove(path.join(this.dir, name));
+        removed.push(name);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Stages reused, recomputed and left uncached (after a failed fetch), plus raw response reuse
+   */
+  summary() {
+    return {
+      mode: this.mode,
+      date: this.date,
+      hits: this.stats.hit.length,
+      recomputed: collapseStageNames(this.stats.recomputed),
+      uncached: collapseStageNames(this.stats.uncached),
+      raw_reused: this.stats.raw_reused,
+      raw_fetched: this.stats.raw_fetched
+    };
+  }
+}
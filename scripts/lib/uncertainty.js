@@ -0,0 +1,107 @@
+/**
+ * Composite Score Uncertainty
+ * Bootstrap confidence interval for the weighted composite. Each resample
+ * redraws the component weights (Bayesian bootstrap: every weight scaled by an
+ * exponential draw) and nudges every component by a day-over-day move drawn
+ * from its own recent history, then recomputes the composite. The spread of
+ * the resampled composites is the band published next to the score.
+ *
+ * The random generator is seeded, so a given session and config always
+ * produce the same band.
+ */
+
+/**
+ * 32-bit FNV-1a hash, used to turn a session key into a seed
+ */
+export function seedFromString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Mulberry32: small, fast, seedable generator returning floats in [0, 1)
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Session-to-session changes of each component across consecutive readings
+ * @param {Array<object>} history component maps, oldest first
+ */
+export function componentMoves(history) {
+  const moves = {};
+  for (let i = 1; i < history.length; i++) {
+    for (const [component, value] of Object.entries(history[i])) {
+      const previous = history[i - 1][component];
+      if (typeof value !== 'number' || typeof previous !== 'number') continue;
+      (moves[component] ||= []).push(value - previous);
+    }
+  }
+  return moves;
+}
+
+/**
+ * @param {object} options
+ * @param {Object<string, number>} options.components today's component scores
+ * @param {Object<string, number>} options.weights composite weights keyed by component
+ * @param {Array<object>} options.history recent component maps, oldest first
+ * @param {number} options.resamples
+ * @param {number} options.level two-sided confidence level, e.g. 0.8
+ * @param {number} options.seed
+ * @returns {object|null} null when no weighted component is available
+ */
+export function bootstrapCompositeInterval({ components, weights, history, resamples, level, seed }) {
+  const keys = Object.keys(components).filter(key => typeof components[key] === 'number' && weights[key] > 0);
+  if (keys.length === 0) return null;
+
+  const moves = componentMoves(history);
+  const random = createRng(seed);
+  const scores = [];
+
+  for (let r = 0; r < resamples; r++) {
+    let weighted = 0;
+    let total = 0;
+    for (const key of keys) {
+      const weight = weights[key] * -Math.log(1 - random());
+      const keyMoves = moves[key];
+      const move = keyMoves?.length ? keyMoves[Math.floor(random() * keyMoves.length)] : 0;
+      weighted += weight * Math.max(0, Math.min(100, components[key] + move));
+      total += weight;
+    }
+    scores.push(total > 0 ? weighted / total : 50);
+  }
+
+  scores.sort((a, b) => a - b);
+  const mean = scores.reduce((a, b) => a + b, 0) / scores.length;
+  const variance = scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) / (scores.length - 1 || 1);
+  const round = value => Math.round(value * 10) / 10;
+
+  return {
+    method: 'bootstrap',
+    level,
+    low: round(quantile(scores, (1 - level) / 2)),
+    high: round(quantile(scores, 1 - (1 - level) / 2)),
+    standard_error: round(Math.sqrt(variance)),
+    resamples,
+    seed
+  };
+}
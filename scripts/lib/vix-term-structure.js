@@ -0,0 +1,78 @@
+/**
+ * VIX Term Structure
+ * Builds the implied-volatility curve from the CBOE VIX family and turns its
+ * shape into a stress reading. In calm markets the curve slopes upward
+ * (contango); when near-dated fear spikes it inverts (backwardation).
+ */
+
+export const VIX_CURVE_TENORS = [
+  { symbol: '^VIX9D', tenor: '9D', days: 9 },
+  { symbol: '^VIX', tenor: '1M', days: 30 },
+  { symbol: '^VIX3M', tenor: '3M', days: 93 },
+  { symbol: '^VIX6M', tenor: '6M', days: 182 }
+];
+
+export const VIX_CURVE_SYMBOLS = VIX_CURVE_TENORS.map(point => point.symbol);
+
+/**
+ * Front-month stress ratio: VIX / VIX3M (above 1 means the front of the curve is inverted)
+ */
+export function frontRatio(levels) {
+  const vix = levels['^VIX'];
+  const vix3m = levels['^VIX3M'];
+  if (typeof vix !== 'number' || typeof vix3m !== 'number' || vix3m === 0) return null;
+  return vix / vix3m;
+}
+
+/**
+ * Analyze one curve snapshot
+ * @param {Object<string, number|null>} levels index level per VIX symbol
+ * @param {{calm_ratio: number, panic_ratio: number, inversion_penalty: number}} settings
+ * @returns {object|null} null when fewer than two tenors are available
+ */
+export function analyzeVixCurve(levels, settings) {
+  const points = VIX_CURVE_TENORS
+    .map(({ symbol, tenor, days }) => ({ symbol, tenor, days, level: levels[symbol] ?? null }))
+    .filter(point => typeof point.level === 'number' && Number.isFinite(point.level));
+
+  if (points.length < 2) return null;
+
+  // Adjacent pairs where the shorter tenor prices more volatility than the longer one
+  const inversions = [];
+  for (let i = 1; i < points.length; i++) {
+    if (points[i - 1].level > points[i].level) {
+      inversions.push(`${points[i - 1].tenor}>${points[i].tenor}`);
+    }
+  }
+
+  const shortEnd = points[0];
+  const longEnd = points[points.length - 1];
+  const slopePct = ((longEnd.level - shortEnd.level) / shortEnd.level) * 100;
+
+  let shape = 'mixed';
+  if (inversions.length === 0) shape = 'contango';
+  else if (inversions.length === points.length - 1) shape = 'backwardation';
+
+  // Stress: 0 at a steep curve (calm_ratio), 100 at deep inversion (panic_ratio),
+  // plus a penalty for every inverted pair along the rest of the curve
+  const ratio = frontRatio(levels);
+  let stressScore = null;
+  if (ratio !== null) {
+    const span = settings.panic_ratio - settings.calm_ratio;
+    const ratioStress = ((ratio - settings.calm_ratio) / span) * 100;
+    stressScore = Math.max(0, Math.min(100, ratioStress + inversions.length * settings.inversion_penalty));
+  }
+
+  return {
+    points,
+    shape,
+    slope_pct: slopePct,
+    front_ratio: ratio,
+    inversions,
+    inverted: inversions.length > 0,
+    front_inverted: ratio !== null && ratio > 1,
+    stress_score: stressScore,
+    // Same orientation as the other composite components: 100 = calm/greed, 0 = stress/fear
+    term_structure_score: stressScore === null ? null : 100 - stressScore
+  };
+}
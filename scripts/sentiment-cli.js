@@ -0,0 +1,376 @@
+#!/usr/bin/env node
+
+/**
+ * Sentiment Pipeline CLI
+ * One entry point for running and debugging the pipeline a stage at a time.
+ *
+ * Usage: node scripts/sentiment-cli.js <command> [options] [--json]
+ *
+ *   fetch     [--raw <dir>]                       record every raw response the stages need (nothing is published)
+ *   compute   [--raw <dir>] [--output <dir>] [--normalization <m>]
+ *                                                 run the stages from recorded raw data only and publish
+ *   backfill  [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--dry-run]
+ *                                                 seed the history store from committed outputs
+ *   validate  [--output <dir>] [--no-staleness]   check the config and gate whichever outputs are published
+ *   report    [--output <dir>]                    summarize the published composite, signal and regime
+ *   inspect <ticker> [--range <r>] [--replay] [--raw <dir>]
+ *                                                 fetch one ticker and show its metrics and price levels
+ *
+ * `--raw` defaults to scripts/fixtures/cassettes and `--output` to public/data.
+ * With `--json`, progress goes to stderr and stdout carries a single JSON object.
+ *
+ * Exit codes:
+ *   0  ok
+ *   1  unexpected failure
+ *   2  bad usage
+ *   3  quality gate failed
+ *   4  data unavailable (fetch failures, missing raw data or outputs)
+ *   5  invalid config
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { DEFAULT_OUTPUT_DIR, EnhancedSentimentAnalyzer, createPipelineContext } from './enhanced-sentiment-fetch.js';
+import reconstructHistoryFromGit from './backfill-history.js';
+import { ConfigError, loadSentimentConfig } from './lib/config.js';
+import { DEFAULT_CASSETTE_DIR } from './lib/http-client.js';
+import { loadMarketCalendar } from './lib/market-calendar.js';
+import { QualityGateError, checkOutput, formatGateReport } from './lib/quality-gate.js';
+import { analyzePriceLevels } from './lib/price-levels.js';
+
+const EXIT_CODES = {
+  ok: 0,
+  failure: 1,
+  usage: 2,
+  gate: 3,
+  unavailable: 4,
+  config: 5
+};
+
+const PUBLISHED_OUTPUTS = {
+  'enhanced-sentiment-data': 'enhanced-sentiment-data.json',
+  'market-data': 'market-data.json'
+};
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+class DataUnavailableError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'DataUnavailableError';
+    this.details = details;
+  }
+}
+
+/**
+ * Flags each command accepts: true takes a value, false is a switch
+ */
+const COMMAND_FLAGS = {
+  fetch: { raw: true },
+  compute: { raw: true, output: true, normalization: true },
+  backfill: { from: true, to: true, 'dry-run': false },
+  validate: { output: true, 'no-staleness': false },
+  report: { output: true },
+  inspect: { range: true, replay: false, raw: true }
+};
+
+function parseCommandArgs(command, argv) {
+  const flags = COMMAND_FLAGS[command];
+  const options = { json: false, positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      options.json = true;
+    } else if (arg.startsWith('--')) {
+      const name = arg.slice(2);
+      if (!(name in flags)) throw new UsageError(`Unknown option ${arg} for ${command}`);
+      if (flags[name]) {
+        if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) throw new UsageError(`${arg} needs a value`);
+        options[name] = argv[++i];
+      } else {
+        options[name] = true;
+      }
+    } else {
+      options.positional.push(arg);
+    }
+  }
+  return options;
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function checkDate(name, value) {
+  if (value !== undefined && !DATE_PATTERN.test(value)) {
+    throw new UsageError(`--${name} must be YYYY-MM-DD, got "${value}"`);
+  }
+  return value ?? null;
+}
+
+async function readOutput(outputDir, kind) {
+  const file = path.join(outputDir, PUBLISHED_OUTPUTS[kind]);
+  if (!(await fs.pathExists(file))) {
+    throw new DataUnavailableError(`No ${PUBLISHED_OUTPUTS[kind]} in ${outputDir}`);
+  }
+  return fs.readJSON(file);
+}
+
+/**
+ * Record mode: the stages decide which requests they need, so the whole
+ * pipeline runs, but nothing is written outside the raw directory
+ */
+async function fetchCommand(options) {
+  const context = await createPipelineContext({ mode: 'record', cassetteDir: options.raw });
+  const analyzer = new EnhancedSentimentAnalyzer(context);
+  const results = await analyzer.executeSentimentPipeline({ publish: false });
+  const summary = analyzer.fetcher.summary();
+
+  const failed = summary.failed.length + summary.skipped.length;
+  console.log(`📼 Recorded ${context.http.stats.recorded} responses to ${context.http.cassetteDir}`);
+  return {
+    exitCode: failed > 0 ? EXIT_CODES.unavailable : EXIT_CODES.ok,
+    output: {
+      raw_dir: context.http.cassetteDir,
+      recorded_at: results.metadata.timestamp,
+      http: context.http.stats,
+      fetch_summary: summary
+    }
+  };
+}
+
+/**
+ * Replay mode: any request without a recorded response is a miss, never a live call
+ */
+async function computeCommand(options) {
+  const rawDir = path.resolve(options.raw || DEFAULT_CASSETTE_DIR);
+  if (!(await fs.pathExists(path.join(rawDir, 'session.json')))) {
+    throw new DataUnavailableError(`No recorded raw data in ${rawDir}; run \`fetch\` first`);
+  }
+
+  const outputDir = path.resolve(options.output || DEFAULT_OUTPUT_DIR);
+  const context = await createPipelineContext({ mode: 'replay', cassetteDir: rawDir, outputDir });
+  const analyzer = new EnhancedSentimentAnalyzer({ ...context, normalization: options.normalization });
+  const results = await analyzer.executeSentimentPipeline();
+
+  const { misses } = context.http.stats;
+  if (misses > 0) console.warn(`⚠️  ${misses} requests had no recorded response`);
+  return {
+    exitCode: misses > 0 ? EXIT_CODES.unavailable : EXIT_CODES.ok,
+    output: {
+      raw_dir: rawDir,
+      output_dir: outputDir,
+      composite_score: results.sentiment_composite.composite_score ?? null,
+      classification: results.sentiment_composite.classification ?? null,
+      signal: results.actionable_signals.primary_signal?.action ?? null,
+      http: context.http.stats,
+      fetch_summary: results.metadata.fetch_summary
+    }
+  };
+}
+
+async function backfillCommand(options) {
+  const from = checkDate('from', options.from);
+  const to = checkDate('to', options.to);
+  if (from && to && from > to) throw new UsageError('--from is after --to');
+
+  const { series, summary } = await reconstructHistoryFromGit({ from, to, dryRun: Boolean(options['dry-run']) });
+  return {
+    exitCode: summary.snapshots_valid > 0 ? EXIT_CODES.ok : EXIT_CODES.unavailable,
+    output: {
+      dry_run: Boolean(options['dry-run']),
+      first_date: series[0]?.date ?? null,
+      last_date: series[series.length - 1]?.date ?? null,
+      ...summary
+    }
+  };
+}
+
+async function validateCommand(options) {
+  const config = loadSentimentConfig();
+  console.log(`✅ Sentiment config ${config.config_version} is valid`);
+  const calendar = loadMarketCalendar();
+  const now = Date.now();
+  const market = calendar.status(now);
+  console.log(`📅 Market ${market.state.replace('_', '-')}${market.holiday ? ` (${market.holiday})` : ''}, last close ${market.last_session}`);
+
+  // Each pipeline publishes its own files (the scheduled workflow runs only simple-fetch.js),
+  // so gate the outputs that exist and fail only when there are none
+  const outputDir = path.resolve(options.output || DEFAULT_OUTPUT_DIR);
+  const results = [];
+  const skipped = [];
+  for (const kind of Object.keys(PUBLISHED_OUTPUTS)) {
+    if (!(await fs.pathExists(path.join(outputDir, PUBLISHED_OUTPUTS[kind])))) {
+      skipped.push(PUBLISHED_OUTPUTS[kind]);
+      continue;
+    }
+    const data = await readOutput(outputDir, kind);
+    results.push({
+      file: PUBLISHED_OUTPUTS[kind],
+      ...checkOutput(kind, data, { settings: config.quality_gate, now, checkStaleness: !options['no-staleness'], calendar })
+    });
+  }
+  if (results.length === 0) {
+    throw new DataUnavailableError(`No published outputs in ${outputDir} (looked for ${skipped.join(', ')})`);
+  }
+  console.log(`🚦 Quality gate (${outputDir}):\n${formatGateReport(results)}`);
+  for (const file of skipped) console.log(`⏭️  ${file} not published; skipped`);
+
+  const passed = results.every(result => result.passed);
+  return {
+    exitCode: passed ? EXIT_CODES.ok : EXIT_CODES.gate,
+    output: { config_version: config.config_version, market, output_dir: outputDir, passed, results, skipped }
+  };
+}
+
+async function reportCommand(options) {
+  const outputDir = path.resolve(options.output || DEFAULT_OUTPUT_DIR);
+  const enhanced = await readOutput(outputDir, 'enhanced-sentiment-data');
+  const marketData = await readOutput(outputDir, 'market-data');
+
+  const composite = enhanced.sentiment_composite || {};
+  const signals = enhanced.actionable_signals || {};
+  const attribution = enhanced.composite_attribution || {};
+  const report = {
+    output_dir: outputDir,
+    timestamp: enhanced.metadata?.timestamp ?? null,
+    config_version: enhanced.metadata?.config_version ?? null,
+    composite: {
+      score: composite.composite_score ?? null,
+      classification: composite.classification ?? null,
+      interval: composite.confidence_interval
+        ? { low: composite.confidence_interval.low, high: composite.confidence_interval.high, borderline: composite.confidence_interval.borderline }
+        : null,
+      data_completeness: composite.data_completeness ?? null,
+      delta: attribution.delta ?? null
+    },
+    signal: {
+      action: signals.primary_signal?.action ?? null,
+      since: signals.signal_state?.since ?? null,
+      held: signals.signal_state?.held ?? false,
+      confidence: signals.confidence_level ?? null,
+      risk_level: signals.risk_level ?? null
+    },
+    regime: {
+      name: signals.regime?.regime ?? signals.market_regime ?? null,
+      since: signals.regime?.since ?? null
+    },
+    top_pulls: (attribution.contributions || []).slice(0, 3).map(({ component, label, score, pull }) => ({ component, label, score, pull })),
+    what_changed: attribution.what_changed || [],
+    market_data: {
+      producer: marketData.producer ?? null,
+      contract_version: marketData.contract_version ?? null,
+      timestamp: marketData.timestamp ?? null
+    }
+  };
+
+  console.log(`📊 Composite ${report.composite.score ?? 'N/A'}/100 (${report.composite.classification ?? 'N/A'}) as of ${report.timestamp}`);
+  console.log(`🎯 Signal ${report.signal.action ?? 'N/A'}${report.signal.since ? ` since ${report.signal.since}` : ''}, regime ${report.regime.name ?? 'N/A'}`);
+  for (const { label, pull } of report.top_pulls) {
+    console.log(`   ${pull >= 0 ? '▲' : '▼'} ${label}: ${pull >= 0 ? '+' : ''}${pull}`);
+  }
+  console.log(`🗂️  market-data.json from ${report.market_data.producer} (contract v${report.market_data.contract_version})`);
+  return { exitCode: EXIT_CODES.ok, output: report };
+}
+
+async function inspectCommand(options) {
+  const [ticker] = options.positional;
+  if (!ticker) throw new UsageError('inspect needs a ticker, e.g. `inspect SPY`');
+  const symbol = ticker.toUpperCase();
+
+  const context = await createPipelineContext(options.replay ? { mode: 'replay', cassetteDir: options.raw } : {});
+  const analyzer = new EnhancedSentimentAnalyzer(context);
+  const { config } = analyzer;
+
+  let metrics;
+  try {
+    metrics = await analyzer.fetchTickerData(symbol);
+  } catch (error) {
+    throw new DataUnavailableError(`No data for ${symbol}: ${error.message}`, analyzer.fetcher.summary());
+  }
+
+  const range = options.range || config.price_levels.history_range;
+  const bars = await analyzer.getDailyBars(symbol, range);
+  const levels = analyzePriceLevels(bars, config.price_levels);
+
+  const groups = Object.entries(config.tickers)
+    .filter(([, symbols]) => Array.isArray(symbols) && symbols.includes(symbol))
+    .map(([group]) => group);
+
+  console.log(`🔎 ${symbol}: ${metrics.price.toFixed(2)} as of ${metrics.as_of} (1d ${metrics.change_1d.toFixed(2)}%, 30d vol ${metrics.volatility_30d.toFixed(1)}%)`);
+  console.log(`   groups: ${groups.length ? groups.join(', ') : 'not in the configured universe'}`);
+  if (levels) {
+    console.log(`   support ${levels.support_level} (${levels.support.source}), resistance ${levels.resistance_level} (${levels.resistance.source}), stop ${levels.stop_loss_suggestion}`);
+  }
+  return {
+    exitCode: EXIT_CODES.ok,
+    output: {
+      symbol,
+      groups,
+      metrics,
+      price_levels: levels ? { ...levels, method: { ...levels.method, history_range: range } } : null,
+      bars: bars.length,
+      provider: analyzer.provider.name,
+      fetch_summary: analyzer.fetcher.summary()
+    }
+  };
+}
+
+const COMMANDS = {
+  fetch: fetchCommand,
+  compute: computeCommand,
+  backfill: backfillCommand,
+  validate: validateCommand,
+  report: reportCommand,
+  inspect: inspectCommand
+};
+
+function exitCodeFor(error) {
+  if (error instanceof UsageError) return EXIT_CODES.usage;
+  if (error instanceof QualityGateError) return EXIT_CODES.gate;
+  if (error instanceof DataUnavailableError) return EXIT_CODES.unavailable;
+  if (error instanceof ConfigError) return EXIT_CODES.config;
+  return EXIT_CODES.failure;
+}
+
+// Main execution
+async function runSentimentCli(argv) {
+  const [command, ...rest] = argv;
+  const json = rest.includes('--json');
+  if (json) {
+    // stdout is reserved for the result object
+    console.log = console.info = console.warn = (...args) => console.error(...args);
+  }
+
+  try {
+    if (!COMMANDS[command]) {
+      throw new UsageError(command ? `Unknown command "${command}" (expected one of: ${Object.keys(COMMANDS).join(', ')})` : `Usage: sentiment-cli <${Object.keys(COMMANDS).join('|')}> [options] [--json]`);
+    }
+    const { exitCode, output } = await COMMANDS[command](parseCommandArgs(command, rest));
+    if (json) process.stdout.write(`${JSON.stringify({ command, ok: exitCode === 0, exit_code: exitCode, ...output }, null, 2)}\n`);
+    return exitCode;
+  } catch (error) {
+    const exitCode = exitCodeFor(error);
+    // The gate report was printed when it ran; no stack trace needed for expected failures
+    console.error(`💥 ${exitCode === EXIT_CODES.failure ? error.stack || error : error.message}`);
+    if (json) {
+      const failure = { command: command ?? null, ok: false, exit_code: exitCode, error: { name: error.name, message: error.message } };
+      if (error.results) failure.error.results = error.results;
+      if (error.details) failure.error.details = error.details;
+      if (error instanceof ConfigError) failure.error.errors = error.errors;
+      process.stdout.write(`${JSON.stringify(failure, null, 2)}\n`);
+    }
+    return exitCode;
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runSentimentCli(process.argv.slice(2)).then(exitCode => process.exit(exitCode));
+}
+
+export { EXIT_CODES };
+export default runSentimentCli;
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+/**
+ * Sentiment Config Validation
+ * Checks config/sentiment-config.json (or the file given) against its schema,
+ * and config/market-calendar.json against its own, so a bad edit fails the
+ * build instead of shipping to the dashboard.
+ *
+ * Usage: node scripts/validate-config.js [path/to/sentiment-config.json]
+ */
+
+import { loadSentimentConfig, DEFAULT_CONFIG_PATH } from './lib/config.js';
+import { loadMarketCalendar } from './lib/market-calendar.js';
+
+// Main execution
+function validateConfig(configPath = process.env.SENTIMENT_CONFIG || DEFAULT_CONFIG_PATH) {
+  const config = loadSentimentConfig(configPath);
+  const weights = config.composite.weights;
+  const weightTotal = Object.values(weights).reduce((a, b) => a + b, 0);
+
+  console.log(`✅ Sentiment config ${config.config_version} is valid (${configPath})`);
+  console.log(`⚖️  Composite weights: ${Object.entries(weights).map(([key, value]) => `${key}=${value}`).join(', ')} (total ${weightTotal.toFixed(2)})`);
+
+  const { calendar } = loadMarketCalendar();
+  console.log(`📅 Market calendar ${calendar.calendar_version} (${calendar.exchange}) covers ${calendar.covers.from} to ${calendar.covers.to}`);
+  return config;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    validateConfig(process.argv[2]);
+    process.exit(0);
+  } catch (error) {
+    console.error(`💥 ${error.message}`);
+    process.exit(1);
+  }
+}
+
+export default validateConfig;
@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 
-const fs = require('fs').promises;
+const fs = require('fs');
 const path = require('path');
 
 console.log('🚀 Starting simple data fetch...');
@@ -9,28 +9,16 @@ async function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-async function fetchYahooFinance(symbol) {
+async function fetchQuote(provider, symbol) {
   try {
-    const response = await fetch(`https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?interval=1d&range=5d`, {
-      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; sentiment-tracker)' }
-    });
-    const data = await response.json();
-    
-    if (!data.chart?.result?.[0]?.indicators?.quote?.[0]?.close) {
-      throw new Error(`No data for ${symbol}`);
-    }
-    
-    const prices = data.chart.result[0].indicators.quote[0].close.filter(p => p !== null);
-    if (prices.length < 2) throw new Error(`Insufficient data for ${symbol}`);
-    
-    const current = prices[prices.length - 1];
-    const previous = prices[prices.length - 2];
-    const change = ((current - previous) / previous) * 100;
+    const quote = await provider.getQuote(symbol);
     
     return {
       symbol,
-      price: current,
-      change: change,
+      price: quote.price,
+      change: quote.change_pct,
+      // Timestamp of the bar the price belongs to (used to key the history by trading day)
+      as_of: quote.as_of,
       timestamp: new Date().toISOString()
     };
   } catch (error) {
@@ -39,10 +27,9 @@ async function fetchYahooFinance(symbol) {
   }
 }
 
-async function fetchFearGreedIndex() {
+async function fetchFearGreedIndex(http) {
   try {
-    const response = await fetch('https://api.alternative.me/fng/?limit=1');
-    const data = await response.json();
+    const { data } = await http.get('https://api.alternative.me/fng/', { params: { limit: 1 } });
     
     if (!data.data?.[0]) throw new Error('No Fear & Greed data');
     
@@ -58,132 +45,139 @@ async function fetchFearGreedIndex() {
   }
 }
 
-async function calculateSentiment(marketData) {
-  // Simple sentiment calculation based on market movements
-  let sentimentScore = 50; // Neutral baseline
-  
-  // Factor in major indices
-  if (marketData.SPY && marketData.SPY.change) {
-    sentimentScore += marketData.SPY.change * 2; // SPY has 2x weight
-  }
-  
-  if (marketData.QQQ && marketData.QQQ.change) {
-    sentimentScore += marketData.QQQ.change * 1.5; // QQQ has 1.5x weight
-  }
-  
-  // Factor in VIX (inverse relationship)
-  if (marketData['^VIX'] && marketData['^VIX'].change) {
-    sentimentScore -= marketData['^VIX'].change * 1.5; // VIX change inversely affects sentiment
+async function calculateSentiment(marketData, settings, sentimentLabel) {
+  // Simple sentiment calculation based on market movements (weights from config/sentiment-config.json)
+  let sentimentScore = settings.baseline_score; // Neutral baseline
+  
+  // Each symbol's daily % change moves the score by its weight (negative weights, like VIX, act inversely)
+  for (const [symbol, weight] of Object.entries(settings.change_weights)) {
+    if (marketData[symbol] && marketData[symbol].change) {
+      sentimentScore += marketData[symbol].change * weight;
+    }
   }
   
   // Clamp between 0 and 100
   sentimentScore = Math.max(0, Math.min(100, sentimentScore));
   
-  let sentiment = 'Neutral';
-  if (sentimentScore > 60) sentiment = 'Bullish';
-  else if (sentimentScore < 40) sentiment = 'Bearish';
-  
   return {
     score: Math.round(sentimentScore),
-    label: sentiment,
+    label: sentimentLabel(sentimentScore, settings.label_cutoffs),
     timestamp: new Date().toISOString()
   };
 }
 
-function calculatePutCallProxy(vixLevel, spyChange) {
-  // Calculate Put/Call ratio proxy using VIX and market movement
-  // Base ratio starts at market neutral (0.9 = slightly more calls than puts, typical bull market)
-  let ratio = 0.9;
-  
-  // VIX adjustment (higher VIX = more fear = more puts)
-  if (vixLevel > 35) {
-    ratio += 0.4; // High fear = much more put activity
-  } else if (vixLevel > 25) {
-    ratio += 0.2; // Moderate fear = more puts
-  } else if (vixLevel < 15) {
-    ratio -= 0.1; // Low fear = fewer puts (more calls)
-  }
-  
-  // Market movement adjustment (down days = more defensive puts)
-  if (spyChange < -2) {
-    ratio += 0.3; // Large down move = defensive put buying
-  } else if (spyChange < -0.5) {
-    ratio += 0.15; // Moderate down move = some put buying
-  } else if (spyChange > 1.5) {
-    ratio -= 0.1; // Strong up move = less put demand
+async function main() {
+  // Validate the shared config before touching the network (throws on any problem)
+  const { loadSentimentConfig } = await import('./scripts/lib/config.js');
+  const config = loadSentimentConfig();
+  const settings = config.simple_pipeline;
+  
+  // All outbound HTTP goes through the pipeline client (PIPELINE_HTTP_MODE=record|replay for cassettes)
+  const { createHttpClient } = await import('./scripts/lib/http-client.js');
+  const http = createHttpClient();
+  
+  // Nothing new to fetch while the market is closed and the published file already has the last close
+  const { loadMarketCalendar, redundantRunReason } = await import('./scripts/lib/market-calendar.js');
+  const calendar = loadMarketCalendar();
+  if (http.mode === 'live' && !process.argv.includes('--force')) {
+    const published = await fs.promises.readFile(path.resolve(process.cwd(), 'public/data/market-data.json'), 'utf8')
+      .then(JSON.parse)
+      .catch(() => null);
+    const reason = redundantRunReason(calendar, { now: Date.now(), publishedAt: published?.timestamp });
+    if (reason) {
+      console.log(`⏭️ Skipping fetch: ${reason} (--force to fetch anyway)`);
+      // Lets the workflow skip the build and deploy steps too
+      if (process.env.GITHUB_OUTPUT) fs.appendFileSync(process.env.GITHUB_OUTPUT, 'skipped=true\n');
+      return null;
+    }
   }
   
-  // Ensure ratio stays within realistic bounds (0.4 to 2.0)
-  ratio = Math.max(0.4, Math.min(2.0, ratio));
-  
-  return Math.round(ratio * 100) / 100; // Round to 2 decimal places
-}
-
-async function main() {
-  const symbols = ['SPY', 'QQQ', 'IWM', '^VIX'];
+  const symbols = settings.symbols;
   const results = {
     timestamp: new Date().toISOString(),
     stocks: {},
     sentiment: null,
     fearGreed: null,
-    putCallRatio: null
+    putCall: null
   };
   
-  // Fetch stock data
-  console.log('📊 Fetching market data...');
+  // The file layout is shared with the enhanced pipeline (schemas/market-data.schema.json)
+  const { buildMarketDataSnapshot, publishMarketDataSnapshot, sentimentLabel } = await import('./scripts/lib/market-data-writer.js');
+  
+  // Fetch stock data through the configured provider (MARKET_DATA_PROVIDER, default yahoo)
+  const { createMarketDataProvider } = await import('./scripts/lib/providers/index.js');
+  const provider = createMarketDataProvider({ http });
+  console.log(`📊 Fetching market data via ${provider.name}...`);
   for (const symbol of symbols) {
-    results.stocks[symbol] = await fetchYahooFinance(symbol);
+    results.stocks[symbol] = await fetchQuote(provider, symbol);
     console.log(`✅ ${symbol}: $${results.stocks[symbol].price?.toFixed(2)} (${results.stocks[symbol].change?.toFixed(2)}%)`);
     await sleep(1000); // Be nice to Yahoo's servers
   }
   
   // Calculate simple sentiment
   console.log('🧠 Calculating sentiment...');
-  results.sentiment = await calculateSentiment(results.stocks);
+  results.sentiment = await calculateSentiment(results.stocks, settings, sentimentLabel);
   console.log(`✅ Market Sentiment: ${results.sentiment.label} (${results.sentiment.score}/100)`);
   
-  // Calculate Put/Call ratio proxy
-  console.log('📈 Calculating Put/Call ratio proxy...');
+  // Put/Call ratio from SPY/QQQ/IWM options chains, falling back to the VIX/SPY proxy
+  console.log('📈 Measuring Put/Call ratio from options chains...');
+  const { resolvePutCallRatio } = await import('./scripts/lib/put-call.js');
   const vixLevel = results.stocks['^VIX']?.price || 20;
   const spyChange = results.stocks['SPY']?.change || 0;
-  results.putCallRatio = calculatePutCallProxy(vixLevel, spyChange);
-  console.log(`✅ Put/Call Ratio (proxy): ${results.putCallRatio} (VIX: ${vixLevel.toFixed(2)}, SPY: ${spyChange.toFixed(2)}%)`);
+  results.putCall = await resolvePutCallRatio(provider, config.put_call, { vixLevel, spyChange });
+  console.log(results.putCall.source === 'measured'
+    ? `✅ Put/Call Ratio (measured, ${results.putCall.basis}): ${results.putCall.value} (${results.putCall.symbols.join(', ')})`
+    : `✅ Put/Call Ratio (proxy): ${results.putCall.value} (VIX: ${vixLevel.toFixed(2)}, SPY: ${spyChange.toFixed(2)}%)`);
   
   // Fetch Fear & Greed Index
   console.log('😨 Fetching Fear & Greed Index...');
-  results.fearGreed = await fetchFearGreedIndex();
-  console.log(`✅ Fear & Greed: ${results.fearGreed.value}/100 (${results.fearGreed.classification})`);
-  
-  // Save data to multiple locations for app consumption
-  const dataDir = path.resolve(process.cwd(), 'data');
-  const publicDataDir = path.resolve(process.cwd(), 'public/data');
-  
-  await fs.mkdir(dataDir, { recursive: true });
-  await fs.mkdir(publicDataDir, { recursive: true });
-  
-  // Save to data directory
-  await fs.writeFile(
-    path.join(dataDir, 'latest.json'),
-    JSON.stringify(results, null, 2)
-  );
-  
-  // Save to public directory for app
-  await fs.writeFile(
-    path.join(publicDataDir, 'market-data.json'),
-    JSON.stringify(results, null, 2)
-  );
+  results.fearGreed = await fetchFearGreedIndex(http);
+  console.log(results.fearGreed.error
+    ? '⚠️ Fear & Greed unavailable - keeping the last published reading'
+    : `✅ Fear & Greed: ${results.fearGreed.value}/100 (${results.fearGreed.classification})`);
+  
+  const snapshot = buildMarketDataSnapshot({
+    producer: 'simple-fetch',
+    config_version: config.config_version,
+    ...results
+  });
+  
+  // Save data to multiple locations for app consumption, unless the snapshot fails the
+  // quality gate (the last good files stay in place)
+  const { QualityGateError, formatGateReport } = await import('./scripts/lib/quality-gate.js');
+  const gate = await publishMarketDataSnapshot(snapshot, {
+    paths: [
+      path.resolve(process.cwd(), 'data/latest.json'),
+      path.resolve(process.cwd(), 'public/data/market-data.json')
+    ],
+    settings: config.quality_gate,
+    now: Date.now(),
+    calendar
+  });
+  console.log(`🚦 Quality gate:\n${formatGateReport([gate])}`);
+  if (!gate.passed) {
+    throw new QualityGateError([gate]);
+  }
   
   console.log('💾 Data saved successfully!');
+  
+  // Archive today's reading in the append-only history store
+  const { appendDailyRecord, recordFromSimpleResults } = await import('./scripts/lib/history-store.js');
+  const historyRecord = recordFromSimpleResults(snapshot);
+  const { written, reason } = await appendDailyRecord(historyRecord);
+  console.log(written
+    ? `🗂️ History record ${reason} for ${historyRecord.date}`
+    : `⚠️ History record for ${historyRecord.date} not written (${reason})`);
   console.log('🎉 Simple fetch completed - no enterprise bloat!');
   
-  return results;
+  return snapshot;
 }
 
 if (require.main === module) {
   main()
     .then(() => process.exit(0))
     .catch(error => {
-      console.error('💥 Fetch failed:', error);
+      console.error('💥 Fetch failed:', error.name === 'QualityGateError' ? error.message : error);
       process.exit(1);
     });
 }